@@ -0,0 +1,283 @@
+// backend/appointments.js
+const crypto = require("crypto");
+const { dataPath, readJson, writeJson } = require("./storage");
+const { defaultClubId, getClub } = require("./clubs");
+const { normalizePhone } = require("./compliance");
+
+// ---- Config ----
+// Trial-pass visit windows offered each day (24h, club local time) and how many
+// guests each club's front desk can take per window.
+const DEFAULT_WINDOWS = "09:00-11:00,12:00-14:00,17:00-19:00,18:00-20:00";
+
+function config() {
+  return {
+    windows: (process.env.APPOINTMENT_WINDOWS || DEFAULT_WINDOWS)
+      .split(",").map(w => w.trim()).filter(w => /^\d{2}:\d{2}-\d{2}:\d{2}$/.test(w)),
+    capacity: Number(process.env.APPOINTMENT_SLOT_CAPACITY || 3),
+    daysAhead: Number(process.env.APPOINTMENT_DAYS_AHEAD || 7),
+  };
+}
+
+// ---- Store (data/appointments.json) ----
+function storeFile() { return dataPath("appointments.json"); }
+function loadAll() { return readJson(storeFile(), { appointments: [] }).appointments; }
+function saveAll(appointments) { writeJson(storeFile(), { appointments }); }
+
+// ---- Date / label helpers ----
+// Days are "YYYY-MM-DD" keys in the club's timezone (clubs/*.json), never the server's:
+// calendar arithmetic runs on UTC dates, wall-clock times are converted with Intl.
+const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+const pad = (n) => String(n).padStart(2, "0");
+const hostTimezone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
+const clubTimezone = (clubId) => getClub(clubId)?.timezone || hostTimezone();
+
+const keyDate = (key) => { const [y, m, d] = key.split("-").map(Number); return new Date(Date.UTC(y, m - 1, d)); };
+const addDays = (key, n) => { const d = keyDate(key); d.setUTCDate(d.getUTCDate() + n); return d.toISOString().slice(0, 10); };
+const weekdayOf = (key) => keyDate(key).getUTCDay();
+
+/** Wall-clock fields of `date` in `timeZone`. */
+function zonedParts(date, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat("en-US", {
+    timeZone, year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", second: "2-digit", hourCycle: "h23",
+  }).formatToParts(date).map(p => [p.type, p.value]));
+  return { dateKey: `${parts.year}-${parts.month}-${parts.day}`, h: Number(parts.hour), m: Number(parts.minute), s: Number(parts.second) };
+}
+
+const todayKey = (now, timeZone) => zonedParts(now, timeZone).dateKey;
+
+// How far `timeZone` is ahead of UTC at instant `ms`
+function zoneOffsetMs(ms, timeZone) {
+  const { dateKey, h, m, s } = zonedParts(new Date(ms), timeZone);
+  return keyDate(dateKey).getTime() + ((h * 60 + m) * 60 + s) * 1000 - Math.floor(ms / 1000) * 1000;
+}
+
+/** The instant a window starts on `dateKey`, club local time. */
+function slotStart(dateKey, window, timeZone) {
+  const [h, m] = window.split("-")[0].split(":").map(Number);
+  const wall = keyDate(dateKey).getTime() + (h * 60 + m) * 60 * 1000;
+  let ms = wall - zoneOffsetMs(wall, timeZone);
+  ms = wall - zoneOffsetMs(ms, timeZone); // the offset on the day itself (DST changes)
+  return new Date(ms);
+}
+
+const longDay = (dateKey) => keyDate(dateKey).toLocaleDateString("en-US", { timeZone: "UTC", weekday: "long", month: "short", day: "numeric" });
+
+function formatWindow(window) {
+  const [start, end] = window.split("-").map(t => t.split(":").map(Number));
+  const hour = ([h, m]) => `${h % 12 || 12}${m ? `:${pad(m)}` : ""}`;
+  const suffix = ([h]) => (h < 12 ? "am" : "pm");
+  return suffix(start) === suffix(end)
+    ? `${hour(start)}–${hour(end)}${suffix(end)}`
+    : `${hour(start)}${suffix(start)}–${hour(end)}${suffix(end)}`;
+}
+
+function dayLabel(dateKey, timeZone, now = new Date()) {
+  const today = todayKey(now, timeZone);
+  if (dateKey === today) return "today";
+  if (dateKey === addDays(today, 1)) return "tomorrow";
+  return longDay(dateKey);
+}
+
+// ---- Slot ids: "<club>/<YYYY-MM-DD>@<HH:MM-HH:MM>" (no "<club>/" when there is no club) ----
+const SLOT_ID_RE = /^(?:([\w-]+)\/)?(\d{4}-\d{2}-\d{2})@(\d{2}:\d{2}-\d{2}:\d{2})$/;
+
+function slotIdFor(clubId, dateKey, window) {
+  return `${clubId ? `${clubId}/` : ""}${dateKey}@${window}`;
+}
+
+/** { clubId, dateKey, window }, or null for a malformed id. */
+function parseSlotId(slotId) {
+  const m = SLOT_ID_RE.exec(String(slotId || ""));
+  return m ? { clubId: m[1] || null, dateKey: m[2], window: m[3] } : null;
+}
+
+const callClubId = (session) => session?.clubId || defaultClubId() || null;
+
+function slotLabel(slotId, now) {
+  const { clubId, dateKey, window } = parseSlotId(slotId);
+  return `${dayLabel(dateKey, clubTimezone(clubId || defaultClubId()), now)} ${formatWindow(window)}`;
+}
+
+/** Absolute label for records that outlive the call, e.g. "Tuesday, Oct 20 6–8pm". */
+function slotDateLabel(slotId) {
+  const { dateKey, window } = parseSlotId(slotId);
+  return `${longDay(dateKey)} ${formatWindow(window)}`;
+}
+
+/** "today" | "tomorrow" | weekday name | YYYY-MM-DD -> date key in `timeZone`, or null if unparseable. */
+function resolveDay(day, timeZone, now = new Date()) {
+  const s = String(day || "").trim().toLowerCase();
+  const today = todayKey(now, timeZone);
+  if (s === "today") return today;
+  if (s === "tomorrow") return addDays(today, 1);
+  const wd = WEEKDAYS.indexOf(s);
+  if (wd >= 0) return addDays(today, (wd - weekdayOf(today) + 7) % 7);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(s) && !Number.isNaN(keyDate(s).getTime())) return s;
+  return null;
+}
+
+function partOfDay(window) {
+  const h = Number(window.slice(0, 2));
+  return h < 12 ? "morning" : h < 17 ? "afternoon" : "evening";
+}
+
+// ---- Availability / booking (capacity is per club) ----
+function listSlots({ day, part_of_day: part } = {}, { session } = {}, now = new Date()) {
+  const { windows, capacity, daysAhead } = config();
+  const clubId = callClubId(session);
+  const timeZone = clubTimezone(clubId);
+  let days;
+  if (day) {
+    const d = resolveDay(day, timeZone, now);
+    if (!d) return { ok: false, error: "unrecognized_day", hint: "Use today, tomorrow, a weekday name or YYYY-MM-DD." };
+    days = [d];
+  } else {
+    days = Array.from({ length: daysAhead }, (_, i) => addDays(todayKey(now, timeZone), i));
+  }
+
+  const booked = loadAll().filter(a => a.status === "booked");
+  const open = [];
+  const full = [];
+  for (const dateKey of days) {
+    for (const window of windows) {
+      if (part && partOfDay(window) !== part) continue;
+      if (slotStart(dateKey, window, timeZone) <= now) continue;
+      const slotId = slotIdFor(clubId, dateKey, window);
+      const remaining = capacity - booked.filter(a => a.slotId === slotId).length;
+      if (remaining > 0) open.push({ slot_id: slotId, label: slotLabel(slotId, now), remaining });
+      else full.push(slotLabel(slotId, now));
+    }
+  }
+  return { ok: true, slots: open, full };
+}
+
+function bookAppointment({ slot_id: slotId, name, interest } = {}, { callSid, session } = {}, now = new Date()) {
+  const { windows, capacity } = config();
+  const { clubId = null, dateKey, window } = parseSlotId(slotId) || {};
+  const timeZone = clubTimezone(clubId);
+  if (!dateKey || !windows.includes(window) || !resolveDay(dateKey, timeZone, now) || clubId !== callClubId(session)) {
+    return { ok: false, error: "unknown_slot", hint: "Call check_availability and use one of the returned slot_id values." };
+  }
+  if (slotStart(dateKey, window, timeZone) <= now) return { ok: false, error: "slot_in_past" };
+
+  const all = loadAll();
+  const taken = all.filter(a => a.status === "booked" && a.slotId === slotId && a.callSid !== callSid).length;
+  if (taken >= capacity) return { ok: false, error: "slot_full", hint: "Offer a different slot from check_availability." };
+
+  // One appointment per call: picking a new time reschedules the earlier one.
+  for (const a of all) {
+    if (callSid && a.callSid === callSid && a.status === "booked") {
+      a.status = "cancelled";
+      a.cancelledAt = now.toISOString();
+    }
+  }
+
+  const appointment = {
+    id: `apt_${crypto.randomBytes(6).toString("hex")}`,
+    slotId,
+    clubId,
+    date: dateKey,
+    window,
+    status: "booked",
+    callSid: callSid || null,
+    name: name || session?.name || null,
+    phone: session?.phone || null,
+    interest: interest || null,
+    createdAt: now.toISOString(),
+  };
+  all.push(appointment);
+  saveAll(all);
+  if (session) session.appointment = appointment;
+
+  console.log("[appointments] booked", appointment.id, slotId, "for", callSid || "(no call)");
+  return { ok: true, appointment_id: appointment.id, label: slotLabel(slotId, now) };
+}
+
+/**
+ * Cancel by id, else the one booked on this call, else the caller's next upcoming visit
+ * (by normalized phone): a returning caller usually phones to cancel what an earlier call booked.
+ */
+function cancelAppointment({ appointment_id: id } = {}, { callSid, session } = {}, now = new Date()) {
+  const all = loadAll();
+  const booked = all.filter(a => a.status === "booked");
+  const phone = normalizePhone(session?.phone);
+  const upcoming = booked
+    .filter(a => phone && normalizePhone(a.phone) === phone && appointmentStart(a) > now)
+    .sort((a, b) => appointmentStart(a) - appointmentStart(b));
+  const target = id
+    ? booked.find(a => a.id === id)
+    : booked.find(a => callSid && a.callSid === callSid) || upcoming[0];
+  if (!target) return { ok: false, error: "not_found" };
+  target.status = "cancelled";
+  target.cancelledAt = now.toISOString();
+  saveAll(all);
+  if (session?.appointment?.id === target.id) session.appointment = null;
+
+  console.log("[appointments] cancelled", target.id, target.slotId);
+  return { ok: true, appointment_id: target.id, label: slotLabel(target.slotId, now) };
+}
+
+function getAppointment(id) {
+  return loadAll().find(a => a.id === id) || null;
+}
+
+/** When a booked slot starts: its window in the club's timezone. */
+function appointmentStart(apt) {
+  const clubId = apt.clubId || parseSlotId(apt.slotId)?.clubId || defaultClubId();
+  return slotStart(apt.date, apt.window, clubTimezone(clubId));
+}
+
+// ---- Realtime tools ----
+const TOOLS = [
+  {
+    definition: {
+      type: "function",
+      name: "check_availability",
+      description: "List open trial-pass visit slots at the club. Call this before offering times; only offer slots it returns.",
+      parameters: {
+        type: "object",
+        properties: {
+          day: { type: "string", description: "today, tomorrow, a weekday name, or YYYY-MM-DD. Omit to see the coming week." },
+          part_of_day: { type: "string", enum: ["morning", "afternoon", "evening"] },
+        },
+      },
+    },
+    handler: (args, ctx) => listSlots(args, ctx),
+  },
+  {
+    definition: {
+      type: "function",
+      name: "book_appointment",
+      description: "Book the caller into a trial-pass visit slot once they have agreed to a specific time.",
+      parameters: {
+        type: "object",
+        properties: {
+          slot_id: { type: "string", description: "slot_id returned by check_availability" },
+          name: { type: "string", description: "Caller's first name, if known" },
+          interest: { type: "string", description: "Special interest mentioned (e.g. classes, strength)" },
+        },
+        required: ["slot_id"],
+      },
+    },
+    handler: (args, ctx) => bookAppointment(args, ctx),
+  },
+  {
+    definition: {
+      type: "function",
+      name: "cancel_appointment",
+      description: "Cancel the appointment booked on this call, or else the caller's next upcoming visit (found by their phone number, " +
+        "e.g. booked on an earlier call), or a given appointment_id, if the caller changes their mind.",
+      parameters: {
+        type: "object",
+        properties: {
+          appointment_id: { type: "string" },
+        },
+      },
+    },
+    handler: (args, ctx) => cancelAppointment(args, ctx),
+  },
+];
+
+module.exports = {
+  listSlots, bookAppointment, cancelAppointment, getAppointment, appointmentStart, parseSlotId, slotLabel, slotDateLabel, TOOLS,
+};
@@ -0,0 +1,190 @@
+// backend/callHistory.js
+// Every finished call's record (outcome + turn-by-turn transcript), appended to
+// data/call-history.jsonl, and the read APIs over it: call list, call detail and metrics.
+const fs = require("fs");
+const { dataPath } = require("./storage");
+const { OUTCOMES } = require("./callOutcome");
+
+// Nobody (or only a machine) picked up
+const NOT_CONNECTED = ["no_answer", "busy", "failed", "voicemail"];
+const MAX_PAGE = 500;
+
+class HistoryError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.code = code;
+  }
+}
+
+function historyFile() { return dataPath("call-history.jsonl"); }
+
+/** Append a finished call (the outcome record plus its turns). */
+async function saveCall(record) {
+  await fs.promises.appendFile(historyFile(), JSON.stringify({ ...record, turns: timedTurns(record) }) + "\n");
+}
+
+function loadCalls() {
+  let raw;
+  try { raw = fs.readFileSync(historyFile(), "utf8"); }
+  catch (e) {
+    if (e.code !== "ENOENT") console.warn("[history] could not read", historyFile(), e?.message || e);
+    return [];
+  }
+  const calls = [];
+  for (const line of raw.split("\n")) {
+    if (!line.trim()) continue;
+    try { calls.push(JSON.parse(line)); }
+    catch { console.warn("[history] skipping a corrupt line"); }
+  }
+  return calls;
+}
+
+// ---- Timings ----
+/** Turns with their offset into the call and the gap since the previous turn. */
+function timedTurns(record) {
+  const origin = Date.parse(record.connectedAt || record.startedAt);
+  let prev = null;
+  return (record.turns || []).map((t) => {
+    const at = Date.parse(t.at);
+    const timed = { ...t, offsetMs: Number.isFinite(at - origin) ? at - origin : null, gapMs: prev != null && Number.isFinite(at - prev) ? at - prev : null };
+    prev = at;
+    return timed;
+  });
+}
+
+/** Seconds the caller was on the line: Twilio's billed duration, else our own clock. */
+function handleTimeSec(record) {
+  if (record.call?.duration != null) return record.call.duration;
+  const from = Date.parse(record.connectedAt || "");
+  const to = Date.parse(record.endedAt || "");
+  return Number.isFinite(from) && Number.isFinite(to) ? Math.max(0, Math.round((to - from) / 1000)) : null;
+}
+
+const isConnected = (record) => !NOT_CONNECTED.includes(record.outcome);
+
+// ---- Filters: ?from=&to= (ISO or YYYY-MM-DD, on startedAt), outcome, campaign, phone, direction ----
+const digits = (phone) => String(phone || "").replace(/\D/g, "").slice(-10);
+
+function parseDate(value, field, endOfDay) {
+  if (value == null || value === "") return null;
+  const s = String(value);
+  const ms = /^\d{4}-\d{2}-\d{2}$/.test(s) ? Date.parse(`${s}T00:00:00Z`) + (endOfDay ? 24 * 60 * 60 * 1000 - 1 : 0) : Date.parse(s);
+  if (!Number.isFinite(ms)) throw new HistoryError("FILTER_INVALID", `${field} must be an ISO date or YYYY-MM-DD`);
+  return ms;
+}
+
+function parseFilters(query = {}) {
+  const outcome = query.outcome ? String(query.outcome).split(",").map(s => s.trim()).filter(Boolean) : null;
+  const unknown = (outcome || []).filter(o => !OUTCOMES.includes(o));
+  if (unknown.length) throw new HistoryError("FILTER_INVALID", `Unknown outcome: ${unknown.join(", ")}`);
+  if (query.phone && digits(query.phone).length < 7) throw new HistoryError("FILTER_INVALID", "phone needs at least 7 digits");
+  if (query.direction && !["inbound", "outbound"].includes(query.direction)) throw new HistoryError("FILTER_INVALID", "direction must be inbound or outbound");
+  return {
+    from: parseDate(query.from, "from", false),
+    to: parseDate(query.to, "to", true),
+    outcome,
+    campaign: query.campaign ? String(query.campaign) : null,
+    phone: query.phone ? digits(query.phone) : null,
+    direction: query.direction || null,
+  };
+}
+
+function matches(record, f) {
+  const started = Date.parse(record.startedAt);
+  if (f.from != null && !(started >= f.from)) return false;
+  if (f.to != null && !(started <= f.to)) return false;
+  if (f.outcome && !f.outcome.includes(record.outcome)) return false;
+  if (f.campaign && record.campaignId !== f.campaign) return false;
+  if (f.phone && digits(record.phone) !== f.phone) return false;
+  if (f.direction && (record.direction || "outbound") !== f.direction) return false;
+  return true;
+}
+
+/** Newest first. */
+function queryCalls(filters, calls = loadCalls()) {
+  return calls.filter(r => matches(r, filters)).sort((a, b) => Date.parse(b.startedAt) - Date.parse(a.startedAt));
+}
+
+function callSummary(record) {
+  const { turns, call, citations, qa, ...rest } = record;
+  return {
+    ...rest,
+    callStatus: call?.status || null,
+    answeredBy: call?.answeredBy || null,
+    handleTimeSec: handleTimeSec(record),
+    turnCount: (turns || []).length,
+    qaScore: qa?.scored ? qa.score : null,
+  };
+}
+
+// ---- Metrics ----
+const ratio = (n, d) => (d ? Math.round((n / d) * 1000) / 1000 : null);
+
+function computeMetrics(calls) {
+  const outcomes = Object.fromEntries(calls.reduce((m, r) => m.set(r.outcome, (m.get(r.outcome) || 0) + 1), new Map()));
+  const connected = calls.filter(isConnected);
+  const booked = calls.filter(r => r.outcome === "booked").length;
+
+  const handled = connected.map(handleTimeSec).filter(s => s != null);
+  const talked = connected.filter(r => r.talk);
+  const agentMs = talked.reduce((sum, r) => sum + r.talk.agentMs, 0);
+  const callerMs = talked.reduce((sum, r) => sum + r.talk.callerMs, 0);
+
+  const latencies = connected.map(r => r.metrics?.responseLatencyMs?.avg).filter(ms => ms != null);
+  const costs = calls.map(r => r.metrics?.costUsd).filter(c => c != null);
+
+  const objectionCounts = new Map();
+  for (const r of connected) {
+    for (const o of new Set((r.objections || []).map(s => String(s).trim().toLowerCase()).filter(Boolean))) {
+      objectionCounts.set(o, (objectionCounts.get(o) || 0) + 1);
+    }
+  }
+  const objections = [...objectionCounts]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([objection, count]) => ({ objection, count, rate: ratio(count, connected.length) }));
+
+  return {
+    calls: calls.length,
+    connected: connected.length,
+    booked,
+    connectRate: ratio(connected.length, calls.length),
+    bookingConversion: ratio(booked, connected.length),
+    avgHandleTimeSec: handled.length ? Math.round(handled.reduce((a, b) => a + b, 0) / handled.length) : null,
+    talkListenRatio: ratio(agentMs, callerMs),
+    talkTimeMs: { agent: agentMs, caller: callerMs },
+    avgResponseLatencyMs: latencies.length ? Math.round(latencies.reduce((a, b) => a + b, 0) / latencies.length) : null,
+    costUsd: costs.length ? Math.round(costs.reduce((a, b) => a + b, 0) * 1e4) / 1e4 : null,
+    outcomes,
+    objections,
+  };
+}
+
+// ---- Routes ----
+async function callHistoryRoutes(fastify) {
+  const badFilter = (reply, e) => reply.code(400).send({ error: e.message, code: e.code });
+
+  fastify.get("/api/calls", async (req, reply) => {
+    let filters;
+    try { filters = parseFilters(req.query); }
+    catch (e) { if (e instanceof HistoryError) return badFilter(reply, e); throw e; }
+    const limit = Math.min(Math.max(Number(req.query.limit) || 100, 1), MAX_PAGE);
+    const offset = Math.max(Number(req.query.offset) || 0, 0);
+    const calls = queryCalls(filters);
+    return { total: calls.length, limit, offset, calls: calls.slice(offset, offset + limit).map(callSummary) };
+  });
+
+  fastify.get("/api/calls/:sid", async (req, reply) => {
+    const record = loadCalls().find(r => r.callSid === req.params.sid);
+    if (!record) return reply.code(404).send({ error: "No finished call with that CallSid", code: "CALL_NOT_FOUND" });
+    return { ...record, handleTimeSec: handleTimeSec(record) };
+  });
+
+  fastify.get("/api/metrics", async (req, reply) => {
+    let filters;
+    try { filters = parseFilters(req.query); }
+    catch (e) { if (e instanceof HistoryError) return badFilter(reply, e); throw e; }
+    return { filters: req.query, ...computeMetrics(queryCalls(filters)) };
+  });
+}
+
+module.exports = { HistoryError, saveCall, loadCalls, parseFilters, queryCalls, computeMetrics, handleTimeSec, callHistoryRoutes };
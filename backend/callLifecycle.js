@@ -0,0 +1,77 @@
+// backend/callLifecycle.js
+// Twilio call lifecycle (status callbacks + answering machine detection) recorded on the session.
+
+const TERMINAL_CALL_STATUSES = ["completed", "busy", "no-answer", "failed", "canceled"];
+
+// AnsweredBy values from async AMD with DetectMessageEnd
+const VOICEMAIL_ANSWERS = ["machine_end_beep", "machine_end_silence", "machine_end_other"];
+const HANGUP_ANSWERS = ["fax", "machine_start"]; // nothing useful to say to these
+
+function ensureCallInfo(sess) {
+  if (!sess.call) {
+    sess.call = {
+      status: null,
+      answeredBy: null,
+      events: [],
+      ringingAt: null,
+      answeredAt: null,
+      completedAt: null,
+      duration: null,
+      failureReason: null,
+    };
+  }
+  return sess.call;
+}
+
+/** Twilio status-callback body -> normalized event. */
+function parseStatusCallback(body = {}) {
+  return {
+    callSid: body.CallSid,
+    status: body.CallStatus,
+    duration: body.CallDuration ? Number(body.CallDuration) : null,
+    answeredBy: body.AnsweredBy || null,
+    errorCode: body.ErrorCode || null,
+    sipResponseCode: body.SipResponseCode || null,
+    at: new Date().toISOString(),
+  };
+}
+
+function failureReason(evt) {
+  if (!["busy", "no-answer", "failed", "canceled"].includes(evt.status)) return null;
+  const details = [
+    evt.errorCode && `error ${evt.errorCode}`,
+    evt.sipResponseCode && `SIP ${evt.sipResponseCode}`,
+  ].filter(Boolean);
+  return details.length ? `${evt.status} (${details.join(", ")})` : evt.status;
+}
+
+function recordCallStatus(sess, evt) {
+  const call = ensureCallInfo(sess);
+  call.status = evt.status;
+  call.events.push({ status: evt.status, at: evt.at });
+  if (evt.status === "ringing" && !call.ringingAt) call.ringingAt = evt.at;
+  if (evt.status === "in-progress" && !call.answeredAt) call.answeredAt = evt.at;
+  if (TERMINAL_CALL_STATUSES.includes(evt.status)) {
+    call.completedAt = evt.at;
+    if (evt.duration != null) call.duration = evt.duration;
+    call.failureReason = failureReason(evt);
+  }
+  if (evt.answeredBy) call.answeredBy = evt.answeredBy;
+  return call;
+}
+
+function recordAnsweredBy(sess, answeredBy, detectionMs = null) {
+  const call = ensureCallInfo(sess);
+  call.answeredBy = answeredBy;
+  call.events.push({ status: `amd:${answeredBy}`, at: new Date().toISOString(), detectionMs });
+  return call;
+}
+
+module.exports = {
+  TERMINAL_CALL_STATUSES,
+  VOICEMAIL_ANSWERS,
+  HANGUP_ANSWERS,
+  parseStatusCallback,
+  recordCallStatus,
+  recordAnsweredBy,
+};
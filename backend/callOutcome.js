@@ -0,0 +1,190 @@
+// backend/callOutcome.js
+// Post-call step: turn a finished call's transcript into a typed outcome record.
+const { slotDateLabel } = require("./appointments");
+const { VOICEMAIL_ANSWERS } = require("./callLifecycle");
+const { providerName } = require("./providers");
+const { isOptOutRequest } = require("./compliance");
+
+// What the model may pick from a transcript
+const TRANSCRIPT_OUTCOMES = ["booked", "callback_requested", "not_interested", "voicemail", "wrong_number", "no_conversation", "transferred", "other"];
+// Telephony outcomes, set from Twilio status callbacks (never from the transcript)
+const CALL_STATUS_OUTCOMES = { "no-answer": "no_answer", busy: "busy", failed: "failed", canceled: "failed" };
+// Every value a record's `outcome` can hold (sinks, reports, history filters)
+const OUTCOMES = [...TRANSCRIPT_OUTCOMES, ...new Set(Object.values(CALL_STATUS_OUTCOMES))];
+const OUTCOME_MODEL = "gpt-4o-mini";
+// OpenAI REST base; OPENAI_API_URL points it at a mock or a compatible endpoint
+const openaiApiUrl = () => (process.env.OPENAI_API_URL || "https://api.openai.com/v1").replace(/\/$/, "");
+
+// Structured Outputs schema: every key required, nullable where the call may not say.
+const OUTCOME_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  required: ["outcome", "firstName", "appointmentTime", "preferredWindow", "callbackWindow", "interests", "objections", "summary"],
+  properties: {
+    outcome: { type: "string", enum: TRANSCRIPT_OUTCOMES },
+    firstName: { type: ["string", "null"] },
+    appointmentTime: { type: ["string", "null"], description: "Agreed visit day/time, as confirmed on the call" },
+    preferredWindow: { type: ["string", "null"], description: "Caller's preferred day/time window, even if nothing was booked" },
+    callbackWindow: { type: ["string", "null"], description: "When the caller asked to be called back, if they did" },
+    interests: { type: "array", items: { type: "string" } },
+    objections: { type: "array", items: { type: "string" } },
+    summary: { type: "string", description: "One or two sentences" },
+  },
+};
+
+function transcriptText(sess) {
+  return (sess.turns || [])
+    .map(t => `${t.role === "user" ? "Caller" : "Agent"}: ${t.text}`)
+    .join("\n");
+}
+
+// ---- LLM extraction ----
+async function extractWithModel(sess) {
+  const res = await fetch(`${openaiApiUrl()}/chat/completions`, {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${process.env.OPENAI_API_KEY}`,
+      "Content-Type": "application/json",
+    },
+    signal: AbortSignal.timeout(20000),
+    body: JSON.stringify({
+      model: process.env.OUTCOME_MODEL || OUTCOME_MODEL,
+      temperature: 0,
+      response_format: {
+        type: "json_schema",
+        json_schema: { name: "call_outcome", strict: true, schema: OUTCOME_SCHEMA },
+      },
+      messages: [
+        {
+          role: "system",
+          content: `You review ${sess.direction === "inbound" ? "inbound Crunch Fitness calls (a lead phoning the club)" : "outbound Crunch Fitness trial-pass calls"}. Extract the call outcome from the transcript. ` +
+            "Use 'voicemail' when only an answering machine/greeting was heard, 'wrong_number' when the person is not the lead, " +
+            "'no_conversation' when the caller never meaningfully spoke. Keep interests and objections short (1–3 words each).",
+        },
+        { role: "user", content: `Lead name on file: ${sess.name || "unknown"}\n\nTranscript:\n${transcriptText(sess) || "(empty)"}` },
+      ],
+    }),
+  });
+  if (!res.ok) throw new Error(`chat.completions ${res.status}: ${(await res.text()).slice(0, 200)}`);
+  const data = await res.json();
+  return JSON.parse(data.choices[0].message.content);
+}
+
+// ---- Keyword fallback (no API key, or the model call failed) ----
+const INTEREST_KEYWORDS = ["classes", "strength", "weight loss", "cardio", "yoga", "hiit", "personal training", "pilates", "spin", "boxing", "tanning", "hydromassage"];
+const OBJECTION_PATTERNS = [
+  ["price", /\b(price|cost|expensive|afford|money)\b/i],
+  ["time", /\b(busy|no time|schedule|work late)\b/i],
+  ["existing membership", /\b(already (a )?member|another gym|other gym)\b/i],
+  ["location", /\b(too far|far away|distance|location)\b/i],
+];
+// "call me back", but not "don't / never call me back"
+const CALLBACK_PATTERN = /(?<!\b(don['’]?t|do not|never|no need to)( ever)? )call (me )?(back|later|tomorrow)|not a good time|text me/;
+
+function extractWithKeywords(sess) {
+  const userText = (sess.turns || []).filter(t => t.role === "user").map(t => t.text).join(" ");
+  const lower = userText.toLowerCase();
+
+  let outcome = "other";
+  if (!userText.trim()) outcome = "no_conversation";
+  else if (/leave (me )?a message|voicemail|after the (tone|beep)|not available/.test(lower)) outcome = "voicemail";
+  else if (/wrong number|no one (here )?by that name/.test(lower)) outcome = "wrong_number";
+  else if (isOptOutRequest(userText)) outcome = "not_interested"; // before any "call me" wording
+  else if (CALLBACK_PATTERN.test(lower)) outcome = "callback_requested";
+  else if (/not interested|no thanks|no thank you|stop calling|don['’]?t call|never call/.test(lower)) outcome = "not_interested";
+
+  return {
+    outcome,
+    firstName: null,
+    appointmentTime: null,
+    preferredWindow: null,
+    callbackWindow: null,
+    interests: INTEREST_KEYWORDS.filter(k => lower.includes(k)),
+    objections: OBJECTION_PATTERNS.filter(([, re]) => re.test(userText)).map(([k]) => k),
+    summary: "",
+  };
+}
+
+/** Build the outcome record for a finished call session. Never throws. */
+async function extractOutcome(sess) {
+  let fields;
+  let extractedBy = "heuristic";
+  // The scripted provider is for offline runs: no network, keywords only
+  if (process.env.OPENAI_API_KEY && providerName() !== "scripted" && (sess.turns || []).length) {
+    try {
+      fields = await extractWithModel(sess);
+      extractedBy = "llm";
+    } catch (e) {
+      console.warn("[outcome] model extraction failed, using keywords:", e?.message || e);
+    }
+  }
+  if (!fields) fields = extractWithKeywords(sess);
+
+  // Ground truth beats the transcript: what Twilio reported, then bookings made through the tool.
+  const call = sess.call || {};
+  if (VOICEMAIL_ANSWERS.includes(call.answeredBy)) fields.outcome = "voicemail";
+  if (CALL_STATUS_OUTCOMES[call.status]) fields.outcome = CALL_STATUS_OUTCOMES[call.status];
+  if (sess.callbackRequest) {
+    fields.outcome = "callback_requested";
+    fields.callbackWindow = sess.callbackRequest.window || sess.callbackRequest.label;
+  }
+  if (sess.transfer?.status === "connected") fields.outcome = "transferred";
+  const apt = sess.appointment;
+  if (apt && apt.status === "booked") {
+    fields.outcome = "booked";
+    fields.appointmentTime = slotDateLabel(apt.slotId);
+  }
+
+  return {
+    callSid: sess.callSid,
+    name: sess.name || null,
+    phone: sess.phone || null,
+    direction: sess.direction || "outbound",
+    persona: sess.persona || null,
+    personaVersion: sess.personaVersion || null,
+    clubId: sess.clubId || null,
+    campaignId: sess.campaignId || null,
+    leadId: sess.leadId || null,
+    preferredLanguage: sess.preferredLanguage || null,
+    language: sess.language || null,                // at the end of the call
+    languageSwitches: sess.languageSwitches || [],  // switch_language: [{ from, to, at }]
+    startedAt: sess.startedAt,
+    connectedAt: sess.connectedAt || null,
+    endedAt: sess.endedAt || new Date().toISOString(),
+    ...fields,
+    firstName: fields.firstName || (sess.name || "").trim().split(/\s+/)[0] || null,
+    appointment: apt && apt.status === "booked" ? { id: apt.id, slotId: apt.slotId, clubId: apt.clubId || null, date: apt.date, window: apt.window } : null,
+    call: sess.call || null,
+    voicemailLeft: Boolean(sess.voicemailLeft),
+    optedOut: Boolean(sess.optedOut),
+    transfer: sess.transfer || null,
+    recording: sess.recording || null,
+    talk: sess.talk || null,
+    metrics: sess.metrics || null, // latency, audio minutes, tokens, cost
+    realtimeOutages: sess.realtimeOutages || [], // dropped Realtime sockets: [{ at, reason, attempts, recovered, recoveryMs }]
+    citations: sess.citations || [],
+    callback: sess.callbackRequest || null,   // callback this call asked for
+    callbackOf: sess.callback?.id || null,    // this call is that callback
+    extractedBy,
+  };
+}
+
+/** Flatten an outcome record into a spreadsheet row (column order is the sheet header). */
+function outcomeToRow(record) {
+  return [
+    record.endedAt,
+    record.callSid,
+    record.name || "",
+    record.phone || "",
+    record.outcome,
+    record.appointmentTime || "",
+    record.preferredWindow || "",
+    record.callbackWindow || "",
+    record.interests.join(", "),
+    record.objections.join(", "),
+    record.summary || "",
+    transcriptText(record),
+  ];
+}
+
+module.exports = { OUTCOMES, TRANSCRIPT_OUTCOMES, CALL_STATUS_OUTCOMES, extractOutcome, outcomeToRow, transcriptText };
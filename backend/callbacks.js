@@ -0,0 +1,304 @@
+// backend/callbacks.js
+// Scheduled callbacks: the agent's schedule_callback tool (or an SMS "call me" outside calling
+// hours) stores a callback in data/callbacks.json; the scheduler re-dials at that time with the
+// same persona, club and script variables, and the new call's prompt carries the earlier context.
+const crypto = require("crypto");
+const { dataPath, readJson, writeJson } = require("./storage");
+const { callEvents } = require("./events");
+const { ComplianceError, normalizePhone, calleeTimezone } = require("./compliance");
+
+// Callback lifecycle: scheduled -> dialing -> completed | failed  (or canceled)
+const RETRYABLE = ["no-answer", "busy"];
+const MAX_ATTEMPTS = Number(process.env.CALLBACK_MAX_ATTEMPTS || 3);
+const RETRY_DELAY_MS = 30 * 60 * 1000;
+const DIAL_TIMEOUT_MS = 5 * 60 * 1000; // no status callback at all -> treat attempt as no-answer
+const maxDaysAhead = () => Number(process.env.CALLBACK_MAX_DAYS || 14);
+const WEEKDAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+
+const newId = () => `cb_${crypto.randomBytes(6).toString("hex")}`;
+
+// ---- Store ----
+function storeFile() { return dataPath("callbacks.json"); }
+function loadAll() { return readJson(storeFile(), { callbacks: [] }).callbacks; }
+function saveAll(callbacks) { writeJson(storeFile(), { callbacks }); }
+
+function updateCallback(id, fields) {
+  const all = loadAll();
+  const cb = all.find(c => c.id === id);
+  if (!cb) return null;
+  Object.assign(cb, fields);
+  saveAll(all);
+  return cb;
+}
+
+// ---- Caller-local time ----
+const serverTimezone = () => Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+function zonedParts(date, timeZone) {
+  const p = Object.fromEntries(new Intl.DateTimeFormat("en-US", {
+    timeZone, year: "numeric", month: "2-digit", day: "2-digit", hour: "2-digit", minute: "2-digit", weekday: "long", hourCycle: "h23",
+  }).formatToParts(date).map(x => [x.type, x.value]));
+  return { y: Number(p.year), m: Number(p.month), d: Number(p.day), h: Number(p.hour), mi: Number(p.minute), weekday: p.weekday.toLowerCase() };
+}
+
+/** Wall-clock time in timeZone -> Date. */
+function zonedTime(y, m, d, h, mi, timeZone) {
+  const wall = Date.UTC(y, m - 1, d, h, mi);
+  let t = wall;
+  for (let i = 0; i < 2; i++) {
+    const p = zonedParts(new Date(t), timeZone);
+    t += wall - Date.UTC(p.y, p.m - 1, p.d, p.h, p.mi);
+  }
+  return new Date(t);
+}
+
+function formatWhen(date, timeZone) {
+  return date.toLocaleString("en-US", { timeZone, weekday: "long", month: "short", day: "numeric", hour: "numeric", minute: "2-digit" });
+}
+
+/**
+ * "tomorrow" + "17:00" in the caller's timezone -> Date, or { error }.
+ * day: today | tomorrow | weekday name | YYYY-MM-DD;  time: HH:MM (24h), earliest time to call.
+ */
+function resolveCallbackTime({ day, time }, timeZone, now = new Date()) {
+  const tm = /^(\d{1,2}):(\d{2})$/.exec(String(time || "").trim());
+  if (!tm || Number(tm[1]) > 23 || Number(tm[2]) > 59) return { error: "unrecognized_time", hint: "Use 24h HH:MM, e.g. 17:00." };
+  const [h, mi] = [Number(tm[1]), Number(tm[2])];
+
+  const today = zonedParts(now, timeZone);
+  const s = String(day || "").trim().toLowerCase();
+  let offset = null;
+  let date = null;
+  if (s === "today") offset = 0;
+  else if (s === "tomorrow") offset = 1;
+  else if (WEEKDAYS.includes(s)) {
+    offset = (WEEKDAYS.indexOf(s) - WEEKDAYS.indexOf(today.weekday) + 7) % 7;
+    if (offset === 0 && (h < today.h || (h === today.h && mi <= today.mi))) offset = 7;
+  } else if (/^\d{4}-\d{2}-\d{2}$/.test(s)) date = s.split("-").map(Number);
+  else return { error: "unrecognized_day", hint: "Use today, tomorrow, a weekday name or YYYY-MM-DD." };
+
+  if (!date) {
+    const base = new Date(Date.UTC(today.y, today.m - 1, today.d + offset));
+    date = [base.getUTCFullYear(), base.getUTCMonth() + 1, base.getUTCDate()];
+  }
+  const at = zonedTime(date[0], date[1], date[2], h, mi, timeZone);
+  if (at <= now) return { error: "time_in_past" };
+  if (at - now > maxDaysAhead() * 24 * 60 * 60 * 1000) return { error: "too_far_ahead", hint: `Callbacks can be up to ${maxDaysAhead()} days out.` };
+  return { at };
+}
+
+// ---- Scheduling ----
+/** Persist a callback for the lead behind `source` (a call session, or the same fields). Replaces an earlier one from that call. */
+function scheduleCallback(source, { callAt, window = null, note = null, requestedVia = "call", fromCallSid = null }) {
+  const phone = normalizePhone(source.phone);
+  if (!phone) return null;
+  const all = loadAll();
+  const requestedAt = new Date().toISOString();
+  for (const c of all) {
+    if (fromCallSid && c.fromCallSid === fromCallSid && c.status === "scheduled") Object.assign(c, { status: "canceled", canceledAt: requestedAt });
+  }
+  const cb = {
+    id: newId(),
+    status: "scheduled",
+    phone,
+    name: source.name || null,
+    persona: source.persona || null,
+    clubId: source.clubId || null,
+    variables: source.variables || {},
+    timezone: source.timezone || null,
+    language: source.language || null,
+    campaignId: source.campaignId || null,
+    leadId: source.leadId || null,
+    callAt: new Date(callAt).toISOString(),
+    window,
+    note,
+    requestedVia,
+    fromCallSid,
+    summary: null,   // filled from the outcome of the call that asked for it
+    attempts: 0,
+    callSid: null,
+    requestedAt,
+    history: [],
+  };
+  all.push(cb);
+  saveAll(all);
+  console.log("[callbacks] scheduled", cb.id, "for", phone, "at", cb.callAt, `(${requestedVia})`);
+  callEvents.emit("callback.scheduled", cb);
+  return cb;
+}
+
+function cancelCallback(id) {
+  const cb = loadAll().find(c => c.id === id);
+  if (!cb || cb.status !== "scheduled") return null;
+  return updateCallback(id, { status: "canceled", canceledAt: new Date().toISOString() });
+}
+
+/** What the re-dialed agent is told about the earlier conversation (session.callback). */
+function callbackContext(cb) {
+  return {
+    id: cb.id,
+    requestedAt: cb.requestedAt,
+    window: cb.window,
+    note: cb.note,
+    summary: cb.summary,
+    requestedVia: cb.requestedVia,
+    previousCallSid: cb.fromCallSid,
+  };
+}
+
+// ---- Scheduler ----
+class CallbackScheduler {
+  /** @param {{ placeCall: (args: object) => Promise<{ sid: string }> }} deps */
+  constructor({ placeCall, tickMs = 15000 }) {
+    this.placeCall = placeCall;
+    this.tickMs = tickMs;
+    this.timer = null;
+    this.onStatus = (evt) => this.handleCallStatus(evt);
+    this.onOutcome = (record) => this.attachSummary(record);
+  }
+
+  start() {
+    if (this.timer) return;
+    callEvents.on("status", this.onStatus);
+    callEvents.on("outcome", this.onOutcome);
+    this.timer = setInterval(() => {
+      this.tick().catch(e => console.error("[callbacks] tick error:", e?.message || e));
+    }, this.tickMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    callEvents.off("status", this.onStatus);
+    callEvents.off("outcome", this.onOutcome);
+  }
+
+  async tick(now = new Date()) {
+    this.expireStuckDials(now);
+    const due = loadAll().filter(c => c.status === "scheduled" && Date.parse(c.callAt) <= now.getTime());
+    for (const cb of due) await this.dial(cb, now);
+  }
+
+  async dial(cb, now = new Date()) {
+    const attempts = cb.attempts + 1;
+    updateCallback(cb.id, { status: "dialing", attempts, dialedAt: now.toISOString() });
+    try {
+      const call = await this.placeCall({
+        name: cb.name || "", phone: cb.phone, timezone: cb.timezone, persona: cb.persona, club: cb.clubId,
+        variables: cb.variables, campaignId: cb.campaignId, leadId: cb.leadId, language: cb.language, callback: callbackContext(cb),
+      });
+      const history = [...cb.history, { callSid: call.sid, status: "dialing", at: now.toISOString() }];
+      updateCallback(cb.id, { callSid: call.sid, history });
+      console.log("[callbacks] dialing", cb.id, "attempt", attempts, "->", call.sid);
+    } catch (e) {
+      const error = e instanceof ComplianceError ? `${e.code}: ${e.message}` : (e?.message || String(e));
+      const history = [...cb.history, { callSid: null, status: "error", error, at: now.toISOString() }];
+      if (e instanceof ComplianceError && e.retryAt) {
+        // Outside calling hours / frequency cap: wait for the window, don't burn an attempt
+        updateCallback(cb.id, { status: "scheduled", attempts: cb.attempts, callAt: e.retryAt, lastError: e.code, history });
+        console.log("[callbacks]", cb.id, e.code, "- moved to", e.retryAt);
+      } else if (!(e instanceof ComplianceError) && attempts < MAX_ATTEMPTS) {
+        updateCallback(cb.id, { status: "scheduled", callAt: new Date(now.getTime() + RETRY_DELAY_MS).toISOString(), lastError: error, history });
+        console.error("[callbacks] dial error", cb.id, error, "- retrying");
+      } else {
+        updateCallback(cb.id, { status: "failed", lastError: error, history });
+        console.error("[callbacks] failed", cb.id, error);
+      }
+    }
+  }
+
+  // Status webhook lost, or the process restarted mid-dial: don't leave the callback in "dialing"
+  expireStuckDials(now) {
+    for (const cb of loadAll()) {
+      if (cb.status !== "dialing") continue;
+      const dialedAt = Date.parse(cb.dialedAt || cb.callAt);
+      if (!(now - dialedAt > DIAL_TIMEOUT_MS)) continue;
+      console.warn("[callbacks] no status callback for", cb.id, cb.callSid || "(no call)", "- treating as no-answer");
+      this.applyCallStatus(cb, "no-answer", now);
+    }
+  }
+
+  handleCallStatus({ callSid, status }) {
+    const cb = loadAll().find(c => c.status === "dialing" && c.callSid === callSid);
+    if (cb) this.applyCallStatus(cb, status);
+  }
+
+  applyCallStatus(cb, status, now = new Date()) {
+    const history = [...cb.history, { callSid: cb.callSid || null, status, at: now.toISOString() }];
+    if (status === "completed") {
+      updateCallback(cb.id, { status: "completed", completedAt: now.toISOString(), history });
+    } else if (RETRYABLE.includes(status) && cb.attempts < MAX_ATTEMPTS) {
+      updateCallback(cb.id, { status: "scheduled", callAt: new Date(now.getTime() + RETRY_DELAY_MS).toISOString(), lastError: status, history });
+      console.log("[callbacks]", cb.id, status, "- retry in", RETRY_DELAY_MS / 60000, "min");
+    } else if (RETRYABLE.includes(status) || ["failed", "canceled"].includes(status)) {
+      updateCallback(cb.id, { status: "failed", lastError: status, history });
+    }
+  }
+
+  /** The outcome summary of the call that asked for the callback becomes the re-dial's context. */
+  attachSummary(record) {
+    const all = loadAll();
+    const cb = all.find(c => c.fromCallSid === record.callSid && c.status === "scheduled");
+    if (!cb) return;
+    cb.summary = record.summary || null;
+    saveAll(all);
+  }
+}
+
+// ---- Agent tool ----
+const TOOLS = [
+  {
+    definition: {
+      type: "function",
+      name: "schedule_callback",
+      description:
+        "Schedule a call back when the caller asks to be called later (e.g. “tomorrow after 5”). Use their local time. " +
+        "After it succeeds, confirm the day and time out loud and wrap up.",
+      parameters: {
+        type: "object",
+        properties: {
+          day: { type: "string", description: "today, tomorrow, a weekday name, or YYYY-MM-DD" },
+          time: { type: "string", description: "Earliest time to call, 24h HH:MM in the caller's local time, e.g. 17:00" },
+          window: { type: "string", description: "The caller's own words for when to call, e.g. “tomorrow after 5”" },
+          note: { type: "string", description: "Anything to pick up on when calling back, briefly" },
+        },
+        required: ["day", "time"],
+      },
+    },
+    handler: async ({ day, time, window, note }, { callSid, session }) => {
+      if (!session?.phone) return { ok: false, error: "no_phone_on_call" };
+      if (session.optedOut) return { ok: false, error: "opted_out" };
+      const timeZone = calleeTimezone(session.phone, session.timezone) || serverTimezone();
+      const resolved = resolveCallbackTime({ day, time }, timeZone);
+      if (resolved.error) return { ok: false, ...resolved };
+      const cb = scheduleCallback(session, { callAt: resolved.at, window: window || null, note: note || null, fromCallSid: callSid });
+      session.callbackRequest = { id: cb.id, callAt: cb.callAt, window: cb.window, label: formatWhen(resolved.at, timeZone) };
+      return { ok: true, callback_id: cb.id, when: session.callbackRequest.label };
+    },
+  },
+];
+
+// ---- Routes ----
+async function callbackRoutes(fastify) {
+  fastify.get("/api/callbacks", async (req) => {
+    const { status } = req.query || {};
+    return { callbacks: loadAll().filter(c => !status || c.status === status).reverse() };
+  });
+
+  fastify.delete("/api/callbacks/:id", async (req, reply) => {
+    const cb = cancelCallback(req.params.id);
+    if (!cb) return reply.code(404).send({ error: "No scheduled callback with that id" });
+    return { ok: true, callback: cb };
+  });
+}
+
+module.exports = {
+  CallbackScheduler,
+  scheduleCallback,
+  cancelCallback,
+  resolveCallbackTime,
+  formatWhen,
+  callbackRoutes,
+  TOOLS,
+};
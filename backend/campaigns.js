@@ -0,0 +1,377 @@
+// backend/campaigns.js
+// Outbound campaigns: upload a lead list, then a paced dialer works through it,
+// retrying no-answer/busy with backoff and tracking each lead via Twilio status callbacks.
+const crypto = require("crypto");
+const { dataPath, readJson, writeJson } = require("./storage");
+const { callEvents } = require("./events");
+const { ComplianceError, normalizePhone, recordConsent } = require("./compliance");
+const { getClub } = require("./clubs");
+const { resolveLanguage } = require("./languages");
+
+// Lead lifecycle: queued -> dialing -> connected -> completed | failed
+// (no-answer/busy with attempts left go back to queued with a nextAttemptAt)
+const RETRYABLE = ["no-answer", "busy"];
+const TERMINAL_FAILURES = ["failed", "canceled"];
+const DIAL_TIMEOUT_MS = 5 * 60 * 1000; // no status callback at all -> treat attempt as failed
+
+const newId = (prefix) => `${prefix}_${crypto.randomBytes(6).toString("hex")}`;
+
+function defaultSettings() {
+  return {
+    concurrency: Number(process.env.CAMPAIGN_CONCURRENCY || 2),
+    callsPerMinute: Number(process.env.CAMPAIGN_CALLS_PER_MINUTE || 6),
+    maxAttempts: Number(process.env.CAMPAIGN_MAX_ATTEMPTS || 3),
+    retryBackoffMinutes: (process.env.CAMPAIGN_RETRY_BACKOFF_MIN || "15,60,240").split(",").map(Number),
+    recording: process.env.RECORDING === "on",
+    persona: null,   // personas/<id>.json; null = DEFAULT_PERSONA
+    club: null,      // clubs/<id>.json for leads without a "club" column; null = DEFAULT_CLUB
+    language: null,  // call language for leads without a "language" column; null = English
+    variables: {},   // script template values (lead columns override these per lead)
+  };
+}
+
+// ---- Lead list parsing (CSV or JSON) ----
+function parseCsv(text) {
+  const rows = [];
+  let row = [], field = "", quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ",") { row.push(field); field = ""; }
+    else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(field); rows.push(row); row = []; field = "";
+    } else field += c;
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+
+  const nonEmpty = rows.filter(r => r.some(v => v.trim()));
+  if (!nonEmpty.length) return [];
+  const header = nonEmpty[0].map(h => h.trim().toLowerCase());
+  return nonEmpty.slice(1).map(r => Object.fromEntries(header.map((h, i) => [h, (r[i] || "").trim()])));
+}
+
+/** Normalize uploaded rows into leads; rows without name or a valid phone are returned as rejected. */
+function parseLeads(input) {
+  const rows = typeof input === "string" ? parseCsv(input) : Array.isArray(input) ? input : [];
+  const leads = [];
+  const rejected = [];
+  rows.forEach((row, i) => {
+    const name = String(row.name || [row.first_name, row.last_name].filter(Boolean).join(" ") || "").trim();
+    const rawPhone = String(row.phone || row.phone_number || "").trim();
+    if (!name || !rawPhone) { rejected.push({ row: i + 1, error: "name and phone are required" }); return; }
+    const phone = normalizePhone(rawPhone);
+    if (!phone) { rejected.push({ row: i + 1, error: "invalid phone number", code: "PHONE_INVALID" }); return; }
+    const { name: _n, phone: _p, ...fields } = row;
+    leads.push({
+      id: newId("lead"),
+      name,
+      phone,
+      fields,
+      status: "queued",
+      attempts: 0,
+      nextAttemptAt: null,
+      callSid: null,
+      lastCallStatus: null,
+      lastError: null,
+      history: [],
+    });
+  });
+  return { leads, rejected };
+}
+
+// ---- Dialer ----
+class CampaignDialer {
+  /** @param {{ placeCall: (lead: object, campaign: object) => Promise<{ sid: string }> }} deps */
+  constructor({ placeCall, tickMs = 1000 }) {
+    this.placeCall = placeCall;
+    this.tickMs = tickMs;
+    this.file = dataPath("campaigns.json");
+    this.campaigns = readJson(this.file, { campaigns: [] }).campaigns;
+    this.dialTimes = new Map(); // campaignId -> recent dial timestamps (pacing)
+    this.timer = null;
+    this.ticking = null; // the tick in progress
+    this.onStatus = (evt) => this.handleCallStatus(evt);
+  }
+
+  save() { writeJson(this.file, { campaigns: this.campaigns }); }
+
+  start() {
+    if (this.timer) return;
+    callEvents.on("status", this.onStatus);
+    this.timer = setInterval(() => {
+      this.tick().catch(e => console.error("[campaigns] tick error:", e?.message || e));
+    }, this.tickMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    callEvents.off("status", this.onStatus);
+  }
+
+  get(id) { return this.campaigns.find(c => c.id === id) || null; }
+
+  /** The lead with this number in the newest campaign that has it (inbound caller lookup). */
+  findLead(phone) {
+    const want = normalizePhone(phone);
+    if (!want) return null;
+    for (const campaign of [...this.campaigns].reverse()) {
+      const lead = campaign.leads.find(l => l.phone === want);
+      if (lead) return { campaign, lead };
+    }
+    return null;
+  }
+
+  create({ name, leads, settings = {} }) {
+    const campaign = {
+      id: newId("cmp"),
+      name: name || `Campaign ${new Date().toISOString().slice(0, 10)}`,
+      status: "running",
+      createdAt: new Date().toISOString(),
+      settings: { ...defaultSettings(), ...settings },
+      leads,
+    };
+    this.campaigns.push(campaign);
+    this.save();
+    console.log("[campaigns] created", campaign.id, campaign.name, "leads:", leads.length);
+    return campaign;
+  }
+
+  addLeads(id, leads) {
+    const campaign = this.get(id);
+    if (!campaign) return null;
+    campaign.leads.push(...leads);
+    if (campaign.status === "completed") campaign.status = "running";
+    this.save();
+    return campaign;
+  }
+
+  /** Merge known settings keys (e.g. turn recording off for a list without recording consent). */
+  updateSettings(id, settings = {}) {
+    const campaign = this.get(id);
+    if (!campaign) return null;
+    for (const key of Object.keys(defaultSettings())) {
+      if (settings[key] !== undefined) campaign.settings[key] = settings[key];
+    }
+    this.save();
+    return campaign;
+  }
+
+  setStatus(id, status) {
+    const campaign = this.get(id);
+    if (!campaign) return null;
+    campaign.status = status;
+    this.save();
+    return campaign;
+  }
+
+  /**
+   * Place as many calls as concurrency and calls-per-minute allow. A tick still waiting on
+   * placeCall is joined rather than overlapped, so two ticks can't pick the same lead.
+   */
+  tick(now = Date.now()) {
+    if (!this.ticking) this.ticking = this.dialDue(now).finally(() => { this.ticking = null; });
+    return this.ticking;
+  }
+
+  async dialDue(now) {
+    for (const campaign of this.campaigns) {
+      if (campaign.status !== "running") continue;
+      const { concurrency, callsPerMinute } = campaign.settings;
+
+      this.expireStuckDials(campaign, now);
+
+      const recent = (this.dialTimes.get(campaign.id) || []).filter(t => now - t < 60 * 1000);
+      this.dialTimes.set(campaign.id, recent);
+      let active = campaign.leads.filter(l => l.status === "dialing" || l.status === "connected").length;
+
+      while (active < concurrency && recent.length < callsPerMinute) {
+        const lead = campaign.leads.find(l => l.status === "queued" && (!l.nextAttemptAt || Date.parse(l.nextAttemptAt) <= now));
+        if (!lead) break;
+        active++;
+        recent.push(now);
+        await this.dial(campaign, lead);
+      }
+
+      if (campaign.leads.every(l => l.status === "completed" || l.status === "failed")) {
+        campaign.status = "completed";
+        campaign.completedAt = new Date(now).toISOString();
+        this.save();
+        console.log("[campaigns] completed", campaign.id);
+      }
+    }
+  }
+
+  async dial(campaign, lead) {
+    lead.status = "dialing";
+    lead.attempts++;
+    lead.dialedAt = new Date().toISOString();
+    lead.callSid = null;
+    this.save();
+    try {
+      const call = await this.placeCall(lead, campaign);
+      lead.callSid = call.sid;
+      lead.history.push({ callSid: call.sid, status: "dialing", at: lead.dialedAt });
+      console.log("[campaigns] dialing", campaign.id, lead.id, "attempt", lead.attempts, "->", call.sid);
+    } catch (e) {
+      if (e instanceof ComplianceError && e.retryAt) {
+        // Outside calling hours / frequency cap: wait for the window, don't burn an attempt
+        lead.status = "queued";
+        lead.attempts--;
+        lead.nextAttemptAt = e.retryAt;
+        lead.lastError = e.code;
+        console.log("[campaigns]", lead.id, e.code, "- next try", e.retryAt);
+      } else {
+        // DNC / no consent / Twilio refused the call: retrying won't help
+        lead.status = "failed";
+        lead.lastError = e instanceof ComplianceError ? `${e.code}: ${e.message}` : (e?.message || String(e));
+        lead.history.push({ callSid: null, status: "error", error: lead.lastError, at: new Date().toISOString() });
+        console.error("[campaigns] dial error", campaign.id, lead.id, lead.lastError);
+      }
+    }
+    this.save();
+  }
+
+  expireStuckDials(campaign, now) {
+    for (const lead of campaign.leads) {
+      if (lead.status === "dialing" && now - Date.parse(lead.dialedAt) > DIAL_TIMEOUT_MS) {
+        console.warn("[campaigns] no status callback for", lead.callSid, "- treating as no-answer");
+        this.applyCallStatus(campaign, lead, "no-answer", now);
+      }
+    }
+  }
+
+  findLeadByCallSid(callSid) {
+    for (const campaign of this.campaigns) {
+      const lead = campaign.leads.find(l => l.callSid === callSid);
+      if (lead) return { campaign, lead };
+    }
+    return null;
+  }
+
+  /** Twilio status callback (via callEvents "status"). */
+  handleCallStatus({ callSid, status }) {
+    const found = this.findLeadByCallSid(callSid);
+    if (!found) return;
+    this.applyCallStatus(found.campaign, found.lead, status);
+  }
+
+  applyCallStatus(campaign, lead, status, now = Date.now()) {
+    lead.lastCallStatus = status;
+    lead.history.push({ callSid: lead.callSid, status, at: new Date(now).toISOString() });
+
+    if (status === "in-progress" || status === "answered") {
+      lead.status = "connected";
+    } else if (status === "completed") {
+      lead.status = "completed";
+    } else if (RETRYABLE.includes(status)) {
+      const { maxAttempts, retryBackoffMinutes } = campaign.settings;
+      if (lead.attempts < maxAttempts) {
+        const mins = retryBackoffMinutes[Math.min(lead.attempts - 1, retryBackoffMinutes.length - 1)] || 15;
+        lead.status = "queued";
+        lead.nextAttemptAt = new Date(now + mins * 60 * 1000).toISOString();
+        console.log("[campaigns]", lead.id, status, "- retry in", mins, "min");
+      } else {
+        lead.status = "failed";
+        lead.lastError = `${status} after ${lead.attempts} attempts`;
+      }
+    } else if (TERMINAL_FAILURES.includes(status)) {
+      lead.status = "failed";
+      lead.lastError = status;
+    }
+    // queued / initiated / ringing: still dialing
+    this.save();
+  }
+}
+
+function summarize(campaign) {
+  const counts = {};
+  for (const l of campaign.leads) counts[l.status] = (counts[l.status] || 0) + 1;
+  const { leads, ...rest } = campaign;
+  return { ...rest, leadCount: leads.length, counts };
+}
+
+// ---- Routes ----
+async function campaignRoutes(fastify, { dialer, personas }) {
+  fastify.addContentTypeParser("text/csv", { parseAs: "string" }, (_req, body, done) => done(null, body));
+
+  // Body: text/csv (name via ?name=) or JSON { name, leads: [...] | csv: "...", settings }
+  const readUpload = (req) => {
+    const body = req.body;
+    if (typeof body === "string") return { name: req.query?.name, input: body, settings: {} };
+    return { name: body?.name, input: body?.csv ?? body?.leads, settings: body?.settings || {} };
+  };
+
+  // The uploader attests consent for each lead unless its "consent" column says otherwise;
+  // leads without a consent record are refused by the compliance gate at dial time.
+  const recordLeadConsent = (req, campaign, leads) => {
+    for (const lead of leads) {
+      if (/^(no|false|0|n)$/i.test(String(lead.fields.consent || "").trim())) continue;
+      recordConsent({ phone: lead.phone, name: lead.name, ip: req.ip, source: `campaign:${campaign.id}`, userAgent: req.headers["user-agent"] || null });
+    }
+  };
+
+  const settingsError = (settings) => {
+    if ("recording" in settings && typeof settings.recording !== "boolean") return "recording must be true or false";
+    if (settings.persona != null && !personas?.has(settings.persona)) return `Unknown persona "${settings.persona}"`;
+    if (settings.club != null && !getClub(settings.club)) return `Unknown club "${settings.club}"`;
+    if (settings.language != null && !resolveLanguage(settings.language)) return `Unknown language "${settings.language}"`;
+    if (settings.variables != null && (typeof settings.variables !== "object" || Array.isArray(settings.variables))) {
+      return "variables must be an object";
+    }
+    return null;
+  };
+
+  fastify.post("/api/campaigns", async (req, reply) => {
+    const { name, input, settings } = readUpload(req);
+    const invalid = settingsError(settings);
+    if (invalid) return reply.code(400).send({ error: invalid });
+    const { leads, rejected } = parseLeads(input);
+    if (!leads.length) return reply.code(400).send({ error: "No valid leads (need name and phone columns)", rejected });
+    const campaign = dialer.create({ name, leads, settings });
+    recordLeadConsent(req, campaign, leads);
+    return { ok: true, campaign: summarize(campaign), rejected };
+  });
+
+  fastify.post("/api/campaigns/:id/leads", async (req, reply) => {
+    const { input } = readUpload(req);
+    const { leads, rejected } = parseLeads(input);
+    const campaign = dialer.addLeads(req.params.id, leads);
+    if (!campaign) return reply.code(404).send({ error: "Campaign not found" });
+    recordLeadConsent(req, campaign, leads);
+    return { ok: true, added: leads.length, rejected, campaign: summarize(campaign) };
+  });
+
+  fastify.get("/api/campaigns", async () => ({ campaigns: dialer.campaigns.map(summarize) }));
+
+  fastify.get("/api/campaigns/:id", async (req, reply) => {
+    const campaign = dialer.get(req.params.id);
+    if (!campaign) return reply.code(404).send({ error: "Campaign not found" });
+    return { campaign: { ...summarize(campaign), leads: campaign.leads } };
+  });
+
+  fastify.patch("/api/campaigns/:id/settings", async (req, reply) => {
+    const settings = req.body || {};
+    const invalid = settingsError(settings);
+    if (invalid) return reply.code(400).send({ error: invalid });
+    const campaign = dialer.updateSettings(req.params.id, settings);
+    if (!campaign) return reply.code(404).send({ error: "Campaign not found" });
+    return { ok: true, campaign: summarize(campaign) };
+  });
+
+  for (const [action, status] of [["pause", "paused"], ["resume", "running"]]) {
+    fastify.post(`/api/campaigns/:id/${action}`, async (req, reply) => {
+      const campaign = dialer.setStatus(req.params.id, status);
+      if (!campaign) return reply.code(404).send({ error: "Campaign not found" });
+      return { ok: true, campaign: summarize(campaign) };
+    });
+  }
+}
+
+module.exports = { CampaignDialer, campaignRoutes, parseLeads, parseCsv };
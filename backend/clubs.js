@@ -0,0 +1,182 @@
+// backend/clubs.js
+// Club knowledge base: one profile per location in clubs/*.json (CLUBS_DIR), file name = club id.
+// The lookup_club_info tool answers from the profile of the call's club (lead "club" column,
+// campaign settings.club, /api/start-call { club }, else DEFAULT_CLUB) and records what it cited.
+const fs = require("fs");
+const path = require("path");
+
+const DAYS = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+const TOPICS = ["address", "hours", "amenities", "classes", "membership", "trial"];
+
+let clubs = null; // id -> profile, loaded once
+
+class ClubError extends Error {
+  constructor(message, code = "CLUB_INVALID") {
+    super(message);
+    this.name = "ClubError";
+    this.code = code;
+  }
+}
+
+const isText = (v) => typeof v === "string" && v.trim().length > 0;
+const isTextList = (v) => Array.isArray(v) && v.every(isText);
+
+/** Problems with one club profile (empty when valid). */
+function validateClub(c) {
+  if (!c || typeof c !== "object" || Array.isArray(c)) return ["must be a JSON object"];
+  const errors = [];
+  if (!isText(c.name)) errors.push(`"name" is required`);
+  if (!isText(c.address)) errors.push(`"address" is required`);
+  if (!c.hours || typeof c.hours !== "object" || !Object.values(c.hours).every(isText)) errors.push(`"hours" must map days to opening hours`);
+  if (c.phone != null && !isText(c.phone)) errors.push(`"phone" must be a string`);
+  if (c.amenities != null && !isTextList(c.amenities)) errors.push(`"amenities" must be a list of strings`);
+  if (c.classes != null && !(Array.isArray(c.classes) && c.classes.every(k => isText(k.name) && DAYS.includes(String(k.day).toLowerCase()) && isText(k.time)))) {
+    errors.push(`"classes" must be a list of { name, day, time }`);
+  }
+  if (c.membership != null && !(Array.isArray(c.membership) && c.membership.every(t => isText(t.name) && isText(t.price)))) {
+    errors.push(`"membership" must be a list of { name, price }`);
+  }
+  if (c.trial != null && !isTextList(c.trial)) errors.push(`"trial" must be a list of strings`);
+  return errors;
+}
+
+function loadClubs(dir = process.env.CLUBS_DIR || path.join(__dirname, "..", "clubs")) {
+  const loaded = new Map();
+  const problems = [];
+  const files = fs.existsSync(dir) ? fs.readdirSync(dir).filter(f => f.endsWith(".json")).sort() : [];
+  for (const file of files) {
+    let def;
+    try { def = JSON.parse(fs.readFileSync(path.join(dir, file), "utf8")); }
+    catch (e) { problems.push(`${file}: ${e.message}`); continue; }
+    const errors = validateClub(def);
+    if (errors.length) problems.push(...errors.map(e => `${file}: ${e}`));
+    else loaded.set(path.basename(file, ".json"), { id: path.basename(file, ".json"), ...def });
+  }
+  const fallback = process.env.DEFAULT_CLUB;
+  if (fallback && !loaded.has(fallback)) problems.push(`DEFAULT_CLUB "${fallback}" not found in ${dir}`);
+  if (problems.length) throw new ClubError(`Invalid club profiles:\n  ${problems.join("\n  ")}`);
+  console.log("[clubs] loaded", loaded.size ? [...loaded.keys()].join(", ") : "(none)");
+  clubs = loaded;
+  return loaded;
+}
+
+function allClubs() {
+  return clubs || loadClubs();
+}
+
+const getClub = (id) => allClubs().get(id) || null;
+
+/** DEFAULT_CLUB, or the only club when there is just one. */
+function defaultClubId() {
+  const all = allClubs();
+  return process.env.DEFAULT_CLUB || (all.size === 1 ? [...all.keys()][0] : null);
+}
+
+// ---- Facts: small, citable pieces of a profile ----
+function clubFacts(club, topic, { day } = {}) {
+  switch (topic) {
+    case "address":
+      return [
+        { id: "address", text: club.address },
+        ...(club.parking ? [{ id: "parking", text: `Parking: ${club.parking}` }] : []),
+        ...(club.phone ? [{ id: "phone", text: `Front desk phone: ${club.phone}` }] : []),
+      ];
+    case "hours":
+      return Object.entries(club.hours).map(([days, hours]) => ({ id: `hours.${days}`, text: `${days}: ${hours}` }));
+    case "amenities":
+      return (club.amenities || []).map((a, i) => ({ id: `amenities.${i}`, text: a }));
+    case "classes": {
+      const want = String(day || "").trim().toLowerCase();
+      return (club.classes || [])
+        .filter(k => !want || k.day.toLowerCase() === want)
+        .map(k => ({
+          id: `classes.${k.day.toLowerCase()}.${k.time}.${k.name}`,
+          text: `${k.name}: ${k.day} ${k.time}${k.durationMin ? `, ${k.durationMin} min` : ""}${k.note ? ` (${k.note})` : ""}`,
+        }));
+    }
+    case "membership":
+      return (club.membership || []).map(t => ({
+        id: `membership.${t.name}`,
+        text: `${t.name}: ${t.price}${t.includes?.length ? ` — ${t.includes.join(", ")}` : ""}`,
+      }));
+    case "trial":
+      return (club.trial || []).map((t, i) => ({ id: `trial.${i}`, text: t }));
+    default:
+      return [];
+  }
+}
+
+/** Which facts the agent was given, for the call record. */
+function recordCitation(session, club, topic, facts) {
+  (session.citations = session.citations || []).push({
+    club: club.id,
+    topic,
+    facts: facts.map(f => f.id),
+    at: new Date().toISOString(),
+  });
+}
+
+const TOOLS = [
+  {
+    definition: {
+      type: "function",
+      name: "lookup_club_info",
+      description:
+        "Look up facts about the caller's club: address, opening hours, amenities, class schedule, membership " +
+        "prices or free trial terms. Call it before answering any question about the club, and answer only from what it returns.",
+      parameters: {
+        type: "object",
+        properties: {
+          topic: { type: "string", enum: TOPICS },
+          day: { type: "string", description: "For classes: a weekday name to narrow the schedule, e.g. \"tuesday\"" },
+        },
+        required: ["topic"],
+      },
+    },
+    handler: async ({ topic, day }, { session }) => {
+      if (!TOPICS.includes(topic)) return { ok: false, error: "unknown_topic", topics: TOPICS };
+      const club = getClub(session?.clubId) || getClub(defaultClubId());
+      if (!club) {
+        return { ok: false, error: "no_club_info", instructions: "You don't have details for this club. Don't guess; offer to have the team follow up." };
+      }
+      const facts = clubFacts(club, topic, { day });
+      if (session) recordCitation(session, club, topic, facts);
+      if (!facts.length) {
+        return { ok: true, club: club.name, topic, facts: [], instructions: "The club profile doesn't cover this. Don't guess; offer to have the team follow up." };
+      }
+      return {
+        ok: true,
+        club: club.name,
+        topic,
+        facts: facts.map(f => f.text),
+        instructions: "Answer briefly using only these facts. If they don't answer the question, say so and offer to have the team follow up.",
+      };
+    },
+  },
+];
+
+// ---- Routes ----
+async function clubRoutes(fastify) {
+  fastify.get("/api/clubs", async () => ({
+    default: defaultClubId(),
+    clubs: [...allClubs().values()].map(c => ({ id: c.id, name: c.name, address: c.address })),
+  }));
+
+  fastify.get("/api/clubs/:id", async (req, reply) => {
+    const club = getClub(req.params.id);
+    if (!club) return reply.code(404).send({ error: "Club not found", code: "CLUB_UNKNOWN" });
+    return { club };
+  });
+}
+
+module.exports = {
+  ClubError,
+  TOPICS,
+  validateClub,
+  loadClubs,
+  getClub,
+  defaultClubId,
+  clubFacts,
+  clubRoutes,
+  TOOLS,
+};
@@ -0,0 +1,132 @@
+// backend/codec.js
+// G.711 μ-law <-> 16-bit PCM, WAV (RIFF) encoding/decoding and simple tones. Twilio Media Streams and the
+// Realtime API both speak 8 kHz mono μ-law; recordings are stored as PCM WAV.
+const BIAS = 0x84;
+const CLIP = 32635;
+const MULAW_SILENCE = 0xff;
+
+// Decoding is a 256-entry lookup
+const DECODE_TABLE = new Int16Array(256);
+for (let i = 0; i < 256; i++) {
+  const u = ~i & 0xff;
+  const t = (((u & 0x0f) << 3) + BIAS) << ((u & 0x70) >> 4);
+  DECODE_TABLE[i] = u & 0x80 ? BIAS - t : t - BIAS;
+}
+
+function mulawDecodeSample(byte) {
+  return DECODE_TABLE[byte & 0xff];
+}
+
+function mulawEncodeSample(sample) {
+  const sign = sample < 0 ? 0x80 : 0;
+  let x = Math.min(Math.abs(sample), CLIP) + BIAS;
+  let exponent = 7;
+  for (let mask = 0x4000; (x & mask) === 0 && exponent > 0; mask >>= 1) exponent--;
+  const mantissa = (x >> (exponent + 3)) & 0x0f;
+  return ~(sign | (exponent << 4) | mantissa) & 0xff;
+}
+
+/** μ-law bytes -> Int16Array of PCM samples. */
+function mulawToPcm16(ulaw) {
+  const out = new Int16Array(ulaw.length);
+  for (let i = 0; i < ulaw.length; i++) out[i] = DECODE_TABLE[ulaw[i]];
+  return out;
+}
+
+/** Int16Array (or array of numbers) of PCM samples -> μ-law Buffer. */
+function pcm16ToMulaw(samples) {
+  const out = Buffer.alloc(samples.length);
+  for (let i = 0; i < samples.length; i++) out[i] = mulawEncodeSample(samples[i]);
+  return out;
+}
+
+/** Mean absolute amplitude of a μ-law chunk (0..32124); a cheap loudness measure. */
+function mulawLevel(ulaw) {
+  if (!ulaw.length) return 0;
+  let sum = 0;
+  for (const b of ulaw) sum += Math.abs(DECODE_TABLE[b]);
+  return sum / ulaw.length;
+}
+
+/** 44-byte canonical WAV header for 16-bit PCM. */
+function wavHeader({ channels = 1, sampleRate = 8000, dataBytes }) {
+  const blockAlign = channels * 2;
+  const h = Buffer.alloc(44);
+  h.write("RIFF", 0, "ascii");
+  h.writeUInt32LE(36 + dataBytes, 4);
+  h.write("WAVE", 8, "ascii");
+  h.write("fmt ", 12, "ascii");
+  h.writeUInt32LE(16, 16);            // fmt chunk size
+  h.writeUInt16LE(1, 20);             // PCM
+  h.writeUInt16LE(channels, 22);
+  h.writeUInt32LE(sampleRate, 24);
+  h.writeUInt32LE(sampleRate * blockAlign, 28);
+  h.writeUInt16LE(blockAlign, 32);
+  h.writeUInt16LE(16, 34);            // bits per sample
+  h.write("data", 36, "ascii");
+  h.writeUInt32LE(dataBytes, 40);
+  return h;
+}
+
+/**
+ * Interleave equal-rate PCM channels into a 16-bit WAV file.
+ * Shorter channels are padded with silence.
+ * @param {Int16Array[]} channels
+ */
+function encodeWav(channels, { sampleRate = 8000 } = {}) {
+  const frames = Math.max(0, ...channels.map(c => c.length));
+  const data = Buffer.alloc(frames * channels.length * 2);
+  for (let i = 0, off = 0; i < frames; i++) {
+    for (const ch of channels) {
+      data.writeInt16LE(i < ch.length ? ch[i] : 0, off);
+      off += 2;
+    }
+  }
+  return Buffer.concat([wavHeader({ channels: channels.length, sampleRate, dataBytes: data.length }), data]);
+}
+
+/** WAV file (8 kHz mono, μ-law or 16-bit PCM) -> μ-law bytes; anything that isn't RIFF is taken as raw μ-law. */
+function wavToMulaw(buf) {
+  if (buf.toString("ascii", 0, 4) !== "RIFF") return buf;
+  let fmt = null;
+  for (let off = 12; off + 8 <= buf.length;) {
+    const id = buf.toString("ascii", off, off + 4);
+    const size = buf.readUInt32LE(off + 4);
+    const body = buf.subarray(off + 8, off + 8 + size);
+    if (id === "fmt ") fmt = { format: body.readUInt16LE(0), channels: body.readUInt16LE(2), sampleRate: body.readUInt32LE(4), bits: body.readUInt16LE(14) };
+    if (id === "data") {
+      if (!fmt || fmt.channels !== 1 || fmt.sampleRate !== 8000) throw new Error("WAV must be 8 kHz mono");
+      if (fmt.format === 7) return Buffer.from(body);
+      if (fmt.format !== 1 || fmt.bits !== 16) throw new Error("WAV must be μ-law or 16-bit PCM");
+      const samples = new Int16Array(body.length >> 1);
+      for (let i = 0; i < samples.length; i++) samples[i] = body.readInt16LE(i * 2);
+      return pcm16ToMulaw(samples);
+    }
+    off += 8 + size + (size % 2);
+  }
+  throw new Error("WAV has no data chunk");
+}
+
+/** A sine tone as μ-law, with short fades so it doesn't click. */
+function toneMulaw({ hz, ms, amplitude = 4000, sampleRate = 8000 }) {
+  const n = Math.round((ms * sampleRate) / 1000);
+  const ramp = sampleRate / 100; // 10ms
+  const samples = new Int16Array(n);
+  for (let i = 0; i < n; i++) {
+    samples[i] = Math.round(amplitude * Math.min(1, i / ramp, (n - i) / ramp) * Math.sin((2 * Math.PI * hz * i) / sampleRate));
+  }
+  return pcm16ToMulaw(samples);
+}
+
+module.exports = {
+  MULAW_SILENCE,
+  mulawDecodeSample,
+  mulawEncodeSample,
+  mulawToPcm16,
+  pcm16ToMulaw,
+  mulawLevel,
+  wavHeader,
+  encodeWav,
+  wavToMulaw,
+  toneMulaw,
+};
@@ -0,0 +1,308 @@
+// backend/compliance.js
+// Server-side gate in front of every outbound call: E.164 numbers, Do-Not-Call list,
+// stored consent, local calling hours and per-number frequency caps.
+const fs = require("fs");
+const { dataPath, readJson, writeJson } = require("./storage");
+
+class ComplianceError extends Error {
+  constructor(code, message, { httpStatus = 403, retryAt = null } = {}) {
+    super(message);
+    this.name = "ComplianceError";
+    this.code = code;
+    this.httpStatus = httpStatus;
+    this.retryAt = retryAt; // ISO time the call may be retried (hours / caps), else null
+  }
+}
+
+// ---- Phone numbers ----
+/** Normalize to E.164. Bare 10/11-digit numbers are treated as NANP (+1). Returns null if invalid. */
+function normalizePhone(raw) {
+  const s = String(raw || "").trim();
+  const digits = s.replace(/\D/g, "");
+  let e164 = null;
+  if (s.startsWith("+")) e164 = `+${digits}`;
+  else if (digits.length === 10) e164 = `+1${digits}`;
+  else if (digits.length === 11 && digits.startsWith("1")) e164 = `+${digits}`;
+  if (!e164 || !/^\+[1-9]\d{7,14}$/.test(e164)) return null;
+  // NANP: area code and exchange can't start with 0/1
+  if (e164.startsWith("+1") && !/^\+1[2-9]\d{2}[2-9]\d{6}$/.test(e164)) return null;
+  return e164;
+}
+
+// ---- Area code -> timezone (US). Unknown codes must satisfy the window in every zone. ----
+const AREA_CODE_ZONES = {
+  "America/New_York": "201 202 203 207 212 215 216 223 229 231 234 239 240 248 252 267 269 272 276 301 302 304 305 313 315 317 321 330 336 339 347 351 352 380 386 401 404 407 410 412 413 434 440 443 448 470 475 478 484 508 513 516 517 518 540 551 561 567 570 571 585 586 603 607 609 610 614 616 617 631 646 656 667 678 680 681 689 703 704 706 716 717 718 724 727 732 734 740 743 754 757 762 765 770 772 774 781 786 802 803 804 810 813 814 828 835 843 845 848 850 856 857 859 860 862 863 864 865 878 904 908 910 912 914 917 919 929 934 937 941 947 954 959 973 978 980 984 989",
+  "America/Chicago": "205 210 214 217 218 219 224 225 251 254 256 262 270 281 309 312 314 316 318 319 320 331 334 337 346 361 402 405 409 414 417 430 432 469 479 501 504 507 512 515 531 563 573 580 601 605 608 612 615 618 620 630 636 641 651 660 662 682 701 708 712 713 715 726 731 737 763 769 773 779 785 815 816 830 832 847 870 872 901 903 913 918 920 931 936 940 952 956 972 979 985",
+  "America/Denver": "208 303 307 385 406 435 505 575 719 720 801 915 970 986",
+  "America/Phoenix": "480 520 602 623 928",
+  "America/Los_Angeles": "209 213 253 279 310 323 341 360 408 415 424 425 442 458 503 509 510 530 541 559 562 564 619 626 628 650 657 661 669 702 707 714 725 747 760 775 805 818 820 831 858 909 916 925 949 951 971",
+  "America/Anchorage": "907",
+  "Pacific/Honolulu": "808",
+};
+const AREA_CODE_TZ = {};
+for (const [tz, codes] of Object.entries(AREA_CODE_ZONES)) for (const c of codes.split(" ")) AREA_CODE_TZ[c] = tz;
+const CONTINENTAL_ZONES = ["America/New_York", "America/Chicago", "America/Denver", "America/Los_Angeles"];
+
+function isValidTimezone(tz) {
+  if (!tz || typeof tz !== "string") return false;
+  try { new Intl.DateTimeFormat("en-US", { timeZone: tz }); return true; }
+  catch { return false; }
+}
+
+/**
+ * Timezones the calling window must be open in: the area code's zone (or every continental
+ * zone when unknown), plus an explicit tz. The explicit one can only narrow the window.
+ */
+function calleeTimezones(e164, timezone) {
+  const tz = e164.startsWith("+1") ? AREA_CODE_TZ[e164.slice(2, 5)] : null;
+  const zones = tz ? [tz] : CONTINENTAL_ZONES;
+  return isValidTimezone(timezone) && !zones.includes(timezone) ? [...zones, timezone] : zones;
+}
+
+/** The callee's single timezone when it is known (explicit, or by area code), else null. */
+function calleeTimezone(phone, timezone = null) {
+  if (isValidTimezone(timezone)) return timezone;
+  const e164 = normalizePhone(phone);
+  const tz = e164?.startsWith("+1") ? AREA_CODE_TZ[e164.slice(2, 5)] : null;
+  return tz || null;
+}
+
+// ---- Calling hours ----
+const DAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+function callingHoursConfig() {
+  const [start, end] = (process.env.CALLING_HOURS || "09:00-20:00").split("-");
+  const toMin = (t) => { const [h, m] = t.split(":").map(Number); return h * 60 + (m || 0); };
+  return {
+    startMin: toMin(start),
+    endMin: toMin(end),
+    days: (process.env.CALLING_DAYS || "sun,mon,tue,wed,thu,fri,sat").split(",").map(d => d.trim().toLowerCase()),
+  };
+}
+
+function localClock(date, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat("en-US", {
+    timeZone, weekday: "short", hour: "2-digit", minute: "2-digit", hourCycle: "h23",
+  }).formatToParts(date).map(p => [p.type, p.value]));
+  return { day: parts.weekday.toLowerCase(), minutes: Number(parts.hour) * 60 + Number(parts.minute) };
+}
+
+function withinCallingHours(date, zones) {
+  const { startMin, endMin, days } = callingHoursConfig();
+  return zones.every(tz => {
+    const { day, minutes } = localClock(date, tz);
+    return days.includes(day) && minutes >= startMin && minutes < endMin;
+  });
+}
+
+/** First time (15-minute steps, up to 8 days out) the window is open in every zone. */
+function nextCallingWindow(now, zones) {
+  const step = 15 * 60 * 1000;
+  const start = Math.ceil(now.getTime() / step) * step;
+  for (let t = start; t < now.getTime() + 8 * 24 * 60 * 60 * 1000; t += step) {
+    if (withinCallingHours(new Date(t), zones)) return new Date(t);
+  }
+  return null;
+}
+
+// ---- Do-Not-Call list (data/dnc.json) ----
+function dncFile() { return dataPath("dnc.json"); }
+function loadDnc() { return readJson(dncFile(), { numbers: {} }).numbers; }
+
+function isOnDnc(phone) {
+  return Boolean(getDncEntry(phone));
+}
+
+/** { addedAt, source, reason } for a listed number, else null. */
+function getDncEntry(phone) {
+  const e164 = normalizePhone(phone);
+  return (e164 && loadDnc()[e164]) || null;
+}
+
+function addToDnc(phone, { source = "api", reason = null } = {}) {
+  const e164 = normalizePhone(phone);
+  if (!e164) throw new ComplianceError("PHONE_INVALID", "Invalid phone number", { httpStatus: 400 });
+  const numbers = loadDnc();
+  if (!numbers[e164]) {
+    numbers[e164] = { addedAt: new Date().toISOString(), source, reason };
+    writeJson(dncFile(), { numbers });
+    console.log("[compliance] added to DNC:", e164, `(${source})`);
+  }
+  return { phone: e164, ...numbers[e164] };
+}
+
+function removeFromDnc(phone) {
+  const e164 = normalizePhone(phone);
+  const numbers = loadDnc();
+  if (!e164 || !numbers[e164]) return false;
+  delete numbers[e164];
+  writeJson(dncFile(), { numbers });
+  console.log("[compliance] removed from DNC:", e164);
+  return true;
+}
+
+// Caller asked us to stop (mid-call safety net next to the opt_out tool; inbound SMS). Explicit
+// phrasing only: "don't call me again" / "stop calling", never "don't call me before 5pm".
+const OPT_OUT_PATTERN = new RegExp([
+  String.raw`\bstop (calling|texting|contacting)\b`,
+  String.raw`\b(don['’]?t|do not|never)( ever)? call (me|here|this number)( (again|anymore|any more|ever))\b`,
+  String.raw`\b(don['’]?t|do not|never)( ever)? call (me|here|this number)( back)?\s*([.!,;]|$)`, // nothing after it
+  String.raw`\b(put me on|add me to) (your|the) do[- ]not[- ]call list\b`,
+  String.raw`\bremove me from (your|the) (list|calls|calling list)\b`,
+  String.raw`\btake me off (your|the) (list|calling list)\b`,
+].join("|"), "i");
+function isOptOutRequest(text) { return OPT_OUT_PATTERN.test(String(text || "")); }
+
+// ---- Consent (data/consent.jsonl, append-only) ----
+function consentFile() { return dataPath("consent.jsonl"); }
+
+function recordConsent({ phone, name = null, ip = null, source, userAgent = null }) {
+  const e164 = normalizePhone(phone);
+  if (!e164) throw new ComplianceError("PHONE_INVALID", "Invalid phone number", { httpStatus: 400 });
+  const entry = { phone: e164, name, consentedAt: new Date().toISOString(), ip, source, userAgent };
+  fs.appendFileSync(consentFile(), JSON.stringify(entry) + "\n");
+  return entry;
+}
+
+function findConsent(phone) {
+  const e164 = normalizePhone(phone);
+  let lines = [];
+  try { lines = fs.readFileSync(consentFile(), "utf8").split("\n"); } catch {}
+  let latest = null;
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    try {
+      const entry = JSON.parse(line);
+      if (entry.phone === e164) latest = entry;
+    } catch {}
+  }
+  return latest;
+}
+
+// ---- Frequency caps (data/call-attempts.json) ----
+const DAY_MS = 24 * 60 * 60 * 1000;
+function attemptsFile() { return dataPath("call-attempts.json"); }
+
+function recordCallAttempt(phone, at = new Date()) {
+  const e164 = normalizePhone(phone);
+  const attempts = readJson(attemptsFile(), { numbers: {} }).numbers;
+  // Keep a week of history per number
+  const recent = (attempts[e164] || []).filter(t => at - Date.parse(t) < 7 * DAY_MS);
+  recent.push(at.toISOString());
+  attempts[e164] = recent;
+  writeJson(attemptsFile(), { numbers: attempts });
+}
+
+function frequencyCapRetryAt(e164, now) {
+  const perDay = Number(process.env.CALL_CAP_PER_DAY || 3);
+  const perWeek = Number(process.env.CALL_CAP_PER_WEEK || 7);
+  const times = (readJson(attemptsFile(), { numbers: {} }).numbers[e164] || []).map(t => Date.parse(t)).sort();
+  const lastDay = times.filter(t => now - t < DAY_MS);
+  const lastWeek = times.filter(t => now - t < 7 * DAY_MS);
+  if (lastWeek.length >= perWeek) return new Date(lastWeek[lastWeek.length - perWeek] + 7 * DAY_MS);
+  if (lastDay.length >= perDay) return new Date(lastDay[lastDay.length - perDay] + DAY_MS);
+  return null;
+}
+
+// ---- The gate ----
+/**
+ * Throws ComplianceError if the number may not be called now; returns the E.164 number otherwise.
+ * Codes: PHONE_INVALID, TIMEZONE_INVALID, DNC_LISTED, NO_CONSENT, OUTSIDE_CALLING_HOURS, FREQUENCY_CAP.
+ */
+function assertCallAllowed({ phone, timezone = null, now = new Date() }) {
+  const e164 = normalizePhone(phone);
+  if (!e164) throw new ComplianceError("PHONE_INVALID", "Phone number is not a valid E.164 / US number", { httpStatus: 400 });
+  if (timezone && !isValidTimezone(timezone)) {
+    throw new ComplianceError("TIMEZONE_INVALID", `Unknown timezone "${timezone}" (use an IANA name like America/Chicago)`, { httpStatus: 400 });
+  }
+  if (isOnDnc(e164)) throw new ComplianceError("DNC_LISTED", "Number is on the Do-Not-Call list");
+  if (!findConsent(e164)) throw new ComplianceError("NO_CONSENT", "No consent on record for this number");
+
+  const zones = calleeTimezones(e164, timezone);
+  if (!withinCallingHours(now, zones)) {
+    const next = nextCallingWindow(now, zones);
+    throw new ComplianceError("OUTSIDE_CALLING_HOURS", `Outside calling hours for ${zones.join(" / ")}`,
+      { httpStatus: 409, retryAt: next ? next.toISOString() : null });
+  }
+
+  const capRetry = frequencyCapRetryAt(e164, now.getTime());
+  if (capRetry) {
+    throw new ComplianceError("FREQUENCY_CAP", "Too many recent calls to this number",
+      { httpStatus: 429, retryAt: capRetry.toISOString() });
+  }
+  return e164;
+}
+
+// ---- Realtime tool: caller asks not to be called again ----
+const TOOLS = [
+  {
+    definition: {
+      type: "function",
+      name: "opt_out",
+      description: "Add the caller to the Do-Not-Call list. Use as soon as they ask to stop being called or to be removed from the list; then apologize briefly and end politely.",
+      parameters: {
+        type: "object",
+        properties: {
+          reason: { type: "string", description: "Caller's words, briefly" },
+        },
+      },
+    },
+    handler: ({ reason } = {}, { callSid, session } = {}) => {
+      if (!session?.phone) return { ok: false, error: "no_phone_on_call" };
+      addToDnc(session.phone, { source: `call:${callSid}`, reason: reason || "asked on call" });
+      session.optedOut = true;
+      return { ok: true };
+    },
+  },
+];
+
+// ---- Routes ----
+async function complianceRoutes(fastify) {
+  const sendError = (reply, e) => {
+    if (e instanceof ComplianceError) return reply.code(e.httpStatus).send({ error: e.message, code: e.code });
+    throw e;
+  };
+
+  fastify.get("/api/dnc", async () => ({
+    numbers: Object.entries(loadDnc()).map(([phone, info]) => ({ phone, ...info })),
+  }));
+
+  // Opt-out: { phone, reason? }
+  fastify.post("/api/dnc", async (req, reply) => {
+    try {
+      return { ok: true, entry: addToDnc(req.body?.phone, { source: "api", reason: req.body?.reason || null }) };
+    } catch (e) { return sendError(reply, e); }
+  });
+
+  fastify.delete("/api/dnc/:phone", async (req, reply) => {
+    if (!removeFromDnc(req.params.phone)) return reply.code(404).send({ error: "Number not on DNC list" });
+    return { ok: true };
+  });
+
+  // Dry-run the gate for a number: { phone, timezone? }
+  fastify.post("/api/compliance/check", async (req, reply) => {
+    try {
+      return { ok: true, phone: assertCallAllowed({ phone: req.body?.phone, timezone: req.body?.timezone }) };
+    } catch (e) {
+      if (e instanceof ComplianceError) return reply.code(e.httpStatus).send({ ok: false, error: e.message, code: e.code, retryAt: e.retryAt });
+      throw e;
+    }
+  });
+}
+
+module.exports = {
+  ComplianceError,
+  normalizePhone,
+  calleeTimezone,
+  assertCallAllowed,
+  recordConsent,
+  findConsent,
+  recordCallAttempt,
+  addToDnc,
+  removeFromDnc,
+  isOnDnc,
+  getDncEntry,
+  isOptOutRequest,
+  complianceRoutes,
+  TOOLS,
+};
@@ -0,0 +1,24 @@
+// backend/events.js
+// Process-wide call event bus. Emitters:
+//   "outcome" (record) — structured call outcome, once per finished call
+//   "status"  (evt)    — Twilio call status callback { callSid, status, duration, ... }
+//   "amd"     (evt)    — answering machine detection { callSid, answeredBy, detectionMs }
+//   "live"    (evt)    — live call feed { callSid, type, at, ... }: call.created, call.connected,
+//                        transcript.delta / transcript.done { role, delta | text }, call.ended,
+//                        agent.interrupted, call.transfer, supervisor.*
+const { EventEmitter } = require("events");
+
+const callEvents = new EventEmitter();
+// Per event name: one "amd" listener per live media bridge, one "live" / "status" / "outcome"
+// listener per dashboard stream, plus a few services (dialer, callbacks, SMS, start-call waits).
+// Each bridge / stream removes its own on close; past this limit Node warns, which means a leak.
+const MAX_LIVE_CALLS = 60;
+const MAX_DASHBOARD_STREAMS = 20;
+const SERVICE_LISTENERS = 10;
+callEvents.setMaxListeners(MAX_LIVE_CALLS + MAX_DASHBOARD_STREAMS + SERVICE_LISTENERS);
+
+function emitLive(callSid, type, data = {}) {
+  if (callSid) callEvents.emit("live", { callSid, type, at: new Date().toISOString(), ...data });
+}
+
+module.exports = { callEvents, emitLive };
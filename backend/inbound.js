@@ -0,0 +1,97 @@
+// backend/inbound.js
+// Calls *to* TWILIO_NUMBER: recognize the caller by their From number (campaign leads,
+// inbound leads, past calls), carry their last call into the prompt, and keep unknown
+// callers as new leads in data/inbound-leads.json.
+const crypto = require("crypto");
+const { dataPath, readJson, writeJson } = require("./storage");
+const { normalizePhone, calleeTimezone } = require("./compliance");
+const { queryCalls, parseFilters } = require("./callHistory");
+const { formatWhen } = require("./callbacks");
+const { getClub } = require("./clubs");
+const { resolveLanguage } = require("./languages");
+
+const inboundPersonaId = () => process.env.INBOUND_PERSONA || "inbound";
+
+// Opening instruction for the bridge (instead of "introduce yourself and ask if now is a good time")
+const INBOUND_KICKOFF = "The caller just phoned us. Answer the call with the step‑by‑step flow, starting with the greeting.";
+
+// ---- Inbound leads (callers we had no lead for) ----
+function leadsFile() { return dataPath("inbound-leads.json"); }
+function loadLeads() { return readJson(leadsFile(), { leads: [] }).leads; }
+function saveLeads(leads) { writeJson(leadsFile(), { leads }); }
+
+function findInboundLead(phone) {
+  return loadLeads().find(l => l.phone === phone) || null;
+}
+
+/** The inbound lead for this number (created on first call); the call is added to its history. */
+function captureLead(phone, { name = null, callSid = null } = {}) {
+  const leads = loadLeads();
+  let lead = leads.find(l => l.phone === phone);
+  if (!lead) {
+    lead = { id: `lead_${crypto.randomBytes(6).toString("hex")}`, phone, name, source: "inbound", createdAt: new Date().toISOString(), calls: [] };
+    leads.push(lead);
+    console.log("[inbound] new lead", lead.id, "for", phone);
+  }
+  if (callSid) lead.calls.push({ callSid, at: new Date().toISOString() });
+  saveLeads(leads);
+  return lead;
+}
+
+/** After an inbound call: keep the name the caller gave and their latest outcome on the lead. */
+function updateLeadFromOutcome(record) {
+  if (record.direction !== "inbound" || !record.leadId) return null;
+  const leads = loadLeads();
+  const lead = leads.find(l => l.id === record.leadId);
+  if (!lead) return null; // a campaign lead; the campaign keeps its own history
+  if (!lead.name && record.firstName) lead.name = record.firstName;
+  lead.lastOutcome = record.outcome;
+  lead.updatedAt = new Date().toISOString();
+  saveLeads(leads);
+  return lead;
+}
+
+// ---- Caller lookup ----
+/**
+ * Everything we know about the number calling in. `findLead` is the campaign lookup
+ * (CampaignDialer#findLead); `sessions` finds a call to them that is still live.
+ */
+function identifyCaller(from, { findLead = () => null, sessions = null } = {}) {
+  const phone = normalizePhone(from);
+  if (!phone) return { phone: null, known: false, name: null, lastCall: null, variables: {}, language: null };
+
+  const match = findLead(phone);
+  const inboundLead = match ? null : findInboundLead(phone);
+  const last = queryCalls(parseFilters({ phone }))[0] || null;
+  const live = sessions?.findByPhone(phone) || null;
+  const name = match?.lead.name || inboundLead?.name || last?.name || live?.name || null;
+  const leadClub = match?.lead.fields?.club;
+
+  return {
+    phone,
+    known: Boolean(name || last),
+    name,
+    leadId: match?.lead.id || inboundLead?.id || null,
+    campaignId: match?.campaign.id || null,
+    clubId: (getClub(leadClub) && leadClub) || match?.campaign.settings.club || last?.clubId || null,
+    variables: match ? { ...match.campaign.settings.variables, ...match.lead.fields } : {},
+    // The lead's language, else whatever we ended up speaking last time
+    language: resolveLanguage(match?.lead.fields?.language) || resolveLanguage(match?.campaign.settings.language) || last?.language || null,
+    lastCall: last && {
+      callSid: last.callSid,
+      when: formatWhen(new Date(last.startedAt), calleeTimezone(phone) || Intl.DateTimeFormat().resolvedOptions().timeZone),
+      direction: last.direction || "outbound",
+      outcome: last.outcome,
+      summary: last.summary || null,
+      appointmentTime: last.appointment ? last.appointmentTime : null,
+      callbackWindow: last.callbackWindow || null,
+    },
+  };
+}
+
+// ---- Routes ----
+async function inboundRoutes(fastify) {
+  fastify.get("/api/inbound/leads", async () => ({ leads: loadLeads().reverse() }));
+}
+
+module.exports = { INBOUND_KICKOFF, inboundPersonaId, identifyCaller, captureLead, updateLeadFromOutcome, inboundRoutes };
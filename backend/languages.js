@@ -0,0 +1,168 @@
+// backend/languages.js
+// Call languages. The lead's preferred language (demo form chip, campaign column or setting)
+// picks the <Say> connect message, the agent's opening line, the Realtime voice and the
+// transcription hint; switch_language records it when the caller changes language mid-call.
+const { readJson } = require("./storage");
+
+// Keyed by ISO 639-1 code (what input_audio_transcription.language takes). `say` is the
+// Twilio <Say> language + Polly voice; `voice` null keeps the persona's voice.
+const DEFAULT_LANGUAGES = {
+  en: {
+    name: "English",
+    native: "English",
+    aliases: [],
+    say: { language: null, voice: null },
+    connect: "Please wait while I connect you to a {{clubName}} expert.",
+    opening: null, // the persona's own call flow
+    voice: null,
+  },
+  es: {
+    name: "Spanish",
+    native: "Español",
+    aliases: ["castellano"],
+    say: { language: "es-US", voice: "Polly.Lupe" },
+    connect: "Por favor, espere mientras le comunico con un experto de {{clubName}}.",
+    opening: "Hola {{firstName}}, soy {{agentName}}, asistente virtual de {{clubName}}. ¿Tiene un momento para hablar?",
+    voice: "coral",
+  },
+  fr: {
+    name: "French",
+    native: "Français",
+    aliases: [],
+    say: { language: "fr-FR", voice: "Polly.Lea" },
+    connect: "Veuillez patienter, je vous mets en relation avec un expert {{clubName}}.",
+    opening: "Bonjour {{firstName}}, ici {{agentName}}, l'assistante virtuelle de {{clubName}}. Vous avez un instant ?",
+    voice: "shimmer",
+  },
+  ar: {
+    name: "Arabic",
+    native: "العربية",
+    aliases: [],
+    say: { language: "arb", voice: "Polly.Zeina" },
+    connect: "يرجى الانتظار بينما أقوم بتوصيلك بأحد خبراء {{clubName}}.",
+    opening: "مرحباً {{firstName}}، معك {{agentName}}، المساعدة الافتراضية من {{clubName}}. هل لديك دقيقة للحديث؟",
+    voice: "sage",
+  },
+  zh: {
+    name: "Mandarin Chinese",
+    native: "中文",
+    aliases: ["chinese", "mandarin", "普通话"],
+    say: { language: "cmn-CN", voice: "Polly.Zhiyu" },
+    connect: "请稍候，我正在为您转接{{clubName}}的专家。",
+    opening: "{{firstName}}您好，我是{{clubName}}的虚拟助理{{agentName}}。您现在方便聊几句吗？",
+    voice: "alloy",
+  },
+  hi: {
+    name: "Hindi",
+    native: "हिन्दी",
+    aliases: [],
+    say: { language: "hi-IN", voice: "Polly.Aditi" },
+    connect: "कृपया प्रतीक्षा करें, मैं आपको {{clubName}} के एक विशेषज्ञ से जोड़ रही हूँ।",
+    opening: "नमस्ते {{firstName}}, मैं {{clubName}} की वर्चुअल असिस्टेंट {{agentName}} बोल रही हूँ। क्या आपके पास बात करने के लिए एक मिनट है?",
+    voice: "shimmer",
+  },
+  pt: {
+    name: "Portuguese",
+    native: "Português",
+    aliases: [],
+    say: { language: "pt-BR", voice: "Polly.Camila" },
+    connect: "Por favor, aguarde enquanto conecto você a um especialista da {{clubName}}.",
+    opening: "Olá {{firstName}}, aqui é {{agentName}}, assistente virtual da {{clubName}}. Você tem um minutinho?",
+    voice: "coral",
+  },
+};
+
+const ISO_CODE = /^[a-z]{2}$/;
+
+/** Built-in languages, overridden (or extended) per code by LANGUAGES_FILE (JSON). */
+function languages() {
+  const file = process.env.LANGUAGES_FILE;
+  if (!file) return DEFAULT_LANGUAGES;
+  const all = { ...DEFAULT_LANGUAGES };
+  for (const [code, def] of Object.entries(readJson(file, {}))) {
+    if (!ISO_CODE.test(code) || !def || typeof def !== "object") { console.warn("[languages] skipping", code, "in", file); continue; }
+    all[code] = { aliases: [], say: { language: null, voice: null }, opening: null, voice: null, ...all[code], ...def };
+  }
+  return all;
+}
+
+const getLanguage = (code) => (code && languages()[code]) || null;
+
+/** "es", "es-MX", "Spanish", "Español" ... -> "es"; null when we don't have that language. */
+function resolveLanguage(input) {
+  const s = String(input ?? "").trim().toLowerCase();
+  if (!s) return null;
+  const all = languages();
+  const code = s.split(/[-_]/)[0];
+  if (all[code] && (s === code || /^[a-z]{2}[-_]/.test(s))) return code;
+  return Object.keys(all).find(c => [all[c].name, all[c].native, ...(all[c].aliases || [])].some(n => String(n).toLowerCase() === s)) || null;
+}
+
+/** English name for any ISO 639-1 code (ours, or whatever the caller switched to). */
+function languageName(code) {
+  if (!code) return null;
+  const lang = getLanguage(code);
+  if (lang) return lang.name;
+  try { return new Intl.DisplayNames(["en"], { type: "language" }).of(code) || code; }
+  catch { return code; }
+}
+
+function render(text, vars) {
+  return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (_m, name) => vars[name] ?? "");
+}
+
+/** The <Say> before the stream connects, in the call's language. */
+function connectMessage(code, vars) {
+  const lang = getLanguage(code) || DEFAULT_LANGUAGES.en;
+  return { text: render(lang.connect, vars), language: lang.say?.language || null, voice: lang.say?.voice || null };
+}
+
+/** Localized first line for an outbound call; null for English (the persona's flow opens). */
+function openingLine(code, vars) {
+  const opening = getLanguage(code)?.opening;
+  return opening ? render(opening, vars) : null;
+}
+
+/** Realtime voice for the language, or null to keep the persona's. */
+const languageVoice = (code) => getLanguage(code)?.voice || null;
+
+// ---- Agent tool ----
+const TOOLS = [
+  {
+    definition: {
+      type: "function",
+      name: "switch_language",
+      description:
+        "Call this when the caller starts speaking a different language than the one you're using, or asks you to switch. " +
+        "Then carry on in that language.",
+      parameters: {
+        type: "object",
+        properties: {
+          language: { type: "string", description: "ISO 639-1 code of the language you're switching to, e.g. es, fr, zh" },
+        },
+        required: ["language"],
+      },
+    },
+    handler: async ({ language }, { session }) => {
+      if (!session) return { ok: false, error: "no_session" };
+      const to = resolveLanguage(language) || String(language || "").trim().toLowerCase();
+      if (!ISO_CODE.test(to)) return { ok: false, error: "unknown_language" };
+      if (to === session.language) return { ok: true, language: languageName(to), unchanged: true };
+      session.languageSwitches = [...(session.languageSwitches || []), { from: session.language || null, to, at: new Date().toISOString() }];
+      session.language = to;
+      return { ok: true, language: languageName(to) };
+    },
+  },
+];
+
+module.exports = {
+  DEFAULT_LANGUAGES,
+  languages,
+  getLanguage,
+  resolveLanguage,
+  languageName,
+  connectMessage,
+  openingLine,
+  languageVoice,
+  TOOLS,
+};
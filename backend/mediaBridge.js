@@ -0,0 +1,828 @@
+// backend/mediaBridge.js
+// One Twilio Media Stream <-> OpenAI Realtime bridge per call.
+// States: connecting -> configured -> speaking <-> listening -> closing
+// Turn taking is either the Realtime server VAD ("server_vad") or local end-of-speech
+// detection with explicit input_audio_buffer.commit ("manual"). A Realtime socket that drops
+// mid-call is re-opened with backoff (the caller hears a filler meanwhile) and the
+// conversation so far is replayed into the new session.
+const { EventEmitter } = require("events");
+const WebSocket = require("ws");
+const { getToolDefinitions, runTool } = require("./tools");
+const { callEvents, emitLive } = require("./events");
+const { VOICEMAIL_ANSWERS, HANGUP_ANSWERS } = require("./callLifecycle");
+const { addToDnc, isOptOutRequest } = require("./compliance");
+const { transferNumber } = require("./transfer");
+const { MULAW_SILENCE, mulawLevel, toneMulaw } = require("./codec");
+const { CallRecorder, saveRecording } = require("./recording");
+const { CallStats, recordRateLimits } = require("./metrics");
+
+const STATES = ["connecting", "configured", "speaking", "listening", "closing"];
+const TURN_DETECTION_MODES = ["server_vad", "manual"];
+
+// Ids for the prompts we inject as user messages, so they are never recorded as caller speech
+const BOOTSTRAP_ITEM_ID = "item_bootstrap";
+const VOICEMAIL_ITEM_ID = "item_voicemail";
+const REPLAY_ITEM_PREFIX = "item_replay_"; // turns replayed into a re-opened Realtime session
+
+// Realtime events worth a console line
+const LOG_EVENT_TYPES = [
+  "error",
+  "response.done",
+  "input_audio_buffer.committed",
+  "input_audio_buffer.speech_started",
+  "input_audio_buffer.speech_stopped",
+  "session.created",
+];
+
+// First user message: makes the agent speak first
+const DEFAULT_KICKOFF = "Begin the call with the step‑by‑step flow, starting with introducing yourself and confirming it's a good time to talk.";
+
+const VOICEMAIL_TIMEOUT_MS = 45 * 1000;
+const TRANSFER_MARK_TIMEOUT_MS = 15 * 1000;
+
+// Realtime drops worth retrying: going away, abnormal closure (network), server error / restart /
+// try again later. Handshake failures retry only on 429 and 5xx (not a bad key or model).
+const TRANSIENT_CLOSE_CODES = [1001, 1006, 1011, 1012, 1013, 1014];
+const isTransientFailure = ({ code, error }) => {
+  if (!error) return TRANSIENT_CLOSE_CODES.includes(code);
+  const status = /Unexpected server response: (\d+)/.exec(error.message || "")?.[1];
+  return !status || status === "429" || status.startsWith("5");
+};
+const FILLER_REPEAT_MS = 4000;
+
+// Played while reconnecting when no REALTIME_FILLER_FILE is set: a soft two-note "hold on" chime
+const DEFAULT_FILLER = Buffer.concat([
+  toneMulaw({ hz: 660, ms: 160 }), Buffer.alloc(800, MULAW_SILENCE), toneMulaw({ hz: 880, ms: 220 }),
+]);
+
+const firstNameOf = (s) => (s || "").trim().split(/\s+/)[0] || "";
+
+class MediaBridge extends EventEmitter {
+  /**
+   * @param {WebSocket} twilioWS  Twilio media-stream socket
+   * @param {object} opts
+   * @param {object} opts.sessions              session store (get/create/save)
+   * @param {Function} opts.instructions        (callerName, session) -> system prompt
+   * @param {Function} opts.voicemailInstructions (callerName, session) -> voicemail prompt
+   * @param {Function} [opts.agentSettings]     session -> { voice, temperature } for this call's persona / language
+   * @param {Function} opts.connectRealtime     () -> voice provider connection (see providers/index.js)
+   * @param {Function} [opts.hangUp]            async (callSid, reason)
+   * @param {Function} [opts.transferCall]      async (callSid): replace the stream with the transfer <Dial>
+   * @param {object}  [opts.streamClaims]       verified stream token claims { callSid }
+   * @param {string}  [opts.turnDetection]      "server_vad" (default) | "manual"
+   * @param {Function} [opts.shouldRecord]      session -> record this call?
+   * @param {string}  [opts.model]              provider model, for latency/cost metrics
+   * @param {Function} [opts.kickoff]           session -> opening instruction (e.g. answering an inbound call)
+   * @param {number}  [opts.reconnectAttempts]  re-open a dropped Realtime socket this many times (0 = hang up)
+   * @param {number}  [opts.reconnectBaseMs]    backoff before the first attempt; doubles each time
+   * @param {Buffer}  [opts.fillerAudio]        μ-law played to the caller while reconnecting
+   */
+  constructor(twilioWS, opts = {}) {
+    super();
+    this.twilioWS = twilioWS;
+    this.opts = {
+      voice: "alloy",
+      turnDetection: "server_vad",
+      transcriptionModel: "gpt-4o-mini-transcribe",
+      appendMs: 100,          // manual: batch caller audio into ~100ms appends
+      silenceMs: 700,         // manual: commit after this much quiet following speech
+      speechThreshold: 600,   // manual: mean |sample| (16-bit) that counts as speech
+      configureDelayMs: 100,  // let the Realtime socket settle before the first session.update
+      reconnectAttempts: 3,
+      reconnectBaseMs: 250,
+      fillerAudio: DEFAULT_FILLER,
+      hangUp: async () => {},
+      transferCall: async () => { throw new Error("transfers not configured"); },
+      ...opts,
+    };
+    if (!TURN_DETECTION_MODES.includes(this.opts.turnDetection)) {
+      throw new Error(`turnDetection must be one of ${TURN_DETECTION_MODES.join(", ")}`);
+    }
+    this.sessions = this.opts.sessions;
+
+    this.state = "connecting";
+    this.callSid = null;
+    this.streamSid = null;
+    this.session = null;
+    this.callerName = firstNameOf(this.opts.callerName);
+
+    this.responseActive = false;     // a model response is currently streaming
+    this.toolOutputPending = false;  // tool output sent mid-response; ask for a follow-up once it ends
+    this.userPartial = "";
+
+    // Barge-in: how much of the current assistant item the caller has actually heard
+    this.latestMediaTimestamp = 0;       // Twilio's clock, from inbound media frames (ms)
+    this.responseStartTimestamp = null;  // Twilio clock when the current assistant item started playing
+    this.lastAssistantItem = null;
+    this.audioMarks = [];                // one "audio" mark per chunk sent and not yet played
+    this.truncatedItems = new Set();
+
+    this.voicemailMode = false;
+    this.voicemailResponseId = null;
+    this.supervisorWS = null;            // while set, caller audio goes to the supervisor instead of the model
+    this.transferMarked = false;
+    this.timers = new Set();
+    this.recorder = null;
+    this.recordingSaved = Promise.resolve(null); // settles once the WAV is written (after close)
+    this.talk = { agentMs: 0, callerMs: 0 };     // speech time per side, for talk/listen ratio
+    this.itemSentMs = 0;                         // agent audio sent for the current item
+    this.stats = new CallStats(this.opts.model); // latency, audio minutes, tokens -> session.metrics
+    this.turnLatency = null;                     // { itemId, ms } for the agent turn being spoken
+    this.transcriptionLanguage = null;           // language hint last sent to the model
+    this.outage = null;                          // { startedAt, reason, attempts } while reconnecting
+    this.lostSockets = new WeakSet();            // Realtime sockets already given up on
+
+    // Manual turn detection: pending append batch + end-of-speech tracking
+    this.pendingAudio = [];
+    this.pendingBytes = 0;
+    this.speaking = false;
+    this.silentMs = 0;
+    this.uncommittedMs = 0;
+
+    this.onAmd = this.onAmd.bind(this);
+    callEvents.on("amd", this.onAmd);
+
+    this.connectRealtime();
+
+    twilioWS.on("message", (message) => this.onTwilioMessage(message));
+    twilioWS.on("close", () => this.close("twilio ws closed"));
+    twilioWS.on("error", (e) => {
+      console.error("[twilio] socket error:", e?.message || e);
+      this.stats.error("twilio");
+    });
+  }
+
+  // ---- Realtime socket: open, and re-open after a transient drop ----
+  connectRealtime() {
+    const ws = this.opts.connectRealtime();
+    this.openaiWS = ws;
+
+    ws.on("open", () => {
+      if (ws !== this.openaiWS) return;
+      console.log("[realtime] connected");
+      this.later(() => (this.outage ? this.resume() : this.voicemailMode ? this.leaveVoicemail() : this.configure()), this.opts.configureDelayMs);
+    });
+    ws.on("message", (data) => { if (ws === this.openaiWS) this.onRealtimeMessage(data); });
+    ws.on("close", (code) => this.onRealtimeLost(ws, { code }));
+    ws.on("error", (e) => {
+      console.error("[realtime] socket error:", e?.message || e);
+      this.stats.error("realtime");
+      this.onRealtimeLost(ws, { error: e });
+    });
+  }
+
+  onRealtimeLost(ws, { code = null, error = null }) {
+    if (ws !== this.openaiWS || this.lostSockets.has(ws) || this.state === "closing") return;
+    this.lostSockets.add(ws);
+    try { if (ws.readyState <= WebSocket.OPEN) ws.close(); } catch {}
+    const reason = error ? `error: ${error.message || error}` : `closed (${code})`;
+    const attempts = this.outage?.attempts || 0;
+
+    if (this.voicemailMode || !isTransientFailure({ code, error }) || attempts >= this.opts.reconnectAttempts) {
+      if (this.outage) this.endOutage(false);
+      this.close(error ? "realtime error" : "realtime closed");
+      return;
+    }
+    if (!this.outage) {
+      console.warn("[realtime] lost mid-call:", reason, "- reconnecting");
+      this.outage = { startedAt: Date.now(), reason, attempts: 0 };
+      this.resetResponseState();
+      emitLive(this.callSid, "realtime.lost", { reason });
+      this.playFiller();
+    }
+    this.outage.attempts++;
+    const delay = this.opts.reconnectBaseMs * 2 ** (this.outage.attempts - 1);
+    console.log("[realtime] reconnect attempt", this.outage.attempts, "in", delay, "ms");
+    this.later(() => { if (this.state !== "closing") this.connectRealtime(); }, delay);
+  }
+
+  /** Whatever the dead socket was in the middle of won't finish. */
+  resetResponseState() {
+    this.responseActive = false;
+    this.toolOutputPending = false;
+    this.lastAssistantItem = null;
+    this.responseStartTimestamp = null;
+    this.audioMarks = [];
+    this.userPartial = "";
+    this.pendingAudio = [];
+    this.pendingBytes = 0;
+    this.speaking = false;
+    this.silentMs = 0;
+    this.uncommittedMs = 0;
+    this.stats.speechEndedAt = null;
+  }
+
+  /** "One moment…" for the caller, repeated until the model is back. */
+  playFiller() {
+    if (!this.outage || this.state === "closing") return;
+    if (this.streamSid && !this.supervisorWS && this.opts.fillerAudio?.length) {
+      this.playToCaller(this.opts.fillerAudio.toString("base64"));
+    }
+    this.outage.fillerTimer = this.later(() => this.playFiller(), FILLER_REPEAT_MS);
+  }
+
+  /** New socket is up: same session config, the conversation so far, then carry on. */
+  resume() {
+    if (this.state === "closing" || this.openaiWS.readyState !== WebSocket.OPEN) return;
+    const turns = this.currentSession()?.turns || [];
+    if (!turns.length) { this.configure(); this.endOutage(true); return; } // dropped before anyone spoke
+    this.sendToModel(
+      { type: "session.update", session: this.sessionConfig() },
+      ...turns.map((t, i) => ({
+        type: "conversation.item.create",
+        item: {
+          id: `${REPLAY_ITEM_PREFIX}${i}`,
+          type: "message",
+          role: t.role === "agent" ? "assistant" : "user",
+          content: [{ type: t.role === "agent" ? "text" : "input_text", text: t.text }],
+        },
+      })),
+      this.systemNote("The line dropped for a moment; the conversation so far is above. " +
+        "Say a quick “sorry about that” and pick up where you left off. Don't introduce yourself again."),
+      { type: "response.create" }
+    );
+    this.endOutage(true);
+  }
+
+  endOutage(recovered) {
+    const outage = this.outage;
+    this.outage = null;
+    clearTimeout(outage.fillerTimer);
+    this.timers.delete(outage.fillerTimer);
+    const recoveryMs = Date.now() - outage.startedAt;
+    if (recovered) {
+      this.stats.reconnect();
+      console.log("[realtime] reconnected after", recoveryMs, "ms,", outage.attempts, "attempt(s)");
+    } else {
+      console.error("[realtime] gave up reconnecting after", outage.attempts, "attempt(s)");
+    }
+    emitLive(this.callSid, recovered ? "realtime.recovered" : "realtime.failed", { recoveryMs, attempts: outage.attempts });
+    if (this.currentSession()) {
+      (this.session.realtimeOutages = this.session.realtimeOutages || []).push({
+        at: new Date(outage.startedAt).toISOString(), reason: outage.reason, attempts: outage.attempts, recovered, recoveryMs,
+      });
+      this.saveSession();
+    }
+  }
+
+  // ---- plumbing ----
+  setState(next) {
+    if (this.state === next || this.state === "closing") return;
+    const prev = this.state;
+    this.state = next;
+    this.emit("state", next, prev);
+  }
+
+  later(fn, ms) {
+    const t = setTimeout(() => { this.timers.delete(t); fn(); }, ms);
+    this.timers.add(t);
+    return t;
+  }
+
+  sendToModel(...payloads) {
+    if (this.openaiWS.readyState === WebSocket.OPEN) payloads.forEach(p => this.openaiWS.send(JSON.stringify(p)));
+  }
+
+  sendToTwilio(payload) {
+    if (this.twilioWS.readyState === WebSocket.OPEN) this.twilioWS.send(JSON.stringify(payload));
+  }
+
+  /** Audio to the caller (base64 μ-law); the recorder's agent channel gets a copy. */
+  playToCaller(payload) {
+    const chunk = Buffer.from(payload, "base64");
+    this.sendToTwilio({ event: "media", streamSid: this.streamSid, media: { payload } });
+    this.stats.audio("outbound", chunk.length);
+    this.recorder?.addAgent(chunk, this.latestMediaTimestamp);
+  }
+
+  /** Drop whatever Twilio still has buffered for the caller. */
+  clearPlayback() {
+    this.sendToTwilio({ event: "clear", streamSid: this.streamSid });
+    this.recorder?.clearAgent(this.latestMediaTimestamp);
+  }
+
+  currentSession() {
+    if (!this.session && this.callSid) this.session = this.sessions.get(this.callSid) || this.sessions.create(this.callSid);
+    return this.session;
+  }
+
+  saveSession() {
+    if (this.session) this.sessions.save(this.session);
+  }
+
+  // ---- Realtime session setup ----
+  sessionConfig() {
+    const agent = this.opts.agentSettings?.(this.currentSession()) || {};
+    return {
+      turn_detection: this.opts.turnDetection === "server_vad" ? { type: "server_vad" } : null,
+      input_audio_format: "g711_ulaw",
+      output_audio_format: "g711_ulaw",
+      voice: agent.voice || this.opts.voice,
+      instructions: this.opts.instructions(this.callerName, this.currentSession()),
+      modalities: ["text", "audio"],
+      temperature: agent.temperature ?? 0.8,
+      tools: getToolDefinitions(),
+      tool_choice: "auto",
+      input_audio_transcription: this.transcription(),
+    };
+  }
+
+  /** Transcription config, hinted with the call's language (session.language) once we know it. */
+  transcription() {
+    this.transcriptionLanguage = this.currentSession()?.language || null;
+    return { model: this.opts.transcriptionModel, ...(this.transcriptionLanguage ? { language: this.transcriptionLanguage } : {}) };
+  }
+
+  configure() {
+    if (this.state === "closing") return;
+    this.sendToModel(
+      { type: "session.update", session: this.sessionConfig() },
+      // Make the AI speak first
+      {
+        type: "conversation.item.create",
+        item: {
+          id: BOOTSTRAP_ITEM_ID,
+          type: "message",
+          role: "user",
+          content: [{
+            type: "input_text",
+            text: this.opts.kickoff?.(this.currentSession()) || DEFAULT_KICKOFF,
+          }],
+        },
+      },
+      { type: "response.create" }
+    );
+  }
+
+  systemNote(text) {
+    return { type: "conversation.item.create", item: { type: "message", role: "system", content: [{ type: "input_text", text }] } };
+  }
+
+  // ---- Twilio -> bridge ----
+  onTwilioMessage(message) {
+    let data;
+    try { data = JSON.parse(message); } catch { return; }
+
+    switch (data.event) {
+      case "media": {
+        this.latestMediaTimestamp = Number(data.media.timestamp) || this.latestMediaTimestamp;
+        const chunk = Buffer.from(data.media.payload, "base64");
+        this.stats.audio("inbound", chunk.length);
+        this.countCallerSpeech(chunk);
+        this.recorder?.addCaller(chunk, Number(data.media.timestamp) || 0);
+        if (this.supervisorWS) {
+          if (this.supervisorWS.readyState === WebSocket.OPEN) {
+            this.supervisorWS.send(JSON.stringify({ event: "media", payload: data.media.payload }));
+          }
+        } else if (this.opts.turnDetection === "manual") {
+          this.bufferCallerAudio(data.media.payload);
+        } else {
+          this.sendToModel({ type: "input_audio_buffer.append", audio: data.media.payload });
+        }
+        break;
+      }
+      case "start":
+        this.onStart(data.start || {});
+        break;
+      case "mark":
+        if (data.mark?.name === "audio") this.audioMarks.shift();
+        if (data.mark?.name === "voicemail-end") {
+          if (this.currentSession()) { this.session.voicemailLeft = true; this.saveSession(); }
+          this.opts.hangUp(this.callSid, "voicemail left");
+        }
+        if (data.mark?.name === "transfer") this.startTransfer();
+        break;
+      case "stop":
+        console.log("[media] stream stopped", this.streamSid);
+        this.close("twilio stop");
+        break;
+      default:
+        console.log("[media] non-media event:", data.event);
+    }
+  }
+
+  onStart(start) {
+    this.streamSid = start.streamSid;
+    this.callSid = start.callSid || this.callSid;
+    console.log("[media] stream started", this.streamSid, "callSid:", this.callSid);
+
+    const claims = this.opts.streamClaims;
+    if (claims && claims.callSid !== this.callSid) {
+      console.warn("[security] stream token was issued for", claims.callSid, "not", this.callSid);
+      this.callSid = null; // don't touch (or record) the other call's session
+      this.close("stream token mismatch");
+      return;
+    }
+
+    const sess = this.currentSession();
+    if (sess && this.opts.shouldRecord?.(sess)) this.recorder = new CallRecorder();
+    if (sess) {
+      sess.status = "connected";
+      sess.streamSid = this.streamSid;
+      sess.connectedAt = new Date().toISOString();
+      this.saveSession();
+    }
+
+    // Name: Stream <Parameter>, else the TwiML URL, else whatever the session store knows
+    const startName = start.customParameters?.name;
+    if (startName) this.callerName = firstNameOf(startName);
+    else if (!this.callerName && sess?.name) this.callerName = firstNameOf(sess.name);
+    console.log("[media] caller name:", this.callerName || "(none)");
+    // Language: the session's, else the Stream <Parameter> (sessions created elsewhere)
+    const startLanguage = start.customParameters?.language;
+    if (sess && !sess.language && startLanguage) { sess.language = startLanguage; this.saveSession(); }
+    this.sendToModel({
+      type: "session.update",
+      session: { instructions: this.opts.instructions(this.callerName, sess), input_audio_transcription: this.transcription() },
+    });
+
+    this.emit("start", { callSid: this.callSid, streamSid: this.streamSid, session: sess });
+    // Async AMD can beat the stream's "start": /amd-status left the result on the session
+    if (sess?.call?.answeredBy) this.onAmd({ callSid: this.callSid, answeredBy: sess.call.answeredBy });
+  }
+
+  countCallerSpeech(chunk) {
+    if (chunk.length && mulawLevel(chunk) >= this.opts.speechThreshold) this.talk.callerMs += chunk.length / 8;
+  }
+
+  // ---- Manual turn detection: ~100ms appends, commit + respond after speech then silence ----
+  bufferCallerAudio(payload) {
+    const chunk = Buffer.from(payload, "base64");
+    this.pendingAudio.push(chunk);
+    this.pendingBytes += chunk.length;
+
+    const frameMs = chunk.length / 8; // 8 kHz, one byte per sample
+    const loud = chunk.length && mulawLevel(chunk) >= this.opts.speechThreshold;
+
+    if (loud) {
+      this.silentMs = 0;
+      if (!this.speaking) { this.speaking = true; this.onSpeechStarted(); }
+    } else if (this.speaking) {
+      this.silentMs += frameMs;
+    }
+
+    if (this.pendingBytes >= this.opts.appendMs * 8) this.flushCallerAudio();
+    if (this.speaking && this.silentMs >= this.opts.silenceMs) {
+      this.speaking = false;
+      this.silentMs = 0;
+      this.commit();
+    }
+  }
+
+  flushCallerAudio() {
+    if (!this.pendingBytes) return;
+    const audio = Buffer.concat(this.pendingAudio, this.pendingBytes).toString("base64");
+    this.uncommittedMs += this.pendingBytes / 8;
+    this.pendingAudio = [];
+    this.pendingBytes = 0;
+    this.sendToModel({ type: "input_audio_buffer.append", audio });
+  }
+
+  /** Manual mode: end the caller's turn now and ask for a reply. */
+  commit() {
+    this.flushCallerAudio();
+    if (this.uncommittedMs < 100) return false; // the API rejects commits under 100ms of audio
+    this.uncommittedMs = 0;
+    this.stats.speechEnded();
+    this.sendToModel({ type: "input_audio_buffer.commit" });
+    if (!this.responseActive) this.sendToModel({ type: "response.create" });
+    return true;
+  }
+
+  // ---- Barge-in: drop what Twilio still has buffered and cut the item to what was heard ----
+  onSpeechStarted() {
+    if (this.opts.turnDetection === "manual" && this.responseActive) this.sendToModel({ type: "response.cancel" });
+    if (!this.audioMarks.length || !this.lastAssistantItem || this.voicemailMode) return;
+
+    // Caller-side time since the item started, but never past the audio we actually forwarded
+    const elapsedMs = Math.max(0, this.latestMediaTimestamp - (this.responseStartTimestamp ?? this.latestMediaTimestamp));
+    const playedMs = Math.floor(Math.min(elapsedMs, this.itemSentMs));
+    this.sendToModel({ type: "conversation.item.truncate", item_id: this.lastAssistantItem, content_index: 0, audio_end_ms: playedMs });
+    this.talk.agentMs -= Math.max(0, this.itemSentMs - playedMs); // never heard
+    this.clearPlayback();
+    console.log("[barge-in] caller interrupted; truncated", this.lastAssistantItem, "at", playedMs, "ms");
+    emitLive(this.callSid, "agent.interrupted", { itemId: this.lastAssistantItem, playedMs });
+
+    this.truncatedItems.add(this.lastAssistantItem);
+    this.audioMarks = [];
+    this.lastAssistantItem = null;
+    this.responseStartTimestamp = null;
+    this.setState("listening");
+  }
+
+  // ---- Realtime -> bridge ----
+  onRealtimeMessage(data) {
+    let msg;
+    try { msg = JSON.parse(data.toString()); } catch { return; }
+    if (LOG_EVENT_TYPES.includes(msg.type)) console.log("[realtime]", msg.type, msg.type === "error" ? JSON.stringify(msg.error) : "");
+
+    try {
+      switch (msg.type) {
+        case "session.created":
+          if (msg.session?.model) this.stats.model = msg.session.model;
+          break;
+        case "session.updated":
+          if (this.state === "connecting") this.setState("configured");
+          break;
+        case "response.created":
+          this.responseActive = true;
+          if (this.voicemailMode && !this.voicemailResponseId) this.voicemailResponseId = msg.response?.id;
+          this.setState("speaking");
+          break;
+        case "response.done":
+          this.stats.response(msg);
+          this.onResponseDone(msg);
+          break;
+        case "rate_limits.updated":
+          recordRateLimits(msg.rate_limits);
+          break;
+        case "error":
+          this.stats.error("realtime");
+          break;
+        case "input_audio_buffer.speech_stopped":
+          this.stats.speechEnded();
+          break;
+        case "response.function_call_arguments.done":
+          this.handleFunctionCall(msg).catch(e => console.error("[tools] call error:", e?.message || e));
+          break;
+        case "response.audio.delta":
+          this.onAudioDelta(msg);
+          break;
+        case "input_audio_buffer.speech_started":
+          this.onSpeechStarted();
+          break;
+        case "conversation.item.input_audio_transcription.delta":
+          if (msg.delta) {
+            this.userPartial += msg.delta;
+            emitLive(this.callSid, "transcript.delta", { role: "user", delta: msg.delta });
+          }
+          break;
+        case "conversation.item.input_audio_transcription.completed":
+          this.recordUserTurn((msg.transcript || this.userPartial || "").trim());
+          this.userPartial = "";
+          break;
+        case "conversation.item.created":
+          // Typed user messages (not transcriptions) arrive as created items; skip our kickoff + notes
+          if (msg.item?.role === "user" && ![BOOTSTRAP_ITEM_ID, VOICEMAIL_ITEM_ID].includes(msg.item.id) && !msg.item.id?.startsWith(REPLAY_ITEM_PREFIX)) {
+            const text = (msg.item.content || [])
+              .filter(p => p.type === "input_text" || p.type === "text")
+              .map(p => p.text)
+              .filter(Boolean)
+              .join(" ")
+              .trim();
+            if (text) this.recordUserTurn(text);
+          }
+          break;
+        case "response.audio_transcript.delta":
+          if (msg.delta) {
+            if (this.currentSession()) this.session.agentTranscript.push(msg.delta);
+            emitLive(this.callSid, "transcript.delta", { role: "agent", delta: msg.delta });
+          }
+          break;
+        case "response.audio_transcript.done":
+          if (msg.transcript) this.recordAgentTurn(msg);
+          break;
+      }
+    } catch (e) {
+      console.error("[realtime] error handling", msg.type, e);
+    }
+  }
+
+  onAudioDelta(msg) {
+    if (!msg.delta || !this.streamSid || this.supervisorWS) return;
+    this.playToCaller(msg.delta); // μ-law base64 passthrough
+
+    if (msg.item_id && msg.item_id !== this.lastAssistantItem) {
+      this.lastAssistantItem = msg.item_id;
+      this.responseStartTimestamp = this.latestMediaTimestamp;
+      this.itemSentMs = 0;
+      const ms = this.stats.firstAudio();
+      this.turnLatency = ms == null ? null : { itemId: msg.item_id, ms };
+    }
+    const ms = Buffer.byteLength(msg.delta, "base64") / 8;
+    this.itemSentMs += ms;
+    this.talk.agentMs += ms;
+    // Twilio echoes the mark once everything before it has played
+    this.sendToTwilio({ event: "mark", streamSid: this.streamSid, mark: { name: "audio" } });
+    this.audioMarks.push("audio");
+  }
+
+  onResponseDone(msg) {
+    this.responseActive = false;
+    this.setState("listening");
+
+    // Voicemail generated: hang up once Twilio confirms it has played (mark echo)
+    if (this.voicemailMode && msg.response?.id === this.voicemailResponseId && this.streamSid) {
+      this.sendToTwilio({ event: "mark", streamSid: this.streamSid, mark: { name: "voicemail-end" } });
+    }
+    if (this.toolOutputPending) {
+      this.toolOutputPending = false;
+      this.sendToModel({ type: "response.create" });
+    } else if (this.currentSession()?.transfer?.status === "requested" && this.streamSid && !this.transferMarked) {
+      // Handoff line generated: dial once Twilio confirms it has played (mark echo)
+      this.transferMarked = true;
+      this.sendToTwilio({ event: "mark", streamSid: this.streamSid, mark: { name: "transfer" } });
+      this.transferTimer = this.later(() => this.startTransfer(), TRANSFER_MARK_TIMEOUT_MS);
+    }
+  }
+
+  recordUserTurn(text) {
+    const sess = this.currentSession();
+    if (!text || !sess) return;
+    sess.userTranscript.push(text);
+    sess.turns.push({ role: "user", text, at: new Date().toISOString() });
+    emitLive(this.callSid, "transcript.done", { role: "user", text });
+    // "stop calling me": opt out even if the agent forgets to call the opt_out tool
+    if (!sess.optedOut && sess.phone && isOptOutRequest(text)) {
+      addToDnc(sess.phone, { source: `call:${this.callSid}`, reason: text });
+      sess.optedOut = true;
+    }
+    this.saveSession();
+  }
+
+  recordAgentTurn(msg) {
+    const sess = this.currentSession();
+    if (!sess) return;
+    const turn = { role: "agent", text: msg.transcript.trim(), at: new Date().toISOString() };
+    if (this.truncatedItems.has(msg.item_id)) turn.interrupted = true; // caller didn't hear all of it
+    if (this.turnLatency?.itemId === msg.item_id) turn.latencyMs = this.turnLatency.ms; // end of caller speech -> first audio
+    sess.turns.push(turn);
+    emitLive(this.callSid, "transcript.done", { role: "agent", text: turn.text, interrupted: Boolean(turn.interrupted) });
+    this.saveSession();
+  }
+
+  // ---- Realtime function calls: run the tool, hand back its output, let the agent continue ----
+  async handleFunctionCall(msg) {
+    let args = {};
+    try { args = JSON.parse(msg.arguments || "{}"); }
+    catch { console.warn("[tools] bad arguments for", msg.name, msg.arguments); }
+
+    const sess = this.currentSession();
+    const ws = this.openaiWS;
+    const result = await runTool(msg.name, args, { callSid: this.callSid, session: sess });
+    this.saveSession();
+    console.log("[tools]", msg.name, JSON.stringify(args), "->", JSON.stringify(result));
+
+    // A reconnected session never saw this call; the replayed transcript carries on from here
+    if (ws !== this.openaiWS || ws.readyState !== WebSocket.OPEN) return;
+    // switch_language: transcribe the caller in their new language from here on
+    if (sess && (sess.language || null) !== this.transcriptionLanguage) {
+      this.sendToModel({ type: "session.update", session: { input_audio_transcription: this.transcription() } });
+    }
+    this.sendToModel({
+      type: "conversation.item.create",
+      item: { type: "function_call_output", call_id: msg.call_id, output: JSON.stringify(result) },
+    });
+    if (this.responseActive) this.toolOutputPending = true;
+    else this.sendToModel({ type: "response.create" });
+  }
+
+  // ---- Answering machine: drop the live script, leave a short voicemail, hang up ----
+  onAmd({ callSid, answeredBy }) {
+    if (callSid !== this.callSid || this.state === "closing" || this.voicemailMode) return;
+    if (HANGUP_ANSWERS.includes(answeredBy)) { this.opts.hangUp(this.callSid, `amd ${answeredBy}`); return; }
+    if (!VOICEMAIL_ANSWERS.includes(answeredBy)) return;
+
+    this.voicemailMode = true;
+    console.log("[amd] machine answered", this.callSid, "- leaving voicemail");
+    if (this.streamSid) this.clearPlayback();
+    if (this.openaiWS.readyState === WebSocket.CONNECTING) return; // leaveVoicemail() once it opens
+    if (this.openaiWS.readyState !== WebSocket.OPEN) { this.opts.hangUp(this.callSid, "voicemail: realtime not connected"); return; }
+    this.leaveVoicemail();
+  }
+
+  leaveVoicemail() {
+    if (this.state === "closing") return;
+    if (this.responseActive) this.sendToModel({ type: "response.cancel" });
+    this.sendToModel(
+      // Full session config: the socket may not have been configured for the live script yet
+      {
+        type: "session.update",
+        session: { ...this.sessionConfig(), turn_detection: null, tool_choice: "none", instructions: this.opts.voicemailInstructions(this.callerName, this.currentSession()) },
+      },
+      {
+        type: "conversation.item.create",
+        item: {
+          id: VOICEMAIL_ITEM_ID,
+          type: "message",
+          role: "user",
+          content: [{ type: "input_text", text: "You reached their voicemail and the beep has sounded. Leave the voicemail now." }],
+        },
+      },
+      { type: "response.create" }
+    );
+    this.later(() => { if (this.state !== "closing") this.opts.hangUp(this.callSid, "voicemail timeout"); }, VOICEMAIL_TIMEOUT_MS);
+  }
+
+  // ---- Supervisor controls (dashboard): whisper to the agent, take over the audio, transfer ----
+  logSupervisor(action, data = {}) {
+    if (this.currentSession()) {
+      (this.session.supervisor = this.session.supervisor || []).push({ action, at: new Date().toISOString(), ...data });
+      this.saveSession();
+    }
+    emitLive(this.callSid, `supervisor.${action}`, data);
+  }
+
+  whisper(text) {
+    if (this.openaiWS.readyState !== WebSocket.OPEN) return false;
+    this.sendToModel(this.systemNote(`Instruction from your supervisor (the caller can't hear this): ${text}`));
+    this.logSupervisor("whisper", { text });
+    return true;
+  }
+
+  transfer(reason) {
+    const current = this.currentSession()?.transfer;
+    if (!transferNumber(this.currentSession()) || this.voicemailMode || (current && current.status !== "failed")) return false;
+    if (this.openaiWS.readyState !== WebSocket.OPEN) return false;
+    if (this.responseActive) this.sendToModel({ type: "response.cancel" });
+    this.sendToModel(
+      this.systemNote(`Your supervisor is transferring this call to a team member${reason ? ` (${reason})` : ""}. ` +
+        "Call transfer_to_human now with a short summary of the call so far."),
+      { type: "response.create" }
+    );
+    this.logSupervisor("transfer", { reason: reason || null });
+    return true;
+  }
+
+  takeover(ws) {
+    if (this.supervisorWS || this.voicemailMode || !this.streamSid || this.state === "closing") return false;
+    this.supervisorWS = ws;
+    if (this.responseActive) this.sendToModel({ type: "response.cancel" });
+    this.clearPlayback();
+    ws.on("message", (raw) => {
+      let m; try { m = JSON.parse(raw); } catch { return; }
+      if (m.event === "media" && m.payload && this.supervisorWS === ws) {
+        this.playToCaller(m.payload);
+      }
+    });
+    ws.on("close", () => this.release(ws));
+    this.logSupervisor("takeover");
+    return true;
+  }
+
+  release(ws) {
+    if (!this.supervisorWS || (ws && ws !== this.supervisorWS)) return;
+    this.supervisorWS = null;
+    if (this.state === "closing") return;
+    this.sendToModel(this.systemNote("A human supervisor just spoke with the caller directly. Continue the call from here, briefly and naturally."));
+    this.logSupervisor("release");
+  }
+
+  // ---- Warm transfer: once the handoff line has played, swap the stream for a <Dial> ----
+  async startTransfer() {
+    clearTimeout(this.transferTimer);
+    const sess = this.currentSession();
+    if (!sess?.transfer || sess.transfer.status !== "requested") return;
+    sess.transfer.status = "dialing";
+    this.saveSession();
+    emitLive(this.callSid, "call.transfer", { status: "dialing" });
+    try {
+      await this.opts.transferCall(this.callSid);
+      console.log("[transfer]", this.callSid, "dialing", transferNumber(sess));
+    } catch (e) {
+      console.error("[transfer] failed for", this.callSid, e?.message || e);
+      sess.transfer.status = "failed";
+      sess.transfer.error = e?.message || String(e);
+      this.saveSession();
+      this.transferMarked = false;
+      emitLive(this.callSid, "call.transfer", { status: "failed" });
+      this.sendToModel(this.systemNote("The transfer didn't go through. Apologize and offer to have a team member call them back."), { type: "response.create" });
+    }
+  }
+
+  // ---- graceful, single-run cleanup; the owner writes the record on "end" ----
+  close(reason) {
+    if (this.state === "closing") return;
+    this.setState("closing");
+    callEvents.off("amd", this.onAmd);
+    for (const t of this.timers) clearTimeout(t);
+    this.timers.clear();
+    if (this.outage) this.endOutage(false);
+
+    try { if (this.openaiWS.readyState <= WebSocket.OPEN) this.openaiWS.close(1000, "done"); } catch {}
+    try { this.twilioWS.close(1000, "done"); } catch {}
+    try { this.supervisorWS?.close(1000, "call ended"); } catch {}
+    console.log("[media] bridge closed. reason:", reason || "n/a");
+    emitLive(this.callSid, "call.ended", { reason: reason || null });
+
+    if (this.currentSession()) {
+      this.session.status = "ended";
+      this.session.endedAt = new Date().toISOString();
+      this.session.talk = { agentMs: Math.round(this.talk.agentMs), callerMs: Math.round(this.talk.callerMs) };
+      this.session.metrics = this.stats.summary();
+      this.saveSession();
+    }
+    if (this.recorder && this.session) {
+      const sess = this.session;
+      this.recordingSaved = saveRecording(this.callSid, this.recorder)
+        .then((info) => { sess.recording = info; this.sessions.save(sess); return info; })
+        .catch((e) => { console.error("[recording] save failed for", this.callSid, e?.message || e); return null; });
+      this.recorder = null;
+    }
+    this.emit("end", { callSid: this.callSid, reason, session: this.session });
+  }
+}
+
+module.exports = {
+  MediaBridge, STATES, TURN_DETECTION_MODES, BOOTSTRAP_ITEM_ID, VOICEMAIL_ITEM_ID, REPLAY_ITEM_PREFIX, DEFAULT_FILLER,
+};
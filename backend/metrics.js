@@ -0,0 +1,220 @@
+// backend/metrics.js
+// Per-call instrumentation (response latency, audio minutes, Realtime token usage and
+// cost, socket errors/reconnects) and a Prometheus text-format /metrics endpoint.
+
+// ---- Minimal Prometheus registry: counters, gauges, histograms with labels ----
+const labelKey = (labels = {}) => JSON.stringify(Object.keys(labels).sort().map(k => [k, String(labels[k])]));
+const escapeLabel = (v) => v.replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+
+function formatLabels(pairs, extra = []) {
+  const all = [...pairs, ...extra];
+  return all.length ? `{${all.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(",")}}` : "";
+}
+
+class Metric {
+  constructor(type, name, help) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.series = new Map(); // labelKey -> value (or histogram state)
+  }
+
+  lines() {
+    return [...this.series].map(([key, value]) => `${this.name}${formatLabels(JSON.parse(key))} ${value}`);
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help) { super("counter", name, help); }
+  inc(labels, by = 1) {
+    if (!(by > 0)) return;
+    const key = labelKey(labels);
+    this.series.set(key, (this.series.get(key) || 0) + by);
+  }
+}
+
+class Gauge extends Metric {
+  constructor(name, help) { super("gauge", name, help); }
+  set(labels, value) { this.series.set(labelKey(labels), value); }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, buckets) {
+    super("histogram", name, help);
+    this.buckets = buckets;
+  }
+
+  observe(labels, value) {
+    const key = labelKey(labels);
+    const h = this.series.get(key) || { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+    this.buckets.forEach((le, i) => { if (value <= le) h.counts[i]++; });
+    h.sum += value;
+    h.count++;
+    this.series.set(key, h);
+  }
+
+  lines() {
+    const out = [];
+    for (const [key, h] of this.series) {
+      const pairs = JSON.parse(key);
+      this.buckets.forEach((le, i) => out.push(`${this.name}_bucket${formatLabels(pairs, [["le", String(le)]])} ${h.counts[i]}`));
+      out.push(`${this.name}_bucket${formatLabels(pairs, [["le", "+Inf"]])} ${h.count}`);
+      out.push(`${this.name}_sum${formatLabels(pairs)} ${Math.round(h.sum * 1e6) / 1e6}`);
+      out.push(`${this.name}_count${formatLabels(pairs)} ${h.count}`);
+    }
+    return out;
+  }
+}
+
+const metrics = {
+  responseLatency: new Histogram("voice_agent_response_latency_seconds",
+    "Caller end of speech to the agent's first audio", [0.25, 0.5, 0.75, 1, 1.5, 2, 3, 5, 10]),
+  audioSeconds: new Counter("voice_agent_audio_seconds_total", "Audio streamed, by direction (inbound = caller)"),
+  tokens: new Counter("voice_agent_realtime_tokens_total", "Realtime token usage from response.done"),
+  costUsd: new Counter("voice_agent_realtime_cost_usd_total", "Estimated Realtime spend"),
+  responses: new Counter("voice_agent_realtime_responses_total", "Realtime responses, by final status"),
+  errors: new Counter("voice_agent_websocket_errors_total", "WebSocket errors and Realtime error events, by socket"),
+  reconnects: new Counter("voice_agent_realtime_reconnects_total", "Realtime sockets re-opened mid-call"),
+  rateLimitRemaining: new Gauge("voice_agent_realtime_rate_limit_remaining", "Last rate_limits.updated value, by limit"),
+  calls: new Counter("voice_agent_calls_total", "Finished calls, by outcome"),
+};
+
+function renderMetrics() {
+  return Object.values(metrics)
+    .map(m => [`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`, ...m.lines()].join("\n"))
+    .join("\n") + "\n";
+}
+
+// ---- Realtime pricing, USD per 1M tokens (matched by model prefix; longest wins) ----
+const REALTIME_PRICING = {
+  "gpt-4o-realtime": { text: 5, cachedText: 2.5, textOut: 20, audio: 40, cachedAudio: 2.5, audioOut: 80 },
+  "gpt-4o-mini-realtime": { text: 0.6, cachedText: 0.3, textOut: 2.4, audio: 10, cachedAudio: 0.3, audioOut: 20 },
+  "gpt-realtime": { text: 4, cachedText: 0.4, textOut: 16, audio: 32, cachedAudio: 0.4, audioOut: 64 },
+};
+
+function pricingFor(model) {
+  const key = Object.keys(REALTIME_PRICING)
+    .filter(k => String(model || "").startsWith(k))
+    .sort((a, b) => b.length - a.length)[0];
+  return key ? REALTIME_PRICING[key] : null;
+}
+
+/** response.done usage -> token counts by kind (cached input split out of the fresh input). */
+function usageTokens(usage = {}) {
+  const inDetails = usage.input_token_details || {};
+  const cached = inDetails.cached_tokens_details || {};
+  const out = usage.output_token_details || {};
+  return {
+    text: (inDetails.text_tokens || 0) - (cached.text_tokens || 0),
+    cachedText: cached.text_tokens || 0,
+    audio: (inDetails.audio_tokens || 0) - (cached.audio_tokens || 0),
+    cachedAudio: cached.audio_tokens || 0,
+    textOut: out.text_tokens || 0,
+    audioOut: out.audio_tokens || 0,
+  };
+}
+
+function tokenCost(tokens, model) {
+  const price = pricingFor(model);
+  if (!price) return null;
+  return Object.keys(tokens).reduce((sum, k) => sum + (tokens[k] * price[k]) / 1e6, 0);
+}
+
+// ---- Per-call stats, kept by the media bridge and attached to the call record ----
+class CallStats {
+  constructor(model) {
+    this.model = model || "unknown";
+    this.audioMs = { inbound: 0, outbound: 0 };
+    this.tokens = { text: 0, cachedText: 0, audio: 0, cachedAudio: 0, textOut: 0, audioOut: 0 };
+    this.costUsd = 0;
+    this.responses = 0;
+    this.latenciesMs = [];
+    this.errors = { realtime: 0, twilio: 0 };
+    this.reconnects = 0;
+    this.speechEndedAt = null; // caller stopped talking; waiting for the agent's first audio
+  }
+
+  audio(direction, bytes) {
+    const ms = bytes / 8; // 8 kHz μ-law, one byte per sample
+    this.audioMs[direction] += ms;
+    metrics.audioSeconds.inc({ direction }, ms / 1000);
+  }
+
+  speechEnded(now = Date.now()) { this.speechEndedAt = now; }
+
+  /** First agent audio of a response: returns the latency in ms if the caller had just spoken. */
+  firstAudio(now = Date.now()) {
+    if (this.speechEndedAt == null) return null;
+    const ms = now - this.speechEndedAt;
+    this.speechEndedAt = null;
+    this.latenciesMs.push(ms);
+    metrics.responseLatency.observe({ model: this.model }, ms / 1000);
+    return ms;
+  }
+
+  /** response.done: accumulate token usage and estimated cost. */
+  response(msg) {
+    const res = msg.response || {};
+    this.responses++;
+    metrics.responses.inc({ model: this.model, status: res.status || "unknown" });
+    if (!res.usage) return;
+    const tokens = usageTokens(res.usage);
+    for (const [type, n] of Object.entries(tokens)) {
+      this.tokens[type] += n;
+      metrics.tokens.inc({ model: this.model, type }, n);
+    }
+    const cost = tokenCost(tokens, this.model);
+    if (cost != null) {
+      this.costUsd += cost;
+      metrics.costUsd.inc({ model: this.model }, cost);
+    }
+  }
+
+  error(socket) {
+    this.errors[socket] = (this.errors[socket] || 0) + 1;
+    metrics.errors.inc({ socket });
+  }
+
+  reconnect() {
+    this.reconnects++;
+    metrics.reconnects.inc();
+  }
+
+  summary() {
+    const sorted = [...this.latenciesMs].sort((a, b) => a - b);
+    const pct = (p) => (sorted.length ? sorted[Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1)] : null);
+    return {
+      model: this.model,
+      audioMinutes: {
+        inbound: Math.round(this.audioMs.inbound / 600) / 100,
+        outbound: Math.round(this.audioMs.outbound / 600) / 100,
+      },
+      responseLatencyMs: {
+        count: sorted.length,
+        avg: sorted.length ? Math.round(sorted.reduce((a, b) => a + b, 0) / sorted.length) : null,
+        p50: pct(0.5),
+        p95: pct(0.95),
+        max: sorted.length ? sorted[sorted.length - 1] : null,
+      },
+      responses: this.responses,
+      tokens: { ...this.tokens },
+      costUsd: pricingFor(this.model) ? Math.round(this.costUsd * 1e4) / 1e4 : null,
+      errors: { ...this.errors },
+      reconnects: this.reconnects,
+    };
+  }
+}
+
+function recordRateLimits(rateLimits = []) {
+  for (const l of rateLimits) if (l?.name) metrics.rateLimitRemaining.set({ name: l.name }, l.remaining);
+}
+
+// ---- Route: GET /metrics (Prometheus text exposition format) ----
+async function metricsRoutes(fastify) {
+  fastify.get("/metrics", async (_req, reply) => {
+    reply.type("text/plain; version=0.0.4; charset=utf-8");
+    return renderMetrics();
+  });
+}
+
+module.exports = { metrics, renderMetrics, CallStats, recordRateLimits, usageTokens, tokenCost, metricsRoutes };
@@ -0,0 +1,95 @@
+// backend/monitor.js
+// Live call monitoring: snapshot of active calls + an SSE stream of call events
+// (transcript deltas, call state) for frontend/dashboard.html, and the supervisor
+// controls on a live call (whisper, take over the audio, transfer).
+const { callEvents } = require("./events");
+
+function summarizeSession(sess) {
+  return {
+    callSid: sess.callSid,
+    name: sess.name,
+    phone: sess.phone,
+    direction: sess.direction || "outbound",
+    campaignId: sess.campaignId || null,
+    persona: sess.persona || null,
+    clubId: sess.clubId || null,
+    language: sess.language || null,
+    state: sess.status,                 // dialing | connected | ended
+    callStatus: sess.call?.status || null, // Twilio: ringing, in-progress, ...
+    answeredBy: sess.call?.answeredBy || null,
+    transfer: sess.transfer?.status || null,
+    startedAt: sess.startedAt,
+    connectedAt: sess.connectedAt || null,
+    turns: sess.turns || [],
+  };
+}
+
+async function monitorRoutes(fastify, { sessions, liveCalls }) {
+  fastify.get("/api/monitor/calls", async () => ({
+    calls: sessions.list().map(summarizeSession),
+  }));
+
+  // Server-Sent Events: one "snapshot" first, then every live/status/outcome event as it happens
+  fastify.get("/api/monitor/stream", (req, reply) => {
+    reply.hijack();
+    const res = reply.raw;
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    send("snapshot", { calls: sessions.list().map(summarizeSession) });
+
+    const onLive = (evt) => send("live", evt);
+    const onStatus = (evt) => send("live", { callSid: evt.callSid, type: "call.status", at: evt.at, status: evt.status, duration: evt.duration });
+    const onOutcome = (record) => send("live", { callSid: record.callSid, type: "call.outcome", at: record.endedAt, outcome: record.outcome, appointmentTime: record.appointmentTime });
+    callEvents.on("live", onLive);
+    callEvents.on("status", onStatus);
+    callEvents.on("outcome", onOutcome);
+    const heartbeat = setInterval(() => res.write(": ping\n\n"), 15000);
+
+    req.raw.on("close", () => {
+      clearInterval(heartbeat);
+      callEvents.off("live", onLive);
+      callEvents.off("status", onStatus);
+      callEvents.off("outcome", onOutcome);
+    });
+  });
+
+  // ---- Supervisor controls; only while the call's media stream is connected ----
+  const notLive = (reply) => reply.code(404).send({ error: "Call is not live", code: "CALL_NOT_LIVE" });
+
+  // Whisper: a text instruction for the agent; the caller never hears it
+  fastify.post("/api/monitor/calls/:callSid/whisper", async (req, reply) => {
+    const controls = liveCalls.get(req.params.callSid);
+    if (!controls) return notLive(reply);
+    const text = String(req.body?.text || "").trim();
+    if (!text) return reply.code(400).send({ error: "text is required", code: "TEXT_REQUIRED" });
+    if (!controls.whisper(text)) return reply.code(409).send({ error: "Agent is not connected", code: "AGENT_UNAVAILABLE" });
+    return { ok: true };
+  });
+
+  // Transfer: the agent summarizes the call for the staff member, then the call is dialed through
+  fastify.post("/api/monitor/calls/:callSid/transfer", async (req, reply) => {
+    const controls = liveCalls.get(req.params.callSid);
+    if (!controls) return notLive(reply);
+    if (!controls.transfer(String(req.body?.reason || "").trim())) {
+      return reply.code(409).send({ error: "Transfer unavailable (no club phone or TRANSFER_NUMBER, voicemail, or already transferring)", code: "TRANSFER_UNAVAILABLE" });
+    }
+    return { ok: true };
+  });
+
+  // Takeover: a WebSocket of base64 μ-law frames ({ event: "media", payload }) both ways.
+  // The agent is muted while it is open and picks the call back up when it closes.
+  fastify.get("/api/monitor/calls/:callSid/audio", { websocket: true }, (socket, req) => {
+    const controls = liveCalls.get(req.params.callSid);
+    if (!controls) return socket.close(1008, "call not live");
+    if (!controls.takeover(socket)) return socket.close(1008, "takeover unavailable");
+    socket.send(JSON.stringify({ event: "connected", callSid: req.params.callSid }));
+  });
+}
+
+module.exports = { monitorRoutes, summarizeSession };
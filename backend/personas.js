@@ -0,0 +1,243 @@
+// backend/personas.js
+// Agent personas / call scripts loaded from personas/*.json (PERSONAS_DIR). The file name is the
+// persona id; campaigns pick one with settings.persona, /api/start-call with { persona }.
+// Templates use {{variable}}: firstName, agentName and callbackNumber are filled per call, anything
+// else must be declared (with a default) under "variables". Files are validated at load.
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { languageName, openingLine } = require("./languages");
+
+const defaultPersonaId = () => process.env.DEFAULT_PERSONA || "trial-pass";
+const BUILTIN_VARIABLES = ["firstName", "agentName", "callbackNumber"];
+const VOICES = ["alloy", "ash", "ballad", "coral", "echo", "sage", "shimmer", "verse"];
+const TEMPERATURE_RANGE = [0.6, 1.2]; // what the Realtime API accepts
+
+const FIELDS = {
+  name: "string",
+  description: "string",
+  voice: "string",
+  temperature: "number",
+  variables: "object",
+  role: "string",
+  goal: "string",
+  style: "lines",
+  callFlow: "lines",
+  objections: "objections",
+  dataToCapture: "lines",
+  voicemail: "lines",
+};
+const REQUIRED = ["name", "voice", "role", "goal", "callFlow", "voicemail"];
+
+const TEMPLATE_RE = /\{\{\s*(\w+)\s*\}\}/g;
+const isLines = (v) => Array.isArray(v) && v.every(s => typeof s === "string" && s.trim());
+
+class PersonaError extends Error {
+  constructor(message, code = "PERSONA_INVALID") {
+    super(message);
+    this.name = "PersonaError";
+    this.code = code;
+  }
+}
+
+/** Every template string in a persona, for variable checks. */
+function templates(p) {
+  return [
+    p.role, p.goal, ...(p.style || []), ...(p.callFlow || []), ...(p.dataToCapture || []), ...(p.voicemail || []),
+    ...(p.objections || []).flatMap(o => [o.when, ...(o.response || [])]),
+  ].filter(s => typeof s === "string");
+}
+
+/** Problems with one persona definition (empty when valid). */
+function validatePersona(p) {
+  if (!p || typeof p !== "object" || Array.isArray(p)) return ["must be a JSON object"];
+  const errors = [];
+  for (const key of Object.keys(p)) if (!FIELDS[key]) errors.push(`unknown field "${key}"`);
+  for (const key of REQUIRED) if (p[key] == null) errors.push(`"${key}" is required`);
+
+  for (const [key, type] of Object.entries(FIELDS)) {
+    const v = p[key];
+    if (v == null) continue;
+    if (type === "string" && (typeof v !== "string" || !v.trim())) errors.push(`"${key}" must be a non-empty string`);
+    if (type === "number" && typeof v !== "number") errors.push(`"${key}" must be a number`);
+    if (type === "object" && (typeof v !== "object" || Array.isArray(v) || !Object.values(v).every(x => typeof x === "string"))) {
+      errors.push(`"${key}" must map names to strings`);
+    }
+    if (type === "lines" && (!isLines(v) || !v.length)) errors.push(`"${key}" must be a non-empty list of strings`);
+    if (type === "objections" && !(Array.isArray(v) && v.every(o => typeof o?.when === "string" && isLines(o.response) && o.response.length))) {
+      errors.push(`"${key}" must be a list of { when, response: [..] }`);
+    }
+  }
+
+  if (typeof p.voice === "string" && !VOICES.includes(p.voice)) errors.push(`"voice" must be one of ${VOICES.join(", ")}`);
+  if (typeof p.temperature === "number" && (p.temperature < TEMPERATURE_RANGE[0] || p.temperature > TEMPERATURE_RANGE[1])) {
+    errors.push(`"temperature" must be between ${TEMPERATURE_RANGE.join(" and ")}`);
+  }
+
+  const declared = new Set([...BUILTIN_VARIABLES, ...Object.keys(p.variables || {})]);
+  const unknown = new Set();
+  for (const text of templates(p)) {
+    for (const [, name] of text.matchAll(TEMPLATE_RE)) if (!declared.has(name)) unknown.add(name);
+  }
+  if (unknown.size) errors.push(`undeclared template variable(s): ${[...unknown].map(v => `{{${v}}}`).join(", ")}`);
+  return errors;
+}
+
+/** Load and validate every persona file; throws one error listing all problems. */
+function loadPersonas(dir = process.env.PERSONAS_DIR || path.join(__dirname, "..", "personas")) {
+  const personas = new Map();
+  const problems = [];
+  for (const file of fs.readdirSync(dir).filter(f => f.endsWith(".json")).sort()) {
+    const id = path.basename(file, ".json");
+    let raw, def;
+    try { raw = fs.readFileSync(path.join(dir, file), "utf8"); def = JSON.parse(raw); }
+    catch (e) { problems.push(`${file}: ${e.message}`); continue; }
+    const errors = validatePersona(def);
+    if (errors.length) { problems.push(...errors.map(e => `${file}: ${e}`)); continue; }
+    // version: content hash, so call records (and QA) can tell prompt revisions apart
+    const version = crypto.createHash("sha256").update(raw).digest("hex").slice(0, 8);
+    personas.set(id, { id, version, temperature: 0.8, variables: {}, style: [], objections: [], dataToCapture: [], ...def });
+  }
+  if (!personas.has(defaultPersonaId())) problems.push(`default persona "${defaultPersonaId()}" not found in ${dir}`);
+  if (problems.length) throw new PersonaError(`Invalid personas:\n  ${problems.join("\n  ")}`);
+  console.log("[personas] loaded", [...personas.keys()].join(", "));
+  return personas;
+}
+
+/** Persona by id (default when id is empty); unknown ids throw PERSONA_UNKNOWN. */
+function resolvePersona(personas, id) {
+  const persona = personas.get(id || defaultPersonaId());
+  if (!persona) throw new PersonaError(`Unknown persona "${id}" (have: ${[...personas.keys()].join(", ")})`, "PERSONA_UNKNOWN");
+  return persona;
+}
+
+function render(text, vars) {
+  return text.replace(TEMPLATE_RE, (_m, name) => vars[name] ?? "");
+}
+
+/** Template values for one call: persona defaults < overrides (campaign / lead / request) < per-call builtins. */
+function personaVariables(persona, { firstName, callbackNumber, overrides = {} } = {}) {
+  const vars = { ...persona.variables };
+  for (const key of Object.keys(persona.variables)) {
+    if (overrides[key] != null && String(overrides[key]).trim()) vars[key] = String(overrides[key]);
+  }
+  return {
+    ...vars,
+    firstName: firstName || "there",
+    agentName: persona.name,
+    callbackNumber: (callbackNumber || "").replace(/\D/g, "").split("").join(" "),
+  };
+}
+
+/** What the agent is told when re-dialing a callback the lead asked for (session.callback). */
+function callbackSection(callback, vars) {
+  if (!callback) return "";
+  const lines = [
+    `They asked to be called back${callback.window ? ` (“${callback.window}”)` : ""}${callback.requestedVia === "sms" ? " by text" : ""}. ` +
+      `Open with “Hi ${vars.firstName}, it's ${vars.agentName} with ${vars.clubName || "the club"}. As you asked, I'm calling back.” ` +
+      "instead of the usual introduction, then pick up where you left off.",
+  ];
+  if (callback.summary) lines.push(`Last time: ${callback.summary}`);
+  if (callback.note) lines.push(`Note: ${callback.note}`);
+  return `\nTHIS IS A CALLBACK THEY ASKED FOR:\n${lines.map(l => `- ${l}`).join("\n")}\n`;
+}
+
+// How the last call with an inbound caller ended, in words the agent can use
+const LAST_OUTCOME = {
+  booked: "they booked a visit",
+  callback_requested: "they asked to be called back",
+  not_interested: "they said they weren't interested",
+  voicemail: "we left them a voicemail",
+  wrong_number: "we reached someone else (wrong number)",
+  no_conversation: "the call connected but nobody really spoke",
+  transferred: "they were put through to the club",
+  no_answer: "we called and they didn't pick up",
+  busy: "we called and the line was busy",
+  failed: "our call didn't go through",
+  other: "we spoke briefly",
+};
+const MISSED = ["voicemail", "no_answer", "busy", "failed", "no_conversation"];
+
+/** What the agent knows about someone calling us (session.caller: name + last call). */
+function callerSection(caller, vars) {
+  if (!caller) return "";
+  const lines = [caller.name
+    ? `Our records say this is ${caller.name}. Use their first name (“${vars.firstName}”); if they say they're someone else, go with that.`
+    : "We don't recognize this number. Early on, ask for their first name, naturally, and use it from then on."];
+  const last = caller.lastCall;
+  if (last) {
+    lines.push(`Our last call with them (${last.when}, ${last.direction === "inbound" ? "they called us" : "we called them"}): ${LAST_OUTCOME[last.outcome] || last.outcome}.` +
+      (last.summary ? ` ${last.summary}` : ""));
+    if (last.appointmentTime) lines.push(`They have a visit booked for ${last.appointmentTime}; they may be calling to confirm or change it.`);
+    if (last.callbackWindow) lines.push(`They had asked to be called back (“${last.callbackWindow}”).`);
+    if (last.direction !== "inbound" && MISSED.includes(last.outcome)) lines.push("They're most likely returning our call: say briefly why we called, then carry on from there.");
+  }
+  return `\nTHEY CALLED US:\n${lines.map(l => `- ${l}`).join("\n")}\n`;
+}
+
+/** The call's language (session.language) when it isn't English. */
+function languageSection(language, vars, { opening }) {
+  if (!language || language === "en") return "";
+  const name = languageName(language);
+  const lines = [`They prefer ${name}. Speak ${name} from your first word and say everything in this script in ${name}.`];
+  const line = opening && openingLine(language, vars);
+  if (line) lines.push(`Open with “${line}” instead of the usual introduction.`);
+  lines.push("If they'd rather speak English (or another language), switch and call **switch_language**.");
+  return `\nLANGUAGE: ${name.toUpperCase()}\n${lines.map(l => `- ${l}`).join("\n")}\n`;
+}
+
+function buildSystemPrompt(persona, vars, { callback = null, caller = null, language = null } = {}) {
+  const t = (s) => render(s, vars);
+  const list = (lines) => lines.map(l => `- ${t(l)}`).join("\n");
+  return `
+${t(persona.role)}
+Goal: ${t(persona.goal)}
+${languageSection(language, vars, { opening: !callback && !caller })}${callbackSection(callback, vars)}${callerSection(caller, vars)}${persona.style.length ? `\nSTYLE:\n${list(persona.style)}` : ""}
+CALL FLOW (follow in order, but adapt as needed):
+${persona.callFlow.map((step, i) => `${i + 1}) ${t(step)}`).join("\n")}
+${persona.objections.map(o => `IF ${t(o.when)}:\n${list(o.response)}`).join("\n")}
+IF THEY ASK ABOUT THE CLUB (hours, address, amenities, classes, prices, trial terms):
+- Call **lookup_club_info** and answer only from what it returns. Never guess hours, prices or schedules.
+IF THEY ASK NOT TO BE CALLED AGAIN:
+- Call **opt_out** right away, apologize briefly, confirm they won't be called again, and say goodbye.
+IF THEY ASK FOR A REAL PERSON, OR YOU CAN'T HELP WITH THEIR QUESTION:
+- Call **transfer_to_human** with a one- or two-sentence summary of the call for the team member, then tell them you're connecting them.
+IF THEY SPEAK ANOTHER LANGUAGE, OR ASK YOU TO SWITCH:
+- Switch to their language and call **switch_language** with it, so the call is transcribed and logged correctly.
+${persona.dataToCapture.length ? `DATA TO CAPTURE (speak naturally, don’t interrogate):\n${list(persona.dataToCapture)}\n` : ""}KEEP IT SHORT, CLEAR, AND HELPFUL.`;
+}
+
+// Used when answering machine detection says we reached a voicemail box
+function buildVoicemailPrompt(persona, vars, { language = null } = {}) {
+  const speak = language && language !== "en" ? ` Speak ${languageName(language)}.` : "";
+  return `
+You are **${persona.name}**, leaving a voicemail for ${vars.firstName}.${speak}
+Say ONE short message (under 20 seconds), then stop talking:
+${persona.voicemail.map(l => `- ${render(l, vars)}`).join("\n")}
+- ${vars.callbackNumber ? `Invite them to call or text back at ${vars.callbackNumber}.` : "Say you'll try again soon."}
+- Thank them and say goodbye. Do not ask questions or wait for a reply.`;
+}
+
+function summarizePersona(p) {
+  return { id: p.id, version: p.version, name: p.name, description: p.description || null, voice: p.voice, temperature: p.temperature, variables: p.variables };
+}
+
+// ---- Routes ----
+async function personaRoutes(fastify, { personas }) {
+  fastify.get("/api/personas", async () => ({
+    default: defaultPersonaId(),
+    personas: [...personas.values()].map(summarizePersona),
+  }));
+}
+
+module.exports = {
+  defaultPersonaId,
+  PersonaError,
+  validatePersona,
+  loadPersonas,
+  resolvePersona,
+  personaVariables,
+  buildSystemPrompt,
+  buildVoicemailPrompt,
+  personaRoutes,
+};
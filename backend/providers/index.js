@@ -0,0 +1,41 @@
+// backend/providers/index.js
+// Voice-agent providers, chosen by VOICE_PROVIDER (openai | scripted). A provider is
+// { name, model, connect() }; connect() opens one call's connection: a ws-like object
+// (readyState, send(json), close(), "open" / "message" / "close" / "error" events) that
+// speaks the Realtime event protocol the media bridge is written against:
+//
+//   bridge -> provider
+//     session.update                       configure: instructions, voice, tools, turn detection
+//     input_audio_buffer.append / .commit  caller audio (8 kHz μ-law, base64)
+//     conversation.item.create             typed messages, system notes, function_call_output
+//     response.create / .cancel            ask for / stop an agent turn
+//     conversation.item.truncate           barge-in: what the caller actually heard
+//   provider -> bridge
+//     session.created / .updated
+//     response.created / .done
+//     response.audio.delta                 agent audio (8 kHz μ-law, base64)
+//     response.audio_transcript.delta / .done
+//     response.function_call_arguments.done          tool calls
+//     input_audio_buffer.speech_started / .speech_stopped / .committed
+//     conversation.item.input_audio_transcription.completed   caller transcript
+//     conversation.item.created, error, rate_limits.updated
+const { createOpenAIProvider } = require("./openaiRealtime");
+const { createScriptedProvider } = require("./scriptedAgent");
+
+const FACTORIES = {
+  openai: createOpenAIProvider,
+  scripted: createScriptedProvider,
+};
+
+const providerName = () => process.env.VOICE_PROVIDER || "openai";
+
+/** The configured provider; an unknown name or a broken config throws at startup. */
+function createProvider(name = providerName(), opts = {}) {
+  const factory = FACTORIES[name];
+  if (!factory) throw new Error(`Unknown VOICE_PROVIDER "${name}" (have: ${Object.keys(FACTORIES).join(", ")})`);
+  const provider = factory(opts);
+  console.log("[provider]", provider.name, "-", provider.model);
+  return provider;
+}
+
+module.exports = { FACTORIES, providerName, createProvider };
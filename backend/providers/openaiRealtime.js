@@ -0,0 +1,22 @@
+// backend/providers/openaiRealtime.js
+// OpenAI Realtime over WebSocket: the bridge's event protocol is this API's, so the
+// connection is the socket itself. OPENAI_REALTIME_URL points it at a mock (tests).
+const WebSocket = require("ws");
+
+const DEFAULT_MODEL = "gpt-4o-realtime-preview-2025-06-03";
+
+function createOpenAIProvider({
+  apiKey = process.env.OPENAI_API_KEY,
+  model = process.env.OPENAI_REALTIME_MODEL || DEFAULT_MODEL,
+  url = process.env.OPENAI_REALTIME_URL,
+} = {}) {
+  const endpoint = url || `wss://api.openai.com/v1/realtime?model=${encodeURIComponent(model)}`;
+  const headers = { Authorization: `Bearer ${apiKey}`, "OpenAI-Beta": "realtime=v1" };
+  return {
+    name: "openai",
+    model,
+    connect: () => new WebSocket(endpoint, { headers, handshakeTimeout: 5000 }),
+  };
+}
+
+module.exports = { DEFAULT_MODEL, createOpenAIProvider };
@@ -0,0 +1,213 @@
+// backend/providers/scriptedAgent.js
+// Offline stand-in for the voice model: answers from a rule-based script (agent-scripts/*.json)
+// with pre-recorded μ-law clips. No API key, no network, same replies every time, for demos
+// and tests. It can't transcribe, so caller *speech* just moves the script to its next line;
+// typed caller text (dashboard, tests) is matched against the script's rules.
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+const WebSocket = require("ws");
+const { wavToMulaw, toneMulaw, mulawLevel } = require("../codec");
+const { BOOTSTRAP_ITEM_ID, VOICEMAIL_ITEM_ID, REPLAY_ITEM_PREFIX } = require("../mediaBridge");
+
+const MODEL = "scripted-agent";
+const CHUNK_BYTES = 800; // 100ms of audio per response.audio.delta
+
+const id = (prefix) => `${prefix}_${crypto.randomBytes(6).toString("hex")}`;
+const isLine = (l) => l && typeof l.text === "string" && l.text.trim() && (l.clip == null || typeof l.clip === "string");
+
+// ---- Script: greeting, flow (one line per caller turn), keyword rules, goodbye, voicemail ----
+function validateScript(s) {
+  if (!s || typeof s !== "object") return ["must be a JSON object"];
+  const errors = [];
+  for (const key of ["greeting", "goodbye", "voicemail"]) if (!isLine(s[key])) errors.push(`"${key}" must be { text, clip? }`);
+  if (!Array.isArray(s.flow) || !s.flow.every(isLine)) errors.push(`"flow" must be a list of { text, clip? }`);
+  if (s.rules != null && !(Array.isArray(s.rules) && s.rules.every(r => isLine(r) && Array.isArray(r.match) && r.match.length))) {
+    errors.push(`"rules" must be a list of { match: [..], text, clip?, tool?, end? }`);
+  }
+  for (const r of s.rules || []) if (r.tool != null && typeof r.tool?.name !== "string") errors.push(`rule tool needs a "name"`);
+  return errors;
+}
+
+/**
+ * Load a script and its clips (paths relative to the script). Every line needs a usable clip:
+ * a demo that beeps instead of talking fails here, at startup. placeholders (SCRIPTED_AGENT_PLACEHOLDERS=on,
+ * tests / trying a script before recording it) plays a tone for the lines without one instead.
+ */
+function loadScript(
+  file = process.env.SCRIPTED_AGENT_SCRIPT || path.join(__dirname, "..", "..", "agent-scripts", "trial-pass.json"),
+  { placeholders = process.env.SCRIPTED_AGENT_PLACEHOLDERS === "on" } = {},
+) {
+  const script = JSON.parse(fs.readFileSync(file, "utf8"));
+  const errors = validateScript(script);
+  if (errors.length) throw new Error(`Invalid agent script ${file}:\n  ${errors.join("\n  ")}`);
+  const lines = [script.greeting, script.goodbye, script.voicemail, ...script.flow, ...(script.rules || [])];
+  const missing = [];
+  for (const line of lines) {
+    line.audio = clipAudio(line, path.dirname(file));
+    if (line.audio) continue;
+    missing.push(line.clip ? `${line.clip} (“${line.text.slice(0, 40)}…”)` : `no clip for “${line.text.slice(0, 40)}…”`);
+    // Placeholder: a quiet tone about as long as the line would take to say
+    if (placeholders) line.audio = toneMulaw({ hz: 440, ms: Math.min(4000, 60 * line.text.length), amplitude: 1500 });
+  }
+  if (missing.length && !placeholders) {
+    throw new Error(`Agent script ${file} is missing ${missing.length} clip(s) (8 kHz mono WAV, relative to the script):\n  ` +
+      `${missing.join("\n  ")}\nRecord them, or set SCRIPTED_AGENT_PLACEHOLDERS=on to play a tone for each line instead.`);
+  }
+  if (missing.length) console.warn(`[scripted] ${missing.length} line(s) without a usable clip, playing a tone instead`);
+  return { rules: [], ...script };
+}
+
+function clipAudio(line, dir) {
+  if (!line.clip) return null;
+  try { return wavToMulaw(fs.readFileSync(path.resolve(dir, line.clip))); }
+  catch (e) {
+    if (e.code !== "ENOENT") console.warn("[scripted] clip", line.clip, "unusable:", e.message);
+    return null;
+  }
+}
+
+// ---- One call's connection ----
+class ScriptedAgentConnection extends EventEmitter {
+  constructor(script, { silenceMs = 700, speechThreshold = 600 } = {}) {
+    super();
+    this.script = script;
+    this.silenceMs = silenceMs;
+    this.speechThreshold = speechThreshold;
+    this.readyState = WebSocket.CONNECTING;
+    this.serverVad = true;
+    this.greeted = false;
+    this.step = 0;              // next flow line
+    this.heard = null;          // typed caller text since the last reply
+    this.afterTool = null;      // rule whose line is spoken once its tool output arrives
+    this.voicemail = false;
+    this.finished = false;      // said goodbye; stays quiet from here
+    this.speaking = false;      // server VAD: caller speech in progress
+    this.quietMs = 0;
+    setImmediate(() => {
+      if (this.readyState !== WebSocket.CONNECTING) return;
+      this.readyState = WebSocket.OPEN;
+      this.emit("open");
+      this.reply({ type: "session.created", session: { id: id("sess"), model: MODEL } });
+    });
+  }
+
+  send(data) {
+    const msg = JSON.parse(data);
+    switch (msg.type) {
+      case "session.update":
+        if ("turn_detection" in msg.session) this.serverVad = Boolean(msg.session.turn_detection);
+        this.reply({ type: "session.updated", session: { model: MODEL, ...msg.session } });
+        break;
+      case "input_audio_buffer.append":
+        if (this.serverVad) this.detectSpeech(Buffer.from(msg.audio, "base64"));
+        break;
+      case "input_audio_buffer.commit":
+        this.reply({ type: "input_audio_buffer.committed", item_id: id("item") });
+        break;
+      case "conversation.item.create":
+        this.onItem(msg.item || {});
+        break;
+      case "response.create":
+        this.respond();
+        break;
+      // response.cancel / conversation.item.truncate: each reply is sent whole, nothing to stop
+    }
+  }
+
+  close(code = 1000) {
+    if (this.readyState === WebSocket.CLOSED) return;
+    this.readyState = WebSocket.CLOSED;
+    setImmediate(() => this.emit("close", code));
+  }
+
+  /** Deliver provider events asynchronously, like a socket would. */
+  reply(...events) {
+    setImmediate(() => {
+      for (const evt of events) {
+        if (this.readyState !== WebSocket.OPEN) return;
+        this.emit("message", Buffer.from(JSON.stringify({ event_id: id("event"), ...evt })));
+      }
+    });
+  }
+
+  onItem(item) {
+    const created = { ...item, id: item.id || id("item") };
+    if (item.type === "message" && item.role === "user" && !created.id.startsWith(REPLAY_ITEM_PREFIX)) {
+      const text = (item.content || []).map(p => p.text).filter(Boolean).join(" ").trim();
+      if (created.id === VOICEMAIL_ITEM_ID) this.voicemail = true;
+      else if (created.id !== BOOTSTRAP_ITEM_ID && text) this.heard = text;
+    }
+    this.reply({ type: "conversation.item.created", item: created });
+  }
+
+  // Server VAD: speech then silenceMs of quiet is a caller turn, answered right away
+  detectSpeech(chunk) {
+    const loud = chunk.length && mulawLevel(chunk) >= this.speechThreshold;
+    if (loud) {
+      this.quietMs = 0;
+      if (!this.speaking) { this.speaking = true; this.reply({ type: "input_audio_buffer.speech_started", item_id: id("item") }); }
+      return;
+    }
+    if (!this.speaking) return;
+    this.quietMs += chunk.length / 8;
+    if (this.quietMs < this.silenceMs) return;
+    this.speaking = false;
+    this.quietMs = 0;
+    const itemId = id("item");
+    this.reply({ type: "input_audio_buffer.speech_stopped", item_id: itemId }, { type: "input_audio_buffer.committed", item_id: itemId });
+    this.respond();
+  }
+
+  nextLine() {
+    if (this.afterTool) { const line = this.afterTool; this.afterTool = null; return { ...line, tool: null }; }
+    if (this.voicemail) { this.voicemail = false; this.finished = true; return this.script.voicemail; }
+    if (!this.greeted) { this.greeted = true; return this.script.greeting; }
+    if (this.finished) return null;
+    const heard = (this.heard || "").toLowerCase();
+    this.heard = null;
+    const rule = heard && this.script.rules.find(r => r.match.some(m => heard.includes(String(m).toLowerCase())));
+    if (rule) { if (rule.end) this.finished = true; return rule; }
+    if (this.step < this.script.flow.length) return this.script.flow[this.step++];
+    this.finished = true;
+    return this.script.goodbye;
+  }
+
+  respond() {
+    const line = this.nextLine();
+    if (!line) return;
+    const responseId = id("resp");
+    const events = [{ type: "response.created", response: { id: responseId, status: "in_progress" } }];
+    if (line.tool) {
+      this.afterTool = line;
+      events.push({
+        type: "response.function_call_arguments.done",
+        response_id: responseId, item_id: id("item"), call_id: id("call"),
+        name: line.tool.name, arguments: JSON.stringify(line.tool.arguments || {}),
+      });
+    } else {
+      const itemId = id("item");
+      for (let i = 0; i < line.audio.length; i += CHUNK_BYTES) {
+        events.push({ type: "response.audio.delta", response_id: responseId, item_id: itemId, delta: line.audio.subarray(i, i + CHUNK_BYTES).toString("base64") });
+      }
+      events.push(
+        { type: "response.audio_transcript.delta", response_id: responseId, item_id: itemId, delta: line.text },
+        { type: "response.audio.done", response_id: responseId, item_id: itemId },
+        { type: "response.audio_transcript.done", response_id: responseId, item_id: itemId, transcript: line.text },
+      );
+    }
+    events.push({ type: "response.done", response: { id: responseId, status: "completed" } });
+    this.reply(...events);
+  }
+}
+
+function createScriptedProvider({ script = loadScript() } = {}) {
+  return {
+    name: "scripted",
+    model: MODEL,
+    connect: () => new ScriptedAgentConnection(script),
+  };
+}
+
+module.exports = { MODEL, validateScript, loadScript, ScriptedAgentConnection, createScriptedProvider };
@@ -0,0 +1,251 @@
+// backend/qa.js
+// Post-call QA: score a finished call's transcript against the persona's call flow and a
+// rubric (step patterns, AI disclosure, appointment repeat-back, turn length, monologues).
+// The result is stored on the call record as `qa`; /api/qa averages it per persona version
+// so a prompt change can be compared with the one before it.
+const { readJson } = require("./storage");
+const { parseFilters, queryCalls, HistoryError } = require("./callHistory");
+
+// Steps are the persona's callFlow labels ("INTRO: ..."); a step is spotted when an agent
+// turn matches one of its patterns (case-insensitive regexes). Labels with no patterns are
+// listed but not scored.
+const DEFAULT_RUBRIC = {
+  steps: {
+    "INTRO": ["\\bthis is\\b", "\\b(i'm|i am|my name is)\\b", "\\bsoy\\b"],
+    "GREETING": ["thanks? (you )?for calling", "\\bthis is\\b", "how can i help"],
+    "AVAILABILITY CHECK": ["good time", "(a|quick) (minute|moment|second)", "time to (talk|chat)", "\\bmomento\\b"],
+    "PURPOSE": ["(you )?(requested|asked (for|about)|signed up for)", "reaching out (about|because)", "calling (about|because)"],
+    "REASON": ["what can i (help|do)", "calling (about|for)", "how can i help"],
+    "GOALS": ["\\bgoals?\\b", "(hoping|looking) to (get|achieve|work)"],
+    "PITCH": ["\\bclass(es)?\\b", "\\bnew\\b.*\\b(program|schedule)\\b"],
+    "RECONNECT": ["(been a while|haven't seen you|miss(ed)? (you|having you))"],
+    "LISTEN": ["what (made|kept)|why did you|what would (bring|get) you"],
+    "OFFER": ["\\b(offer|deal|discount|free|pass)\\b"],
+    "NEXT STEP": ["come in", "stop by", "next step", "(visit|tour)\\b"],
+    "SCHEDULING": ["what (day|time)s?", "when (works|would)", "\\bavailab", "open (slots?|times?)", "\\b\\d{1,2}(:\\d\\d)?\\s?(am|pm)\\b"],
+    "CONFIRM": ["(you're|you are) (all )?(set|booked)", "\\bbooked\\b", "\\bconfirmed\\b", "\\bscheduled (you|for)\\b"],
+    "QUESTIONS": ["any (other )?questions", "anything else"],
+    "RECONFIRM": ["front desk", "see you (on|at|then|tomorrow|today)", "just to (confirm|recap)", "check in"],
+    "CLOSE": ["\\b(bye|goodbye)\\b", "have a (great|good|nice|wonderful)", "thanks? (you )?(so much )?for (your time|chatting|talking)"],
+  },
+  // Only expected when something was booked
+  bookedOnly: ["CONFIRM", "RECONFIRM"],
+  // The agent says it's an AI within its first `withinAgentTurns` turns
+  disclosure: {
+    patterns: ["\\bAI\\b", "artificial intelligence", "virtual assistant", "automated (assistant|agent)", "asistente virtual", "assistante virtuelle"],
+    withinAgentTurns: 2,
+  },
+  turnSeconds: 10,      // style guide: about 10 seconds per turn
+  wordsPerSecond: 2.5,  // to estimate spoken length from the transcript
+  monologue: { agentTurnsInARow: 3, seconds: 25 },
+  weights: { steps: 40, order: 15, disclosure: 15, repeatBack: 10, turnLength: 10, monologue: 10 },
+};
+
+/**
+ * The built-in rubric, overridden per key by QA_RUBRIC_FILE (JSON; `steps` merge per label),
+ * with its patterns compiled once into `re`. Throws one error listing every bad pattern.
+ */
+function loadRubric(file = process.env.QA_RUBRIC_FILE) {
+  const custom = file ? readJson(file, {}) : {};
+  const rubric = {
+    ...DEFAULT_RUBRIC,
+    ...custom,
+    steps: { ...DEFAULT_RUBRIC.steps, ...custom.steps },
+    disclosure: { ...DEFAULT_RUBRIC.disclosure, ...custom.disclosure },
+    monologue: { ...DEFAULT_RUBRIC.monologue, ...custom.monologue },
+    weights: { ...DEFAULT_RUBRIC.weights, ...custom.weights },
+  };
+  const problems = [];
+  const compile = (patterns, where) => {
+    if (!Array.isArray(patterns)) { problems.push(`${where} must be a list of patterns`); return []; }
+    return patterns.flatMap((p, i) => {
+      try { return [new RegExp(p, "i")]; }
+      catch (e) { problems.push(`${where}[${i}]: ${e.message}`); return []; }
+    });
+  };
+  const re = {
+    steps: Object.fromEntries(Object.entries(rubric.steps).map(([step, patterns]) => [step, compile(patterns, `steps.${step}`)])),
+    disclosure: compile(rubric.disclosure.patterns, "disclosure.patterns"),
+  };
+  if (problems.length) throw new Error(`Invalid QA rubric${file ? ` ${file}` : ""}:\n  ${problems.join("\n  ")}`);
+  return { ...rubric, re };
+}
+
+const matchesAny = (res, text) => res.some(re => re.test(text));
+
+/** "INTRO: Hi {{firstName}}..." -> "INTRO" */
+function flowSteps(persona) {
+  return (persona?.callFlow || []).map(line => line.match(/^\s*([A-Z][A-Z /&-]*?)\s*:/)?.[1]).filter(Boolean);
+}
+
+const spokenSec = (text, rubric) => Math.round((String(text).trim().split(/\s+/).filter(Boolean).length / rubric.wordsPerSecond) * 10) / 10;
+
+// Each step's first agent turn at or after the previous step's, else anywhere (out of order)
+function scoreSteps(labels, agentTurns, booked, rubric) {
+  let cursor = 0;
+  return labels.map((step) => {
+    const res = rubric.re.steps[step] || [];
+    if (!res.length) return { step, checked: false };
+    if (!booked && (rubric.bookedOnly || []).includes(step)) return { step, checked: false, reason: "not_booked" };
+    const hit = (from) => agentTurns.findIndex((t, i) => i >= from && matchesAny(res, t.text));
+    let at = hit(cursor);
+    if (at >= 0) { cursor = at; return { step, checked: true, occurred: true, inOrder: true, turn: agentTurns[at].index }; }
+    at = hit(0);
+    return at >= 0
+      ? { step, checked: true, occurred: true, inOrder: false, turn: agentTurns[at].index }
+      : { step, checked: true, occurred: false, inOrder: null, turn: null };
+  });
+}
+
+const NUMBER_WORDS = ["twelve", "one", "two", "three", "four", "five", "six", "seven", "eight", "nine", "ten", "eleven"];
+
+/** Did the agent say the booked day and start time back ("Tuesday ... 6pm") once it was booked? */
+function scoreRepeatBack(appointment, agentTurns, { startedAt, from = 0 }) {
+  if (!appointment?.date || !appointment.window) return null;
+  const day = new Date(`${appointment.date}T12:00:00Z`);
+  const dayWords = [day.toLocaleDateString("en-US", { weekday: "long", timeZone: "UTC" }).toLowerCase()];
+  const callDay = String(startedAt || "").slice(0, 10);
+  if (callDay === appointment.date) dayWords.push("today");
+  if (callDay && Date.parse(appointment.date) - Date.parse(callDay) === 24 * 60 * 60 * 1000) dayWords.push("tomorrow");
+  const hour = Number(appointment.window.slice(0, 2)) % 12;
+  const hourRe = new RegExp(`\\b(${hour || 12}|${NUMBER_WORDS[hour]})\\b`, "i");
+  const turns = agentTurns.filter(t => t.index >= from && dayWords.some(w => t.text.toLowerCase().includes(w)) && hourRe.test(t.text));
+  return { passed: turns.length > 0, mentions: turns.length, turns: turns.map(t => t.index) };
+}
+
+// Runs of agent turns with no caller turn between them, or one very long turn
+function findMonologues(turns, rubric) {
+  const found = [];
+  let run = [];
+  const flush = () => {
+    const sec = run.reduce((s, t) => s + t.sec, 0);
+    if (run.length >= rubric.monologue.agentTurnsInARow || (run.length && sec >= rubric.monologue.seconds)) {
+      found.push({ turns: run.map(t => t.index), seconds: Math.round(sec * 10) / 10 });
+    }
+    run = [];
+  };
+  for (const t of turns) {
+    if (t.role === "agent") run.push(t);
+    else flush();
+  }
+  flush();
+  return found;
+}
+
+/**
+ * QA for one finished call record (with its turns), against a loadRubric() rubric. Calls without a conversation
+ * (voicemail, nobody answered, the caller never spoke) come back `{ scored: false, reason }`.
+ */
+function scoreCall(record, { persona = null, rubric = loadRubric() } = {}) {
+  const turns = (record.turns || []).map((t, index) => ({ ...t, index, sec: spokenSec(t.text || "", rubric) }));
+  const agentTurns = turns.filter(t => t.role === "agent");
+  const base = { scored: false, persona: record.persona || null, personaVersion: record.personaVersion || null, scoredAt: new Date().toISOString() };
+  if (["voicemail", "no_answer", "busy", "failed"].includes(record.outcome)) return { ...base, reason: record.outcome };
+  if (!agentTurns.length || !turns.some(t => t.role === "user")) return { ...base, reason: "no_conversation" };
+
+  const booked = record.outcome === "booked" && Boolean(record.appointment);
+  const steps = scoreSteps(flowSteps(persona), agentTurns, booked, rubric);
+  const checked = steps.filter(s => s.checked);
+  const occurred = checked.filter(s => s.occurred);
+
+  const disclosedAt = agentTurns.findIndex(t => matchesAny(rubric.re.disclosure, t.text));
+  const disclosure = { passed: disclosedAt >= 0 && disclosedAt < rubric.disclosure.withinAgentTurns, turn: disclosedAt >= 0 ? agentTurns[disclosedAt].index : null };
+
+  // Offering the slot isn't repeating it back: count from the booking confirmation on, when we saw it
+  const confirmed = steps.find(s => s.step === "CONFIRM" && s.occurred);
+  const repeatBack = booked ? scoreRepeatBack(record.appointment, agentTurns, { startedAt: record.startedAt, from: confirmed?.turn || 0 }) : null;
+
+  const secs = agentTurns.map(t => t.sec);
+  const overLimit = agentTurns.filter(t => t.sec > rubric.turnSeconds).map(t => t.index);
+  const turnLength = {
+    limitSec: rubric.turnSeconds,
+    avgSec: Math.round((secs.reduce((a, b) => a + b, 0) / secs.length) * 10) / 10,
+    maxSec: Math.max(...secs),
+    overLimit,
+  };
+  const monologues = findMonologues(turns, rubric);
+
+  // 0..1 per check; null when it doesn't apply to this call (left out of the weighted score)
+  const parts = {
+    steps: checked.length ? occurred.length / checked.length : null,
+    order: occurred.length > 1 ? occurred.filter(s => s.inOrder).length / occurred.length : null,
+    disclosure: disclosure.passed ? 1 : 0,
+    repeatBack: repeatBack ? (repeatBack.passed ? 1 : 0) : null,
+    turnLength: 1 - overLimit.length / agentTurns.length,
+    monologue: monologues.length ? 0 : 1,
+  };
+  let points = 0;
+  let weight = 0;
+  for (const [key, value] of Object.entries(parts)) {
+    const w = rubric.weights[key] || 0;
+    if (value == null || !w) continue;
+    points += w * value;
+    weight += w;
+  }
+
+  return {
+    ...base,
+    scored: true,
+    score: weight ? Math.round((points / weight) * 100) : null,
+    parts: Object.fromEntries(Object.entries(parts).map(([k, v]) => [k, v == null ? null : Math.round(v * 1000) / 1000])),
+    steps,
+    disclosure,
+    repeatBack,
+    turnLength,
+    monologues,
+  };
+}
+
+// ---- Aggregation: one row per persona version ----
+const ratio = (n, d) => (d ? Math.round((n / d) * 1000) / 1000 : null);
+const avg = (xs) => (xs.length ? Math.round((xs.reduce((a, b) => a + b, 0) / xs.length) * 10) / 10 : null);
+
+function summarizeQa(calls) {
+  const groups = new Map();
+  for (const r of calls) {
+    const key = `${r.persona || ""}@${r.personaVersion || ""}`;
+    if (!groups.has(key)) groups.set(key, { persona: r.persona || null, personaVersion: r.personaVersion || null, calls: [] });
+    groups.get(key).calls.push(r);
+  }
+  return [...groups.values()].map(({ persona, personaVersion, calls: group }) => {
+    const scored = group.map(r => r.qa).filter(q => q?.scored);
+    const stepNames = [...new Set(scored.flatMap(q => q.steps.filter(s => s.checked).map(s => s.step)))];
+    const steps = Object.fromEntries(stepNames.map((name) => {
+      const seen = scored.map(q => q.steps.find(s => s.step === name)).filter(s => s?.checked);
+      const occurred = seen.filter(s => s.occurred);
+      return [name, { checked: seen.length, occurredRate: ratio(occurred.length, seen.length), inOrderRate: ratio(occurred.filter(s => s.inOrder).length, occurred.length) }];
+    }));
+    const withRepeat = scored.filter(q => q.repeatBack);
+    const started = group.map(r => r.startedAt).filter(Boolean).sort();
+    return {
+      persona,
+      personaVersion,
+      firstCallAt: started[0] || null,
+      lastCallAt: started[started.length - 1] || null,
+      calls: group.length,
+      scored: scored.length,
+      avgScore: avg(scored.map(q => q.score).filter(s => s != null)),
+      steps,
+      disclosureRate: ratio(scored.filter(q => q.disclosure.passed).length, scored.length),
+      repeatBackRate: ratio(withRepeat.filter(q => q.repeatBack.passed).length, withRepeat.length),
+      avgTurnSec: avg(scored.map(q => q.turnLength.avgSec)),
+      turnsOverLimitRate: ratio(scored.filter(q => q.turnLength.overLimit.length).length, scored.length),
+      monologueRate: ratio(scored.filter(q => q.monologues.length).length, scored.length),
+    };
+  }).sort((a, b) => String(a.persona).localeCompare(String(b.persona)) || String(b.lastCallAt).localeCompare(String(a.lastCallAt)));
+}
+
+// ---- Routes ----
+async function qaRoutes(fastify, { rubric = loadRubric() } = {}) {
+  const { re, ...config } = rubric;
+  // Same filters as /api/calls, plus ?persona=
+  fastify.get("/api/qa", async (req, reply) => {
+    let filters;
+    try { filters = parseFilters(req.query); }
+    catch (e) { if (e instanceof HistoryError) return reply.code(400).send({ error: e.message, code: e.code }); throw e; }
+    const calls = queryCalls(filters).filter(r => !req.query.persona || r.persona === req.query.persona);
+    return { filters: req.query, rubric: config, personas: summarizeQa(calls) };
+  });
+}
+
+module.exports = { DEFAULT_RUBRIC, loadRubric, flowSteps, scoreCall, summarizeQa, qaRoutes };
@@ -0,0 +1,175 @@
+// backend/recording.js
+// Optional call recording: caller and agent audio as separate channels of one stereo WAV per
+// CallSid (left = caller, right = agent), both placed on Twilio's media timeline.
+// RECORDING=on records calls by default; a campaign's settings.recording overrides it.
+const fs = require("fs");
+const path = require("path");
+const { dataPath } = require("./storage");
+const { MULAW_SILENCE, mulawToPcm16, encodeWav } = require("./codec");
+
+const SAMPLE_RATE = 8000;
+const BYTES_PER_MS = SAMPLE_RATE / 1000; // μ-law: one byte per sample
+const CALL_SID_RE = /^CA[0-9a-zA-Z]{32}$/;
+
+const maxRecordingMs = () => Number(process.env.RECORDING_MAX_MINUTES || 30) * 60 * 1000;
+const retentionDays = () => Number(process.env.RECORDING_RETENTION_DAYS || 30);
+const maxTotalBytes = () => Number(process.env.RECORDING_MAX_TOTAL_MB || 1024) * 1024 * 1024;
+
+/** Campaign setting first, then the RECORDING env default. */
+function recordingEnabled(campaign) {
+  return Boolean(campaign?.settings?.recording ?? process.env.RECORDING === "on");
+}
+
+function recordingsDir() {
+  const dir = dataPath("recordings");
+  fs.mkdirSync(dir, { recursive: true });
+  return dir;
+}
+
+const recordingFile = (callSid) => path.join(recordingsDir(), `${callSid}.wav`);
+
+// One channel of μ-law audio, addressed by byte offset (= sample index); gaps are silence
+class Track {
+  constructor(maxBytes) {
+    this.maxBytes = maxBytes;
+    this.buf = Buffer.alloc(0);
+    this.length = 0;
+  }
+
+  write(offset, bytes) {
+    const end = Math.min(offset + bytes.length, this.maxBytes);
+    if (end <= offset) return false;
+    if (end > this.buf.length) {
+      const grown = Buffer.alloc(Math.min(Math.max(end, this.buf.length * 2, 16000), this.maxBytes), MULAW_SILENCE);
+      this.buf.copy(grown, 0, 0, this.length);
+      this.buf = grown;
+    }
+    if (offset > this.length) this.buf.fill(MULAW_SILENCE, this.length, offset);
+    bytes.copy(this.buf, offset, 0, end - offset);
+    this.length = Math.max(this.length, end);
+    return end - offset === bytes.length;
+  }
+
+  truncate(offset) {
+    if (offset >= this.length) return;
+    this.buf.fill(MULAW_SILENCE, offset, this.length);
+    this.length = offset;
+  }
+
+  samples() {
+    return mulawToPcm16(this.buf.subarray(0, this.length));
+  }
+}
+
+/**
+ * Collects both sides of a call. Times are Twilio media timestamps (ms since the stream started).
+ * Caller frames carry their own timestamp; agent audio is queued back to back from the moment it
+ * was sent, the way Twilio plays it, and anything still queued is dropped on a "clear".
+ */
+class CallRecorder {
+  constructor({ maxMs = maxRecordingMs() } = {}) {
+    const maxBytes = maxMs * BYTES_PER_MS;
+    this.caller = new Track(maxBytes);
+    this.agent = new Track(maxBytes);
+    this.agentCursor = 0;  // byte offset where queued agent audio ends
+    this.clipped = false;  // hit the max duration
+  }
+
+  addCaller(ulaw, timestampMs) {
+    if (!this.caller.write(Math.round(timestampMs * BYTES_PER_MS), ulaw)) this.clipped = true;
+  }
+
+  addAgent(ulaw, nowMs) {
+    const start = Math.max(this.agentCursor, Math.round(nowMs * BYTES_PER_MS));
+    if (!this.agent.write(start, ulaw)) this.clipped = true;
+    this.agentCursor = start + ulaw.length;
+  }
+
+  /** Twilio "clear": agent audio queued past nowMs was never played. */
+  clearAgent(nowMs) {
+    const at = Math.round(nowMs * BYTES_PER_MS);
+    this.agent.truncate(at);
+    this.agentCursor = Math.min(this.agentCursor, at);
+  }
+
+  get durationMs() {
+    return Math.max(this.caller.length, this.agent.length) / BYTES_PER_MS;
+  }
+
+  toWav() {
+    return encodeWav([this.caller.samples(), this.agent.samples()], { sampleRate: SAMPLE_RATE });
+  }
+}
+
+/** Write data/recordings/<CallSid>.wav; resolves with what goes on the call record. */
+async function saveRecording(callSid, recorder) {
+  if (!CALL_SID_RE.test(callSid || "")) throw new Error(`bad CallSid for recording: ${callSid}`);
+  const wav = recorder.toWav();
+  await fs.promises.writeFile(recordingFile(callSid), wav);
+  const info = {
+    file: `${callSid}.wav`,
+    channels: { left: "caller", right: "agent" },
+    durationMs: Math.round(recorder.durationMs),
+    bytes: wav.length,
+    clipped: recorder.clipped,
+    savedAt: new Date().toISOString(),
+  };
+  console.log("[recording] saved", info.file, `${(info.durationMs / 1000).toFixed(1)}s`);
+  return info;
+}
+
+/** Retention: drop recordings past RECORDING_RETENTION_DAYS, then the oldest until under RECORDING_MAX_TOTAL_MB. */
+async function sweepRecordings(now = Date.now()) {
+  const dir = recordingsDir();
+  const files = [];
+  for (const name of await fs.promises.readdir(dir)) {
+    if (!name.endsWith(".wav")) continue;
+    const stat = await fs.promises.stat(path.join(dir, name)).catch(() => null);
+    if (stat) files.push({ name, size: stat.size, mtime: stat.mtimeMs });
+  }
+  files.sort((a, b) => a.mtime - b.mtime);
+
+  const cutoff = now - retentionDays() * 24 * 60 * 60 * 1000;
+  let total = files.reduce((sum, f) => sum + f.size, 0);
+  const removed = [];
+  for (const f of files) {
+    if (f.mtime >= cutoff && total <= maxTotalBytes()) break;
+    await fs.promises.unlink(path.join(dir, f.name)).catch(() => {});
+    total -= f.size;
+    removed.push(f.name);
+  }
+  if (removed.length) console.log("[recording] retention removed", removed.length, "file(s)");
+  return removed;
+}
+
+function startRecordingSweeper(intervalMs = 60 * 60 * 1000) {
+  const run = () => sweepRecordings().catch(e => console.error("[recording] sweep error:", e?.message || e));
+  run();
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+// ---- Routes ----
+async function recordingRoutes(fastify) {
+  fastify.get("/api/calls/:sid/recording", async (req, reply) => {
+    const { sid } = req.params;
+    if (!CALL_SID_RE.test(sid)) return reply.code(400).send({ error: "Invalid CallSid", code: "CALL_SID_INVALID" });
+    const file = recordingFile(sid);
+    if (!fs.existsSync(file)) return reply.code(404).send({ error: "No recording for this call", code: "RECORDING_NOT_FOUND" });
+    reply
+      .type("audio/wav")
+      .header("Content-Disposition", `inline; filename="${sid}.wav"`)
+      .header("Content-Length", fs.statSync(file).size);
+    return reply.send(fs.createReadStream(file));
+  });
+}
+
+module.exports = {
+  CallRecorder,
+  recordingEnabled,
+  saveRecording,
+  sweepRecordings,
+  startRecordingSweeper,
+  recordingRoutes,
+};
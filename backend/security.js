@@ -0,0 +1,205 @@
+// backend/security.js
+// Request authentication: Twilio webhook signatures, one-time media-stream tokens,
+// API keys / admin + demo-page sessions, per-IP rate limits, and XML escaping for TwiML.
+const crypto = require("crypto");
+const twilio = require("twilio");
+
+const STREAM_TOKEN_TTL_MS = 2 * 60 * 1000;   // Twilio connects within seconds of fetching TwiML
+const SESSION_COOKIE = "cf_session";
+const SESSION_TTL_MS = 60 * 60 * 1000;
+const ADMIN_COOKIE = "cf_admin";
+const ADMIN_SESSION_TTL_MS = 8 * 60 * 60 * 1000; // a supervisor's shift on the dashboard
+
+// WEBHOOK_AUTH=off disables signature + stream-token checks (local testing only)
+const webhookAuthEnabled = () => process.env.WEBHOOK_AUTH !== "off";
+
+let generatedSecret = null;
+function signingSecret() {
+  const secret = process.env.STREAM_TOKEN_SECRET || process.env.TWILIO_AUTH_TOKEN;
+  if (secret) return secret;
+  if (!generatedSecret) {
+    console.warn("[security] STREAM_TOKEN_SECRET not set; using a per-process secret (single instance only)");
+    generatedSecret = crypto.randomBytes(32).toString("hex");
+  }
+  return generatedSecret;
+}
+
+const hmac = (data) => crypto.createHmac("sha256", signingSecret()).update(data).digest("base64url");
+const safeEqual = (a, b) => {
+  const x = Buffer.from(String(a)), y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+};
+
+function escapeXml(s) {
+  return String(s ?? "").replace(/[<>&'"]/g, c => ({ "<": "&lt;", ">": "&gt;", "&": "&amp;", "'": "&apos;", '"': "&quot;" }[c]));
+}
+
+// ---- Twilio webhook signatures ----
+/** Fastify preHandler: reject webhook requests without a valid X-Twilio-Signature. */
+async function verifyTwilioSignature(req, reply) {
+  if (!webhookAuthEnabled()) return;
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  const signature = req.headers["x-twilio-signature"];
+  // Twilio signs the exact public URL it requested (PUBLIC_BASE_URL + path + query)
+  const base = process.env.PUBLIC_BASE_URL || `https://${req.headers.host}`;
+  const url = base.replace(/\/$/, "") + req.url;
+  const params = req.method === "POST" && req.body && typeof req.body === "object" ? req.body : {};
+  if (!authToken || !signature || !twilio.validateRequest(authToken, signature, url, params)) {
+    console.warn("[security] rejected webhook with bad/missing Twilio signature:", req.method, req.url);
+    return reply.code(403).send({ error: "Invalid Twilio signature" });
+  }
+}
+
+// ---- One-time media-stream tokens bound to a CallSid ----
+const usedNonces = new Map(); // nonce -> expiry (ms)
+
+function createStreamToken(callSid, now = Date.now()) {
+  const claims = { c: callSid, e: now + STREAM_TOKEN_TTL_MS, n: crypto.randomBytes(9).toString("base64url") };
+  const payload = Buffer.from(JSON.stringify(claims)).toString("base64url");
+  return `${payload}.${hmac(payload)}`;
+}
+
+/** Verify + consume a stream token. Returns { callSid } or null (bad signature, expired, replayed). */
+function consumeStreamToken(token, now = Date.now()) {
+  const [payload, sig] = String(token || "").split(".");
+  if (!payload || !sig || !safeEqual(sig, hmac(payload))) return null;
+  let claims;
+  try { claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8")); } catch { return null; }
+  if (!claims.c || !claims.n || claims.e < now || usedNonces.has(claims.n)) return null;
+
+  for (const [n, exp] of usedNonces) if (exp < now) usedNonces.delete(n);
+  usedNonces.set(claims.n, claims.e);
+  return { callSid: claims.c };
+}
+
+// ---- API keys + admin / demo-page sessions ----
+function apiKeys() {
+  return (process.env.API_KEYS || "").split(",").map(k => k.trim()).filter(Boolean);
+}
+
+// Headers only: a key in the query string ends up in browser history, proxy logs and Referer
+function hasValidApiKey(req) {
+  const header = req.headers["x-api-key"] || (req.headers.authorization || "").replace(/^Bearer\s+/i, "");
+  return Boolean(header) && apiKeys().some(k => safeEqual(k, header));
+}
+
+function rejectApiKey(reply) {
+  if (!apiKeys().length) return reply.code(401).send({ error: "Admin APIs are disabled until API_KEYS is set", code: "API_KEYS_UNSET" });
+  return reply.code(401).send({ error: "Unauthorized", code: "API_KEY_REQUIRED" });
+}
+
+/**
+ * Admin APIs: a valid API key, or the admin cookie it was exchanged for (browser pages:
+ * EventSource and WebSocket can't send headers). There is no localhost exemption: behind
+ * ngrok or a proxy every request arrives from 127.0.0.1, and X-Forwarded-For is whatever
+ * the client says.
+ */
+async function requireApiKey(req, reply) {
+  if (hasValidApiKey(req) || (apiKeys().length && hasValidCookie(req, ADMIN_COOKIE))) return;
+  return rejectApiKey(reply);
+}
+
+/** POST /api/admin/session trades an API key for the admin cookie; DELETE signs out. */
+async function adminSessionRoutes(fastify) {
+  const limit = rateLimit({ max: 10, windowMs: 60 * 1000 });
+  fastify.post("/api/admin/session", { preHandler: limit }, async (req, reply) => {
+    if (!hasValidApiKey(req)) return rejectApiKey(reply);
+    reply.header("Set-Cookie", signedCookie(ADMIN_COOKIE, ADMIN_SESSION_TTL_MS, "/api"));
+    return { ok: true, expiresInMs: ADMIN_SESSION_TTL_MS };
+  });
+  fastify.delete("/api/admin/session", async (_req, reply) => {
+    reply.header("Set-Cookie", `${ADMIN_COOKIE}=; Path=/api; HttpOnly; SameSite=Strict; Max-Age=0`);
+    return { ok: true };
+  });
+}
+
+/**
+ * Fastify trustProxy from TRUST_PROXY: the proxies in front of us, as a comma list of
+ * addresses / CIDRs (or proxy-addr names: loopback for a local ngrok agent). Never `true`,
+ * which believes any X-Forwarded-For a client sends.
+ */
+function trustProxySetting(value = process.env.TRUST_PROXY) {
+  const s = String(value ?? "").trim();
+  if (!s || s === "false") return false;
+  if (s === "true") {
+    console.warn("[security] TRUST_PROXY=true is treated as loopback (a local ngrok agent); list your proxy addresses instead");
+    return ["loopback"];
+  }
+  return s.split(",").map(a => a.trim()).filter(Boolean);
+}
+
+// The cookie name is part of what's signed, so a demo-page cookie can't be replayed as cf_admin
+function signedCookie(name, ttlMs, path = "/", now = Date.now()) {
+  const value = `${now + ttlMs}.${crypto.randomBytes(9).toString("base64url")}`;
+  return `${name}=${value}.${hmac(`${name}.${value}`)}; Path=${path}; HttpOnly; SameSite=Strict; Max-Age=${ttlMs / 1000}`;
+}
+
+function hasValidCookie(req, name, now = Date.now()) {
+  const cookies = Object.fromEntries((req.headers.cookie || "").split(";").map(c => {
+    const i = c.indexOf("=");
+    return [c.slice(0, i).trim(), c.slice(i + 1).trim()];
+  }));
+  const [exp, nonce, sig] = String(cookies[name] || "").split(".");
+  return Boolean(exp && nonce && sig) && safeEqual(sig, hmac(`${name}.${exp}.${nonce}`)) && Number(exp) > now;
+}
+
+const sessionCookie = (now) => signedCookie(SESSION_COOKIE, SESSION_TTL_MS, "/", now);
+
+// DEMO_PASSCODE: shared by the operator with whoever should try the demo form; unset, the form is off
+const demoPasscode = () => (process.env.DEMO_PASSCODE || "").trim();
+
+/** POST /api/demo/session: the demo passcode buys a short demo-page session (cf_session). */
+async function demoSessionRoutes(fastify) {
+  const limit = rateLimit({ max: 10, windowMs: 60 * 1000 });
+  fastify.post("/api/demo/session", { preHandler: limit }, async (req, reply) => {
+    if (!demoPasscode()) return reply.code(403).send({ error: "The demo form is disabled (DEMO_PASSCODE is not set)", code: "DEMO_DISABLED" });
+    if (!safeEqual(String(req.body?.passcode || ""), demoPasscode())) {
+      return reply.code(401).send({ error: "Wrong demo passcode", code: "DEMO_PASSCODE_INVALID" });
+    }
+    reply.header("Set-Cookie", sessionCookie());
+    return { ok: true, expiresInMs: SESSION_TTL_MS };
+  });
+}
+
+/**
+ * /api/start-call places real calls: an API key / admin session, or a demo session bought
+ * with DEMO_PASSCODE. Demo sessions stop working as soon as DEMO_PASSCODE is unset.
+ */
+async function requireApiKeyOrSession(req, reply) {
+  if (hasValidApiKey(req) || (apiKeys().length && hasValidCookie(req, ADMIN_COOKIE))) return;
+  if (demoPasscode() && hasValidCookie(req, SESSION_COOKIE)) return;
+  return reply.code(401).send({ error: "Unauthorized — enter the demo passcode to place a call", code: "SESSION_REQUIRED" });
+}
+
+// ---- Per-IP rate limiting (fixed window, in memory) ----
+function rateLimit({ max, windowMs }) {
+  const hits = new Map(); // ip -> { count, resetAt }
+  return async function rateLimitHook(req, reply) {
+    const now = Date.now();
+    let entry = hits.get(req.ip);
+    if (!entry || entry.resetAt <= now) {
+      if (hits.size > 10000) for (const [ip, e] of hits) if (e.resetAt <= now) hits.delete(ip);
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(req.ip, entry);
+    }
+    if (++entry.count > max) {
+      reply.header("Retry-After", Math.ceil((entry.resetAt - now) / 1000));
+      return reply.code(429).send({ error: "Too many requests, try again later", code: "RATE_LIMITED" });
+    }
+  };
+}
+
+module.exports = {
+  escapeXml,
+  webhookAuthEnabled,
+  verifyTwilioSignature,
+  createStreamToken,
+  consumeStreamToken,
+  requireApiKey,
+  requireApiKeyOrSession,
+  adminSessionRoutes,
+  demoSessionRoutes,
+  trustProxySetting,
+  sessionCookie,
+  rateLimit,
+};
@@ -4,10 +4,42 @@ const Fastify = require("fastify");
 const fastifyFormBody = require("@fastify/formbody");
 const fastifyWs = require("@fastify/websocket");
 const fastifyStatic = require("@fastify/static");
-const WebSocket = require("ws");
-const twilio = require("twilio");
 const dotenv = require("dotenv");
-const { google } = require("googleapis");
+const { createTwilioClient } = require("./twilioClient");
+const { providerName, createProvider } = require("./providers");
+const { extractOutcome } = require("./callOutcome");
+const { callEvents, emitLive } = require("./events");
+const { MediaBridge, DEFAULT_FILLER } = require("./mediaBridge");
+const { wavToMulaw } = require("./codec");
+const { deliverRecord, startOutboxWorker } = require("./sinks");
+const { saveCall, callHistoryRoutes } = require("./callHistory");
+const { loadRubric, scoreCall, qaRoutes } = require("./qa");
+const { metrics, metricsRoutes } = require("./metrics");
+const { createSessionStore } = require("./sessionStore");
+const { monitorRoutes, summarizeSession } = require("./monitor");
+const { ANSWERED_DIAL_STATUSES, transferNumber, transferTwiml, whisperTwiml, dialResultTwiml } = require("./transfer");
+const { CampaignDialer, campaignRoutes } = require("./campaigns");
+const { recordingEnabled, recordingRoutes, startRecordingSweeper } = require("./recording");
+const {
+  PersonaError, loadPersonas, resolvePersona, personaVariables, buildSystemPrompt, buildVoicemailPrompt, personaRoutes,
+} = require("./personas");
+const { loadClubs, getClub, defaultClubId, clubRoutes } = require("./clubs");
+const { languages, resolveLanguage, connectMessage, languageVoice } = require("./languages");
+const { SmsService, smsWebhookRoutes, smsRoutes } = require("./sms");
+const { CallbackScheduler, callbackRoutes } = require("./callbacks");
+const {
+  INBOUND_KICKOFF, inboundPersonaId, identifyCaller, captureLead, updateLeadFromOutcome, inboundRoutes,
+} = require("./inbound");
+const {
+  TERMINAL_CALL_STATUSES, parseStatusCallback, recordCallStatus, recordAnsweredBy,
+} = require("./callLifecycle");
+const {
+  ComplianceError, assertCallAllowed, recordConsent, recordCallAttempt, complianceRoutes,
+} = require("./compliance");
+const {
+  escapeXml, webhookAuthEnabled, verifyTwilioSignature, createStreamToken, consumeStreamToken,
+  requireApiKey, requireApiKeyOrSession, adminSessionRoutes, demoSessionRoutes, trustProxySetting, rateLimit,
+} = require("./security");
 dotenv.config();
 
 // ---- Env ----
@@ -17,435 +49,458 @@ const {
   TWILIO_AUTH_TOKEN,
   TWILIO_NUMBER,
   PUBLIC_BASE_URL,
+  MACHINE_DETECTION = "on",
+  REALTIME_TURN_DETECTION = "server_vad",
+  REALTIME_RECONNECT_ATTEMPTS = "3",
+  REALTIME_FILLER_FILE,
+  TRUST_PROXY,
   PORT = 3000
 } = process.env;
 
-if (!OPENAI_API_KEY) console.warn("[env] OPENAI_API_KEY missing");
+if (!OPENAI_API_KEY && providerName() === "openai") console.warn("[env] OPENAI_API_KEY missing");
 if (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN) console.warn("[env] Twilio creds missing");
 if (!TWILIO_NUMBER) console.warn("[env] TWILIO_NUMBER missing");
 if (!PUBLIC_BASE_URL) console.warn("[env] PUBLIC_BASE_URL missing");
+if (!process.env.API_KEYS) console.warn("[env] API_KEYS missing; admin APIs (campaigns, DNC, recordings, dashboard) are disabled");
 
 // ---- Twilio client ----
-const client = twilio(TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN);
-
-// ---- OpenAI Realtime config ----
-const OPENAI_REALTIME_MODEL = "gpt-4o-realtime-preview-2025-06-03";
-const OPENAI_REALTIME_URL = `wss://api.openai.com/v1/realtime?model=${OPENAI_REALTIME_MODEL}`;
-const OPENAI_HEADERS = {
-  Authorization: `Bearer ${OPENAI_API_KEY}`,
-  "OpenAI-Beta": "realtime=v1",
-};
-
-// ---- Agent system prompt ----
-const VOICE = 'alloy';
-function toFirstName(s) { return (s || "").trim().split(/\s+/)[0] || ""; }
-function getSystemMessage(callerName) {
-  const name = callerName || "there";
-  return `
-You are **Alice**, a friendly, upbeat AI voice assistant for **Crunch Fitness**.
-Goal: book an in‑club visit for a **free trial pass** and make the caller feel confident and excited.
-
-STYLE:
-- Speak naturally, concise (about 10 seconds per turn), and warmly professional.
-- Listen actively; don’t monologue. Respond to what the caller says.
-- Use the caller’s name (“${name}”) occasionally but not every sentence.
-- Confirm details out loud, avoid jargon, and keep energy positive.
-- Multilingual: continue in whatever language the caller uses.
-CALL FLOW (follow in order, but adapt as needed):
-1) INTRO: “Hi ${name}, this is **Alice**, an AI assistant with Crunch Fitness.”
-2) AVAILABILITY CHECK: Ask to speak with them and confirm now is a good time to talk.
-3) PURPOSE: Confirm you’re calling because they requested a **free trial pass**.
-4) GOALS: Ask about their fitness goals (e.g., strength, weight loss, classes). Encourage briefly and mention how Crunch can help (equipment, classes, coaching).
-5) NEXT STEP: Suggest the best next step is to **come in for a free trial pass**, and confirm they are interested
-6) SCHEDULING: Ask for availability and offer **two specific options** (e.g., “today 6–8pm” or “tomorrow 9–11am”). If neither works, propose a nearby alternative.
-7) CONFIRM: Once a time is chosen, **repeat back** the day/time to confirm.
-8) QUESTIONS: Ask if they have any questions; answer briefly and warmly.
-9) RECONFIRM: Reiterate the appointment time and where to check in (front desk).
-10) CLOSE: Thank them warmly and say goodbye.
-IF BUSY / CAN'T TALK:
-- Offer to text or call back later; ask for a better time window.
-IF NO TRIAL INTEREST:
-- Offer a quick guest pass later in the week, or a tour; stay positive and short.
-DATA TO CAPTURE (speak naturally, don’t interrogate):
-- First name (if unclear), preferred day/time window, and any special interest (e.g., classes).
-KEEP IT SHORT, CLEAR, AND HELPFUL.`;
+const client = createTwilioClient(); // TWILIO_API_URL overrides api.twilio.com (local mocks)
+
+// ---- Voice agent provider (VOICE_PROVIDER=openai | scripted) ----
+const provider = createProvider();
+
+// Played while a dropped Realtime socket reconnects (8 kHz mono WAV, e.g. "One moment…" in the agent's voice)
+function loadFillerAudio(file) {
+  if (!file) return DEFAULT_FILLER;
+  try { return wavToMulaw(fs.readFileSync(file)); }
+  catch (e) { console.warn("[env] REALTIME_FILLER_FILE unusable, using the default chime:", e?.message || e); return DEFAULT_FILLER; }
 }
+const FILLER_AUDIO = loadFillerAudio(REALTIME_FILLER_FILE);
 
+// ---- Agent personas / call scripts (personas/*.json, validated at load) ----
+const personas = loadPersonas();
+loadClubs(); // club knowledge base for lookup_club_info (clubs/*.json)
+const qaRubric = loadRubric(); // post-call QA (QA_RUBRIC_FILE); a bad pattern fails here, not at the first hang-up
+function toFirstName(s) { return (s || "").trim().split(/\s+/)[0] || ""; }
 
+/** Persona + template variables for a call (session may be null before the stream starts). */
+function callScript(callerName, sess) {
+  const persona = personas.get(sess?.persona) || resolvePersona(personas);
+  const club = getClub(sess?.clubId);
+  const overrides = { ...(club ? { clubName: club.name } : {}), ...sess?.variables };
+  const vars = personaVariables(persona, { firstName: callerName, callbackNumber: TWILIO_NUMBER, overrides });
+  return { persona, vars };
+}
 
-// List of Event Types to log to the console. See the OpenAI Realtime API Documentation.
-const LOG_EVENT_TYPES = [
-    'error',
-    'response.content.done',
-    'rate_limits.updated',
-    'response.done',
-    'input_audio_buffer.committed',
-    'input_audio_buffer.speech_stopped',
-    'input_audio_buffer.speech_started',
-    'session.created'
-];
-
-// Google Functions
-async function appendToSheet({
-  sheetId,
-  serviceEmail,
-  privateKey,
-  values, // array of arrays
-}) {
-  const jwt = new google.auth.JWT({
-    email: serviceEmail,
-    key: privateKey,
-    scopes: ["https://www.googleapis.com/auth/spreadsheets"],
-  });
-  const sheets = google.sheets({ version: "v4", auth: jwt });
-  // Append to first sheet, next empty row
-  await sheets.spreadsheets.values.append({
-    spreadsheetId: sheetId,
-    range: "A1",
-    valueInputOption: "RAW",
-    requestBody: { values },
+// ---- Call session store (per CallSid; SESSION_STORE=memory|file) ----
+const sessions = createSessionStore();
+
+// Live media-stream bridges by CallSid (supervisor whisper / takeover / transfer)
+const liveCalls = new Map();
+
+// ---- Call finalization: one outcome record per call ----
+const CALL_STATUS_GRACE_MS = 15 * 1000;
+const TRANSFERRED_CALL_MAX_MS = 60 * 60 * 1000; // the caller keeps talking to staff after the stream ends
+const finalizing = new Set();
+
+/** Resolve once Twilio reports a terminal status for the call, or after timeoutMs. */
+function waitForCallEnd(callSid, timeoutMs = CALL_STATUS_GRACE_MS) {
+  const sess = sessions.get(callSid);
+  if (!sess || TERMINAL_CALL_STATUSES.includes(sess.call?.status)) return Promise.resolve();
+  return new Promise((resolve) => {
+    const done = () => { clearTimeout(timer); callEvents.off("status", onStatus); resolve(); };
+    const onStatus = (evt) => { if (evt.callSid === callSid && TERMINAL_CALL_STATUSES.includes(evt.status)) done(); };
+    const timer = setTimeout(done, timeoutMs);
+    callEvents.on("status", onStatus);
   });
 }
 
-// ---- Call session store (per CallSid) ----
-const SESSIONS = new Map();
-function getOrCreateSession(callSid) {
-  if (!SESSIONS.has(callSid)) {
-    SESSIONS.set(callSid, {
-      callSid,
-      name: null,
-      phone: null,
-      userTranscript: [],
-      agentTranscript: [],
-      startedAt: new Date().toISOString(),
-    });
+async function finalizeCall(callSid) {
+  if (finalizing.has(callSid)) return;
+  const sess = sessions.get(callSid);
+  if (!sess) return;
+  finalizing.add(callSid);
+  try {
+    sess.status = "ended";
+    sess.endedAt = sess.endedAt || new Date().toISOString();
+    const record = await extractOutcome(sess);
+    // QA is a nice-to-have: never let it stop the record from being saved and delivered
+    try { record.qa = scoreCall({ ...record, turns: sess.turns }, { persona: personas.get(sess.persona), rubric: qaRubric }); }
+    catch (e) {
+      console.error("[qa] scoring failed for", callSid, e?.message || e);
+      record.qa = { scored: false, reason: "qa_error", error: e?.message || String(e) };
+    }
+    sess.outcome = record;
+    console.log("[outcome]", callSid, record.outcome, record.appointmentTime || "", record.qa.scored ? `(QA ${record.qa.score})` : "");
+    metrics.calls.inc({ outcome: record.outcome });
+    updateLeadFromOutcome(record);
+    callEvents.emit("outcome", record);
+
+    await saveCall({ ...record, turns: sess.turns })
+      .catch(e => console.error("[history] save failed for", callSid, e?.message || e));
+    const delivered = await deliverRecord({ ...record, turns: sess.turns });
+    console.log("[sinks] record for", callSid, JSON.stringify(delivered));
+    sessions.delete(callSid);
+  } catch (e) {
+    console.error("[sinks] record error:", e?.message || e);
+  } finally {
+    finalizing.delete(callSid);
+  }
+}
+
+async function hangUp(callSid, reason) {
+  try {
+    await client.calls(callSid).update({ status: "completed" });
+    console.log("[twilio] hung up", callSid, "-", reason);
+  } catch (e) {
+    console.error("[twilio] hang up failed for", callSid, e?.message || e);
   }
-  return SESSIONS.get(callSid);
 }
 
 // =====================================================
 
 // Initialize Fastify
-const fastify = Fastify({ logger: false });
+const fastify = Fastify({ logger: false, trustProxy: trustProxySetting(TRUST_PROXY), routerOptions: { maxParamLength: 512 } }); // stream tokens live in the path
 fastify.register(fastifyFormBody);
 fastify.register(fastifyWs);
 
 // Serve frontend
 const FRONTEND_DIR = path.join(__dirname, "..", "frontend");
 fastify.register(fastifyStatic, { root: FRONTEND_DIR, prefix: "/" });
-fastify.get("/", async (_req, reply) => {
-  const file = path.join(FRONTEND_DIR, "index.html");
-  reply.type("text/html").send(fs.readFileSync(file, "utf8"));
-});
+// Demo-page session: the form trades DEMO_PASSCODE for a cookie that lets it call /api/start-call
+fastify.register(demoSessionRoutes);
 
-fastify.all("/incoming-call", async (req, reply) => {
+/** TwiML that connects the call to our /media-stream (one-time token bound to the CallSid). */
+function streamTwiml(req, { firstName, language = null, say = null }) {
   const base = PUBLIC_BASE_URL || (`https://${req.headers.host}`);
-  const callerName = (req.query && req.query.name) ? String(req.query.name) : "";
-  const firstName = toFirstName(callerName);
-  const wsUrl = base.replace(/^http/, "ws") + "/media-stream"+(firstName ? `?name=${encodeURIComponent(firstName)}` : "");
-  const twiml = `<?xml version="1.0" encoding="UTF-8"?>
+  const callSid = req.body?.CallSid || req.query?.CallSid;
+  // /media-stream refuses connections without the token
+  const wsUrl = base.replace(/^http/, "ws") + "/media-stream" + (callSid ? `/${createStreamToken(callSid)}` : "");
+  const sayAttrs = say ? ["voice", "language"].filter(k => say[k]).map(k => ` ${k}="${escapeXml(say[k])}"`).join("") : "";
+  return `<?xml version="1.0" encoding="UTF-8"?>
   <Response>
-    <Say>Please wait while I connect you to a Crunch Fitness expert.</Say>
+    ${say ? `<Say${sayAttrs}>${escapeXml(say.text)}</Say>` : ""}
     <Connect>
-      <Stream url="${wsUrl}">
-        ${callerName ? `<Parameter name="name" value="${firstName}"/>` : ""}
+      <Stream url="${escapeXml(wsUrl)}">
+        ${firstName ? `<Parameter name="name" value="${escapeXml(firstName)}"/>` : ""}
+        ${language ? `<Parameter name="language" value="${escapeXml(language)}"/>` : ""}
       </Stream>
     </Connect>
   </Response>`;
-  reply.type("text/xml").send(twiml);
+}
+
+// Outbound: Twilio fetches this once the lead answers a call placed by placeCall()
+function outboundCall(req, reply) {
+  const callerName = (req.query && req.query.name) ? String(req.query.name) : "";
+  const sess = sessions.get(req.body?.CallSid || req.query?.CallSid);
+  const language = sess?.language || resolveLanguage(req.query?.lang);
+  reply.type("text/xml").send(streamTwiml(req, {
+    firstName: toFirstName(callerName),
+    language,
+    say: connectMessage(language, callScript(toFirstName(callerName), sess).vars),
+  }));
+}
+
+// Inbound: someone called TWILIO_NUMBER (its "A call comes in" webhook points at /incoming-call)
+function inboundCall(req, reply) {
+  const callSid = req.body?.CallSid;
+  const from = req.body?.From;
+  const caller = identifyCaller(from, { findLead: (phone) => dialer.findLead(phone), sessions });
+  // Unknown callers become leads, so the next call (or a follow-up text) knows them
+  const leadId = caller.leadId || (caller.phone ? captureLead(caller.phone, { name: caller.name, callSid }).id : null);
+  if (callSid) {
+    const script = personas.get(inboundPersonaId()) || resolvePersona(personas);
+    const sess = sessions.create(callSid, {
+      name: caller.name,
+      phone: caller.phone || from || null,
+      direction: "inbound",
+      campaignId: caller.campaignId,
+      leadId,
+      persona: script.id,
+      personaVersion: script.version,
+      clubId: caller.clubId || defaultClubId(),
+      variables: caller.variables,
+      language: caller.language,
+      preferredLanguage: caller.language,
+      caller: { name: caller.name, lastCall: caller.lastCall },
+    });
+    emitLive(callSid, "call.created", { call: summarizeSession(sess) });
+  }
+  console.log("[inbound]", callSid, "from:", from, caller.known ? `(${caller.name || "known number"}, last: ${caller.lastCall?.outcome || "n/a"})` : "(new caller)");
+  reply.type("text/xml").send(streamTwiml(req, { firstName: toFirstName(caller.name), language: caller.language }));
+}
+
+fastify.all("/outbound-call", { preHandler: verifyTwilioSignature }, async (req, reply) => outboundCall(req, reply));
+// Twilio sends Direction=inbound for calls to our number; anything else is an outbound call
+// dialed with the old /incoming-call?name= URL
+fastify.all("/incoming-call", { preHandler: verifyTwilioSignature }, async (req, reply) => {
+  if (req.body?.Direction === "inbound") return inboundCall(req, reply);
+  return outboundCall(req, reply);
 });
 
-// WebSocket route for media-stream
+// WebSocket route for media-stream: one MediaBridge per call
 fastify.register(async (fastify) => {
-    // Setup WebSocket server for handling media streams
-    fastify.get('/media-stream', { websocket: true }, (connection, req) => {
+    const mediaStreamHandler = (connection, req) => {
         console.log("[media] Twilio connected:", req.headers["user-agent"] || "n/a");
 
-       let callerName = (() => {
-          try {
-            const u = new URL(req.url, "http://localhost");
-            return toFirstName(u.searchParams.get("name") || "");
-          } catch { return ""; }
-        })();
-
-
-        function sendInitOnceOpen(payloads) {
-          const sendAll = () => payloads.forEach(p => openaiWS.send(JSON.stringify(p)));
-          if (openaiWS.readyState === WebSocket.OPEN) sendAll();
-          else openaiWS.once('open', sendAll);
+        // Stream token from the call's TwiML: valid, unexpired, unused; CallSid is checked on "start"
+        const streamClaims = req.params?.token ? consumeStreamToken(req.params.token) : null;
+        if (webhookAuthEnabled() && !streamClaims) {
+            console.warn("[security] rejected media stream without a valid token");
+            connection.close(1008, "unauthorized");
+            return;
         }
 
-        const openaiWS = new WebSocket(OPENAI_REALTIME_URL, { headers: OPENAI_HEADERS});
-
-        let streamSid = null;
-        let callSid = null;
-        let closed = false;
-        let userPartial = ""; // buffer for partial user utterance (per call)
-
-        // ---- graceful, single-run cleanup + sheet append ----
-        const flushAndEnd = async (reason) => {
-            if (closed) return;
-            closed = true;
-
-            try {
-            if (callSid) {
-                const sess = SESSIONS.get(callSid);
-                if (sess) {
-                const row = [
-                    new Date().toISOString(),
-                    sess.callSid,
-                    sess.name || "",
-                    sess.phone || "",
-                    sess.userTranscript.join(" ").trim(),
-                    sess.agentTranscript.join("").trim()
-                ];
-                await appendToSheet({
-                    sheetId: process.env.GOOGLE_SHEET_ID,
-                    serviceEmail: process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL,
-                    privateKey: process.env.GOOGLE_PRIVATE_KEY,
-                    values: [row],
-                });
-                console.log("[sheet] appended row for", callSid);
-                SESSIONS.delete(callSid);
-                }
-            } else {
-                console.warn("[sheet] skip append: no callSid");
-            }
-            } catch (e) {
-            console.error("[sheet] append error:", e?.message || e);
-            } finally {
-            try { if (openaiWS.readyState === WebSocket.OPEN) openaiWS.close(1000, "done"); } catch {}
-            try { connection.close(1000, "done"); } catch {}
-            console.log("[cleanup] closed. reason:", reason || "n/a");
-            }
-        };
-
-        const sendInitialSessionUpdate = () => {
-            const sessionUpdate = {
-                type: 'session.update',
-                session: {
-                    turn_detection: { type: 'server_vad' },
-                    input_audio_format: 'g711_ulaw',
-                    output_audio_format: 'g711_ulaw',
-                    voice: VOICE,
-                    instructions: getSystemMessage(callerName),
-                    modalities: ["text", "audio"],
-                    temperature: 0.8,
-
-                    input_audio_transcription: {model: "gpt-4o-mini-transcribe"} // realtime-capable STT model
-                }
-            };
-
-            console.log('Sending session update:', JSON.stringify(sessionUpdate));
-            openaiWS.send(JSON.stringify(sessionUpdate));
-            
-            // Make the AI speak first
-            const initialConversationItem = {
-                type: 'conversation.item.create',
-                item: {
-                    type: 'message',
-                    role: 'user',
-                    content: [
-                        {
-                            type: 'input_text',
-                            text: "Begin the call with the step‑by‑step flow, starting with introducing yourself as Alice and confirming it's a good time to talk."
-                        }
-                    ]
-                }
-            };
-
-            openaiWS.send(JSON.stringify(initialConversationItem));
-            openaiWS.send(JSON.stringify({ type: 'response.create' }));
-        };
-        
-
-        // Open event for OpenAI WebSocket
-        openaiWS.on('open', () => {
-            console.log('Connected to the OpenAI Realtime API');
-            setTimeout(sendInitialSessionUpdate, 100); // Ensure connection stability, send after .1 second
+        const base = PUBLIC_BASE_URL || `https://${req.headers.host}`;
+        const bridge = new MediaBridge(connection, {
+            sessions,
+            streamClaims,
+            callerName: new URL(req.url, "http://localhost").searchParams.get("name") || "",
+            connectRealtime: () => provider.connect(),
+            model: provider.model,
+            turnDetection: REALTIME_TURN_DETECTION,
+            reconnectAttempts: Number(REALTIME_RECONNECT_ATTEMPTS),
+            fillerAudio: FILLER_AUDIO,
+            instructions: (callerName, session) => {
+                const { persona, vars } = callScript(callerName, session);
+                return buildSystemPrompt(persona, vars, { callback: session?.callback, caller: session?.caller, language: session?.language });
+            },
+            // The stream may open before Twilio's "start" names the call; the token already does
+            kickoff: (session) => {
+                const sess = session || (streamClaims && sessions.get(streamClaims.callSid));
+                return sess?.direction === "inbound" ? INBOUND_KICKOFF : null;
+            },
+            voicemailInstructions: (callerName, session) => {
+                const { persona, vars } = callScript(callerName, session);
+                return buildVoicemailPrompt(persona, vars, { language: session?.language });
+            },
+            // Sent before "start" too, so look the call up by its token like kickoff does
+            agentSettings: (session) => {
+                const sess = session || (streamClaims && sessions.get(streamClaims.callSid));
+                const { persona } = callScript("", sess);
+                return { voice: languageVoice(sess?.language) || persona.voice, temperature: persona.temperature };
+            },
+            hangUp,
+            transferCall: (callSid) => client.calls(callSid).update({
+                twiml: transferTwiml({ base, callSid, number: transferNumber(sessions.get(callSid)) }),
+            }),
+            // Consent rules differ per campaign; demo-form calls follow RECORDING
+            shouldRecord: (session) => recordingEnabled(session.campaignId ? dialer.get(session.campaignId) : null),
         });
 
-        // Listen for messages from the OpenAI WebSocket (and send to Twilio if necessary)
-        openaiWS.on('message', (data) => {
-            let msg; try { msg = JSON.parse(data.toString()); } catch { return; }
-
-            try {
-                const response = JSON.parse(data);
-
-                if (LOG_EVENT_TYPES.includes(response.type)) {
-                    console.log(`Received event: ${response.type}`, response);
-                }
-
-                if (response.type === 'session.updated') {
-                    console.log('Session updated successfully:', response);
-                }
-
-                if (response.type === 'response.audio.delta' && response.delta) {
-                    const audioDelta = {
-                        event: 'media',
-                        streamSid: streamSid,
-                        media: { payload: Buffer.from(response.delta, 'base64').toString('base64') }
-                    };
-                    connection.send(JSON.stringify(audioDelta));
-                }
-
-                // 1) Agent audio back to Twilio (so you hear the assistant)
-                if (msg.type === 'response.audio.delta' && msg.audio && streamSid) {
-                  connection.send(JSON.stringify({
-                    event: 'media',
-                    streamSid,
-                    media: { payload: msg.audio } // μ-law base64 passthrough
-                  }));
-                }
-
-                // 2) USER transcript (incremental)
-                if (msg.type === "conversation.item.input_audio_transcription.delta" && msg.delta) {
-                  userPartial += msg.delta; // accumulate partial text
-                }
-
-                // 3) USER transcript (finalized)
-                if (msg.type === "conversation.item.input_audio_transcription.completed") {
-                  if (userPartial && callSid) {
-                    const sess = getOrCreateSession(callSid);
-                    sess.userTranscript.push(userPartial.trim());
-                  }
-                  userPartial = ""; // reset buffer
-                }
-
-                // 4) USER transcript (fallback path: sometimes emitted as a created user message)
-                if (msg.type === "conversation.item.created" &&
-                    msg.item?.role === "user" &&
-                    !msg.item?.metadata?.bootstrap) {           // ignore our bootstrap
-                  const texts = (msg.item.content || [])
-                    .filter(p => p.type === "input_text" || p.type === "text")
-                    .map(p => p.text)
-                    .filter(Boolean);
-                  if (texts.length && callSid) {
-                    const sess = getOrCreateSession(callSid);
-                    sess.userTranscript.push(texts.join(" ").trim());
-                  }
-                }
-
-                // Transcribe agent
-                if (msg.type === "response.audio_transcript.delta" && msg.delta) {
-                    const sess = callSid ? getOrCreateSession(callSid) : null;
-                    if (sess) sess.agentTranscript.push(msg.delta);
-                }
-
-            } catch (error) {
-                console.error('Error processing OpenAI message:', error, 'Raw message:', data);
-            }
+        bridge.on("start", ({ callSid, session }) => {
+            if (!callSid) return;
+            liveCalls.set(callSid, bridge);
+            if (session) emitLive(callSid, "call.connected", { call: summarizeSession(session) });
         });
-
-        // Handle incoming messages from Twilio
-        connection.on('message', (message) => {
-            try {
-                const data = JSON.parse(message);
-
-                switch (data.event) {
-                    case 'media':
-                        if (openaiWS.readyState === WebSocket.OPEN) {
-                            const audioAppend = {
-                                type: 'input_audio_buffer.append',
-                                audio: data.media.payload
-                            };
-
-                            openaiWS.send(JSON.stringify(audioAppend));
-                        }
-                        break;
-
-                    case 'start':
-                        streamSid = data.start.streamSid;
-                        callSid = data.start?.callSid || callSid;   // Twilio includes CallSid here
-                        console.log('Incoming stream has started', streamSid);
-
-                          const startName = data.start?.customParameters?.name;
-                          if (startName) callerName = toFirstName(startName);
-                            if (startName) {
-                              callerName = String(startName);
-                              console.log('[twilio] custom name from Stream Parameter:', callerName);
-                            } else {
-                              console.log('[twilio] no custom name in start; using URL value:', callerName || '(none)');
-                            }
-                            console.log('Incoming stream has started', streamSid, 'callSid:', callSid);
-
-                            // (Optional) If your initial session.update ran already on 'open' with a blank name,
-                            // refresh the instructions now that we have the callerName:
-                            try {
-                              const refresh = {
-                                type: 'session.update',
-                                session: {
-                                  instructions: getSystemMessage(callerName)
-                                }
-                              };
-                              if (openaiWS.readyState === WebSocket.OPEN) {
-                                openaiWS.send(JSON.stringify(refresh));
-                              }
-                            } catch (e) {
-                              console.warn('[realtime] could not send name refresh:', e?.message || e);
-                            }
-
-                        break;
-
-                    case "stop":
-                        console.log("Incoming stream has stopped");
-                        flushAndEnd("twilio stop");
-                        break;
-
-                    default:
-                        console.log('Received non-media event:', data.event);
-                        break;
-                }
-            } catch (error) {
-                console.error('Error parsing message:', error, 'Message:', message);
-            }
+        // The record is written once Twilio reports the call over
+        bridge.on("end", async ({ callSid, session }) => {
+            if (!callSid) { console.warn("[sinks] skip record: no callSid"); return; }
+            if (liveCalls.get(callSid) === bridge) liveCalls.delete(callSid);
+            const transferring = ["dialing", "connected"].includes(session?.transfer?.status);
+            await Promise.all([
+                waitForCallEnd(callSid, transferring ? TRANSFERRED_CALL_MAX_MS : undefined), // so final status + duration land on the record
+                bridge.recordingSaved,
+            ]);
+            await finalizeCall(callSid);
         });
+    };
+    fastify.get('/media-stream', { websocket: true }, mediaStreamHandler);
+    fastify.get('/media-stream/:token', { websocket: true }, mediaStreamHandler);
+});
 
-        // Handle connection close
-        connection.on('close', () => {
-            flushAndEnd("twilio ws stop");
-            console.log('Client disconnected.');
-        });
+// ---- Outbound dialing (demo form + campaigns) ----
+async function placeCall({
+  name, phone, timezone = null, campaignId = null, leadId = null, persona = null, club = null, variables = {}, callback = null, language = null,
+}) {
+  const script = resolvePersona(personas, persona); // throws PersonaError for an unknown id
+  const clubId = club || defaultClubId();
+  // Compliance gate: throws ComplianceError (DNC, consent, hours, caps, bad number)
+  phone = assertCallAllowed({ phone, timezone });
+  const first = toFirstName(name);
+  const lang = resolveLanguage(language);
+  const twimlUrl = `${PUBLIC_BASE_URL}/outbound-call?name=${encodeURIComponent(first)}${lang ? `&lang=${lang}` : ""}`;
+  const call = await client.calls.create({
+    to: phone,
+    from: TWILIO_NUMBER,
+    url: twimlUrl, // Twilio fetches TwiML here -> Connect Stream to our WS
+    statusCallback: `${PUBLIC_BASE_URL}/call-status`,
+    statusCallbackEvent: ["initiated", "ringing", "answered", "completed"],
+    statusCallbackMethod: "POST",
+    // Async AMD: the agent starts right away; /amd-status tells us later if it was a machine
+    ...(MACHINE_DETECTION !== "off" ? {
+      machineDetection: "DetectMessageEnd",
+      asyncAmd: "true",
+      asyncAmdStatusCallback: `${PUBLIC_BASE_URL}/amd-status`,
+      asyncAmdStatusCallbackMethod: "POST",
+    } : {}),
+  });
+  recordCallAttempt(phone);
+  const sess = sessions.create(call.sid, {
+    name, phone, campaignId, leadId, persona: script.id, personaVersion: script.version, clubId, variables, timezone, callback, language: lang, preferredLanguage: lang,
+  });
+  emitLive(call.sid, "call.created", { call: summarizeSession(sess) });
+  console.log("[start-call] created:", call.sid, "to:", phone, campaignId ? `(campaign ${campaignId})` : "", callback ? `(callback ${callback.id})` : "", lang ? `(${lang})` : "");
+  return call;
+}
 
-        // Handle WebSocket close and errors
-        openaiWS.on('close', () => {
-            flushAndEnd("twilio stop");
-            console.log('Disconnected from the OpenAI Realtime API');
-        });
+// Twilio call status callback: lifecycle on the session + shared "status" event (campaign dialer listens)
+fastify.post("/call-status", { preHandler: verifyTwilioSignature }, async (req, reply) => {
+  const evt = parseStatusCallback(req.body);
+  console.log("[call-status]", evt.callSid, evt.status, evt.duration != null ? `${evt.duration}s` : "");
+  const sess = sessions.get(evt.callSid);
+  if (sess) {
+    recordCallStatus(sess, evt);
+    sessions.save(sess);
+    // Never reached the media stream (no-answer, busy, failed...): nothing else will write its record
+    if (TERMINAL_CALL_STATUSES.includes(evt.status) && sess.status === "dialing") finalizeCall(evt.callSid);
+  }
+  callEvents.emit("status", evt);
+  reply.code(204).send();
+});
 
-        openaiWS.on('error', (error) => {
-            flushAndEnd("twilio stop");
-            console.error('Error in the OpenAI WebSocket:', error);
-        });
-    });
+// Warm transfer: the agent's summary, whispered to the staff member before the legs are bridged
+fastify.post("/transfer-whisper", { preHandler: verifyTwilioSignature }, async (req, reply) => {
+  const sess = sessions.get(req.query?.callSid);
+  const { vars } = callScript("", sess);
+  reply.type("text/xml").send(whisperTwiml(sess?.transfer, { clubName: vars.clubName }));
+});
+
+// <Dial> to the club finished (answered and hung up, no-answer, busy...)
+fastify.post("/transfer-status", { preHandler: verifyTwilioSignature }, async (req, reply) => {
+  const callSid = req.query?.callSid || req.body?.CallSid;
+  const dialStatus = req.body?.DialCallStatus || "failed";
+  const status = ANSWERED_DIAL_STATUSES.includes(dialStatus) ? "connected" : "failed";
+  console.log("[transfer]", callSid, "dial", dialStatus);
+  const sess = sessions.get(callSid);
+  if (sess?.transfer) {
+    Object.assign(sess.transfer, { status, dialStatus, dialDuration: req.body?.DialCallDuration != null ? Number(req.body.DialCallDuration) : null });
+    sessions.save(sess);
+  }
+  emitLive(callSid, "call.transfer", { status, dialStatus });
+  reply.type("text/xml").send(dialResultTwiml(dialStatus));
+});
+
+// Async answering machine detection result -> the live bridge for that call reacts ("amd" event)
+fastify.post("/amd-status", { preHandler: verifyTwilioSignature }, async (req, reply) => {
+  const b = req.body || {};
+  const evt = {
+    callSid: b.CallSid,
+    answeredBy: b.AnsweredBy || "unknown",
+    detectionMs: b.MachineDetectionDuration ? Number(b.MachineDetectionDuration) : null,
+  };
+  console.log("[amd]", evt.callSid, evt.answeredBy, evt.detectionMs != null ? `${evt.detectionMs}ms` : "");
+  const sess = sessions.get(evt.callSid);
+  if (sess) {
+    recordAnsweredBy(sess, evt.answeredBy, evt.detectionMs);
+    sessions.save(sess);
+  }
+  callEvents.emit("amd", evt);
+  reply.code(204).send();
 });
 
 // Outbound call trigger (keeps your existing frontend flow)
-fastify.post("/api/start-call", async (req, reply) => {
+const startCallRateLimit = rateLimit({
+  max: Number(process.env.START_CALL_RATE_LIMIT || 5),
+  windowMs: Number(process.env.START_CALL_RATE_WINDOW_MS || 10 * 60 * 1000),
+});
+fastify.post("/api/start-call", { preHandler: [startCallRateLimit, requireApiKeyOrSession] }, async (req, reply) => {
   try {
-    const { name, phone } = req.body || {};
+    const { name, phone, consent, timezone, persona, club, variables, preferredLanguage } = req.body || {};
     if (!name || !phone) return reply.code(400).send({ error: "Missing name or phone" });
-    const first = toFirstName(name);
-    const twimlUrl = `${PUBLIC_BASE_URL}/incoming-call?name=${encodeURIComponent(first)}`;
-    const call = await client.calls.create({
-      to: phone,
-      from: TWILIO_NUMBER,
-      url: twimlUrl // Twilio fetches TwiML here -> Connect Stream to our WS
-    });
-
-    const sess = getOrCreateSession(call.sid);
-    sess.name = name;
-    sess.phone = phone;
-
-    console.log("[start-call] created:", call.sid, "to:", phone);
+    if (preferredLanguage && !resolveLanguage(preferredLanguage)) {
+      return reply.code(400).send({ error: `Unknown language "${preferredLanguage}" (have: ${Object.keys(languages()).join(", ")})`, code: "LANGUAGE_UNKNOWN" });
+    }
+    if (club && !getClub(club)) return reply.code(400).send({ error: `Unknown club "${club}"`, code: "CLUB_UNKNOWN" });
+    if (variables != null && (typeof variables !== "object" || Array.isArray(variables))) {
+      return reply.code(400).send({ error: "variables must be an object" });
+    }
+    if (consent === true || consent === "true" || consent === "on") {
+      recordConsent({ phone, name, ip: req.ip, source: "web-form", userAgent: req.headers["user-agent"] || null });
+    }
+    const call = await placeCall({ name, phone, timezone, persona, club, variables: variables || {}, language: preferredLanguage });
     reply.send({ ok: true, sid: call.sid });
   } catch (err) {
+    if (err instanceof PersonaError) return reply.code(400).send({ error: err.message, code: err.code });
+    if (err instanceof ComplianceError) {
+      console.warn("[start-call] refused:", err.code, "-", err.message);
+      return reply.code(err.httpStatus).send({ error: err.message, code: err.code, retryAt: err.retryAt });
+    }
     console.error("[start-call] error:", err?.message || err);
     reply.code(500).send({ error: err.message });
   }
 });
 
-// ---- Start server ----
-fastify.listen({ port: Number(PORT), host: "0.0.0.0" })
-  .then(() => console.log(`Fastify server → http://localhost:${PORT}`))
-  .catch((e) => { console.error("Server failed:", e); process.exit(1); });
\ No newline at end of file
+// ---- Campaigns (lead lists + paced dialer) ----
+const dialer = new CampaignDialer({
+  placeCall: (lead, campaign) => placeCall({
+    name: lead.name, phone: lead.phone, timezone: lead.fields?.timezone || null, campaignId: campaign.id, leadId: lead.id,
+    persona: campaign.settings.persona, variables: { ...campaign.settings.variables, ...lead.fields },
+    club: getClub(lead.fields?.club) ? lead.fields.club : campaign.settings.club,
+    language: resolveLanguage(lead.fields?.language) || campaign.settings.language,
+  }),
+});
+
+// ---- Scheduled callbacks (schedule_callback tool / SMS "call me" outside hours) ----
+const callbackScheduler = new CallbackScheduler({ placeCall });
+
+// ---- SMS: follow-up texts + inbound /sms webhook (STOP / HELP / "call me") ----
+const sms = new SmsService({
+  client,
+  from: TWILIO_NUMBER,
+  sessions,
+  templateVars: (ctx) => callScript(toFirstName(ctx.name), ctx).vars,
+  placeCall,
+});
+fastify.register(smsWebhookRoutes, { sms });
+
+// ---- Admin APIs (API key required; disabled while API_KEYS is unset) ----
+fastify.register(adminSessionRoutes); // dashboard / reports pages: API key -> admin cookie
+fastify.register(async (admin) => {
+  admin.addHook("preHandler", requireApiKey);
+  admin.register(campaignRoutes, { dialer, personas });
+  admin.register(personaRoutes, { personas });
+  admin.register(clubRoutes); // club knowledge base (read-only)
+  admin.register(smsRoutes); // SMS log / queue
+  admin.register(callbackRoutes); // scheduled callbacks
+  admin.register(inboundRoutes); // callers we had no lead for
+  admin.register(complianceRoutes); // DNC list / opt-out API
+  admin.register(monitorRoutes, { sessions, liveCalls }); // live dashboard feed + supervisor controls
+  admin.register(callHistoryRoutes); // finished calls + /api/metrics
+  admin.register(qaRoutes, { rubric: qaRubric }); // transcript QA per persona version
+  admin.register(recordingRoutes); // GET /api/calls/:sid/recording
+  admin.register(metricsRoutes); // Prometheus scrape (Authorization: Bearer <API key>)
+});
+
+// ---- Start / stop (node backend/server.js starts it; tests require() it and call start) ----
+const timers = [];
+
+async function start({ port = Number(PORT), host = "0.0.0.0" } = {}) {
+  const address = await fastify.listen({ port, host });
+  console.log(`Fastify server → ${address}`);
+  timers.push(startOutboxWorker());
+  dialer.start();
+  sms.start();
+  callbackScheduler.start();
+  timers.push(startRecordingSweeper());
+  timers.push(setInterval(() => {
+    for (const { session, reason } of sessions.sweep()) {
+      console.warn("[sessions] dropped", session.callSid, `(${reason}, status: ${session.status})`);
+    }
+  }, 60 * 1000).unref());
+  return address;
+}
+
+async function stop() {
+  timers.splice(0).forEach(clearInterval);
+  dialer.stop();
+  callbackScheduler.stop();
+  await sms.stop();
+  await fastify.close();
+}
+
+if (require.main === module) {
+  start().catch((e) => { console.error("Server failed:", e); process.exit(1); });
+}
+
+module.exports = { fastify, start, stop, sessions };
\ No newline at end of file
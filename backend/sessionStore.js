@@ -0,0 +1,176 @@
+// backend/sessionStore.js
+// Call sessions keyed by CallSid. "memory" is per-process; "file" keeps one file per
+// call under data/sessions/ so a restart (or a second instance on the same volume) can
+// still pick up a call that was dialed elsewhere.
+const fs = require("fs");
+const path = require("path");
+const { dataPath, readJson, writeJson } = require("./storage");
+
+const DEFAULT_TTL_MS = 2 * 60 * 60 * 1000;        // any session, from last update
+const DEFAULT_CONNECT_TIMEOUT_MS = 10 * 60 * 1000; // dialed but media stream never started
+
+// Compare numbers on their last 10 digits so "+1 (512) 555-1234" matches "5125551234"
+const phoneKey = (phone) => String(phone || "").replace(/\D/g, "").slice(-10);
+
+function newSession(callSid, fields = {}) {
+  const now = new Date().toISOString();
+  return {
+    callSid,
+    name: null,
+    phone: null,
+    status: "dialing", // dialing -> connected -> ended
+    userTranscript: [],
+    agentTranscript: [],
+    turns: [], // ordered { role: "user" | "agent", text, at } for post-call extraction
+    startedAt: now,
+    updatedAt: now,
+    ...fields,
+  };
+}
+
+/** Why a session should be dropped at `now`, or null if it is still live. */
+function expiryReason(sess, now, { ttlMs, connectTimeoutMs }) {
+  const updated = Date.parse(sess.updatedAt || sess.startedAt);
+  if (sess.status === "dialing" && now - Date.parse(sess.startedAt) > connectTimeoutMs) return "never connected";
+  if (now - updated > ttlMs) return "ttl expired";
+  return null;
+}
+
+class MemorySessionStore {
+  constructor(opts = {}) {
+    this.opts = { ttlMs: DEFAULT_TTL_MS, connectTimeoutMs: DEFAULT_CONNECT_TIMEOUT_MS, ...opts };
+    this.sessions = new Map();
+  }
+
+  _load(callSid) { return this.sessions.get(callSid) || null; }
+  _all() { return [...this.sessions.values()]; }
+  _write(sess) { this.sessions.set(sess.callSid, sess); }
+  _remove(callSid) { return this.sessions.delete(callSid); }
+
+  get(callSid) {
+    const sess = this._load(callSid);
+    if (!sess) return null;
+    if (expiryReason(sess, Date.now(), this.opts)) {
+      this.delete(callSid);
+      return null;
+    }
+    return sess;
+  }
+
+  create(callSid, fields) {
+    const sess = newSession(callSid, fields);
+    this._write(sess);
+    return sess;
+  }
+
+  save(sess) {
+    sess.updatedAt = new Date().toISOString();
+    this._write(sess);
+    return sess;
+  }
+
+  delete(callSid) {
+    return this._remove(callSid);
+  }
+
+  /** Most recent live session for a phone number (formatting ignored). */
+  findByPhone(phone) {
+    const want = phoneKey(phone);
+    if (!want) return null;
+    return this.list()
+      .filter(s => phoneKey(s.phone) === want)
+      .sort((a, b) => Date.parse(b.startedAt) - Date.parse(a.startedAt))[0] || null;
+  }
+
+  list() {
+    const now = Date.now();
+    return this._all().filter(s => !expiryReason(s, now, this.opts));
+  }
+
+  /** Drop expired sessions; returns [{ session, reason }] so callers can log/record them. */
+  sweep(now = Date.now()) {
+    const removed = [];
+    for (const sess of this._all()) {
+      const reason = expiryReason(sess, now, this.opts);
+      if (reason) removed.push({ session: sess, reason });
+    }
+    for (const { session } of removed) this._remove(session.callSid);
+    return removed;
+  }
+}
+
+/**
+ * Same API, backed by one JSON file per CallSid that is re-read on every call, so
+ * instances sharing the directory see each other's writes and a write only ever
+ * replaces its own call's file. Fine for POC volumes (tens of live calls).
+ * Objects handed out are kept live: a newer copy on disk is merged into them, so a
+ * bridge holding a session sees updates written by HTTP callbacks (and vice versa).
+ */
+class FileSessionStore extends MemorySessionStore {
+  constructor(opts = {}) {
+    super(opts);
+    this.dir = opts.dir || dataPath("sessions");
+    fs.mkdirSync(this.dir, { recursive: true });
+    this.live = new Map();
+  }
+
+  _file(callSid) { return path.join(this.dir, `${encodeURIComponent(callSid)}.json`); }
+
+  _track(stored) {
+    const live = this.live.get(stored.callSid);
+    if (!live) {
+      this.live.set(stored.callSid, stored);
+      return stored;
+    }
+    if (Date.parse(stored.updatedAt) > Date.parse(live.updatedAt)) Object.assign(live, stored);
+    return live;
+  }
+
+  _load(callSid) {
+    const stored = readJson(this._file(callSid), null);
+    if (!stored) {
+      this.live.delete(callSid);
+      return null;
+    }
+    return this._track(stored);
+  }
+
+  _all() {
+    const found = fs.readdirSync(this.dir)
+      .filter(f => f.endsWith(".json"))
+      .map(f => readJson(path.join(this.dir, f), null))
+      .filter(Boolean)
+      .map(s => this._track(s));
+    const onDisk = new Set(found.map(s => s.callSid));
+    for (const callSid of this.live.keys()) if (!onDisk.has(callSid)) this.live.delete(callSid);
+    return found;
+  }
+
+  _write(sess) {
+    this.live.set(sess.callSid, sess);
+    writeJson(this._file(sess.callSid), sess);
+  }
+
+  _remove(callSid) {
+    this.live.delete(callSid);
+    try {
+      fs.unlinkSync(this._file(callSid));
+      return true;
+    } catch (e) {
+      if (e.code !== "ENOENT") throw e;
+      return false;
+    }
+  }
+}
+
+function createSessionStore(backend = process.env.SESSION_STORE || "memory") {
+  const opts = {
+    ttlMs: Number(process.env.SESSION_TTL_MS || DEFAULT_TTL_MS),
+    connectTimeoutMs: Number(process.env.SESSION_CONNECT_TIMEOUT_MS || DEFAULT_CONNECT_TIMEOUT_MS),
+  };
+  if (backend === "file") return new FileSessionStore(opts);
+  if (backend !== "memory") console.warn(`[sessions] unknown SESSION_STORE "${backend}", using memory`);
+  return new MemorySessionStore(opts);
+}
+
+module.exports = { createSessionStore, MemorySessionStore, FileSessionStore };
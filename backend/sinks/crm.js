@@ -0,0 +1,43 @@
+// backend/sinks/crm.js
+// Generic CRM-style REST target: upserts a lead keyed by phone, with the call as an activity.
+
+function toLead(record) {
+  return {
+    externalId: record.callSid,
+    firstName: record.firstName,
+    fullName: record.name,
+    phone: record.phone,
+    status: record.outcome,
+    appointment: record.appointment
+      ? { date: record.appointment.date, window: record.appointment.window, label: record.appointmentTime }
+      : null,
+    preferredWindow: record.preferredWindow,
+    callbackWindow: record.callbackWindow,
+    interests: record.interests,
+    objections: record.objections,
+    notes: record.summary,
+    calledAt: record.startedAt,
+  };
+}
+
+function createCrmSink() {
+  const url = process.env.CRM_SINK_URL;
+  if (!url) throw new Error("missing CRM_SINK_URL");
+
+  return {
+    name: "crm",
+    async write(record) {
+      const headers = { "Content-Type": "application/json", "Idempotency-Key": record.callSid };
+      if (process.env.CRM_API_KEY) headers.Authorization = `Bearer ${process.env.CRM_API_KEY}`;
+      const res = await fetch(url, {
+        method: "POST",
+        headers,
+        body: JSON.stringify(toLead(record)),
+        signal: AbortSignal.timeout(10000),
+      });
+      if (!res.ok) throw new Error(`crm ${res.status}: ${(await res.text()).slice(0, 200)}`);
+    },
+  };
+}
+
+module.exports = { createCrmSink, toLead };
@@ -0,0 +1,134 @@
+// backend/sinks/index.js
+// Call-record sinks, chosen by OUTCOME_SINKS (comma list). A write that fails is
+// parked in data/outbox.json and retried with backoff until it lands.
+const crypto = require("crypto");
+const { dataPath, readJson, writeJson } = require("../storage");
+const { createSheetsSink } = require("./sheets");
+const { createJsonlSink } = require("./jsonl");
+const { createWebhookSink } = require("./webhook");
+const { createCrmSink } = require("./crm");
+
+const FACTORIES = {
+  sheets: createSheetsSink,
+  jsonl: createJsonlSink,
+  webhook: createWebhookSink,
+  crm: createCrmSink,
+};
+
+const RETRY_BASE_MS = 30 * 1000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+const MAX_ATTEMPTS = 20;
+
+let SINKS = null;
+
+function configuredSinkNames() {
+  const raw = process.env.OUTCOME_SINKS || (process.env.GOOGLE_SHEET_ID ? "sheets,jsonl" : "jsonl");
+  return raw.split(",").map(s => s.trim()).filter(Boolean);
+}
+
+/** Build the active sinks once. A misconfigured sink is reported loudly and skipped. */
+function getSinks() {
+  if (SINKS) return SINKS;
+  SINKS = [];
+  for (const name of configuredSinkNames()) {
+    const factory = FACTORIES[name];
+    if (!factory) { console.error(`[sinks] unknown sink "${name}" in OUTCOME_SINKS`); continue; }
+    try { SINKS.push(factory()); }
+    catch (e) { console.error(`[sinks] "${name}" disabled:`, e?.message || e); }
+  }
+  if (!SINKS.length) {
+    console.error("[sinks] no usable sinks configured; falling back to jsonl so records are kept");
+    SINKS.push(createJsonlSink());
+  }
+  console.log("[sinks] active:", SINKS.map(s => s.name).join(", "));
+  return SINKS;
+}
+
+// ---- Outbox (durable retry queue) ----
+function outboxFile() { return dataPath("outbox.json"); }
+function loadOutbox() { return readJson(outboxFile(), { entries: [] }).entries; }
+function saveOutbox(entries) { writeJson(outboxFile(), { entries }); }
+
+function backoffMs(attempts) {
+  return Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+}
+
+function enqueue(sinkName, record, error) {
+  const entries = loadOutbox();
+  entries.push({
+    id: crypto.randomBytes(6).toString("hex"),
+    sink: sinkName,
+    record,
+    attempts: 1,
+    lastError: String(error?.message || error),
+    nextAttemptAt: new Date(Date.now() + backoffMs(1)).toISOString(),
+  });
+  saveOutbox(entries);
+}
+
+/** Write a record to every sink. Returns per-sink status; failures are queued, never thrown. */
+async function deliverRecord(record) {
+  const results = {};
+  await Promise.all(getSinks().map(async (sink) => {
+    try {
+      await sink.write(record);
+      results[sink.name] = "ok";
+    } catch (e) {
+      console.error(`[sinks] ${sink.name} write failed for ${record.callSid}; queued for retry:`, e?.message || e);
+      enqueue(sink.name, record, e);
+      results[sink.name] = "queued";
+    }
+  }));
+  return results;
+}
+
+let retrying = false;
+async function retryOutbox(now = Date.now()) {
+  if (retrying) return;
+  retrying = true;
+  try {
+    const due = loadOutbox().filter(e => Date.parse(e.nextAttemptAt) <= now);
+    for (const entry of due) {
+      const sink = getSinks().find(s => s.name === entry.sink);
+      let update;
+      try {
+        if (!sink) throw new Error(`sink "${entry.sink}" no longer configured`);
+        await sink.write(entry.record);
+        console.log(`[sinks] outbox delivered ${entry.record.callSid} -> ${entry.sink} after ${entry.attempts + 1} attempts`);
+        update = null;
+      } catch (e) {
+        const attempts = entry.attempts + 1;
+        update = {
+          ...entry,
+          attempts,
+          lastError: String(e?.message || e),
+          nextAttemptAt: new Date(Date.now() + backoffMs(attempts)).toISOString(),
+        };
+        if (attempts >= MAX_ATTEMPTS) {
+          console.error(`[sinks] giving up on ${entry.record.callSid} -> ${entry.sink}; moved to outbox-dead.json`);
+          const dead = readJson(dataPath("outbox-dead.json"), { entries: [] });
+          dead.entries.push(update);
+          writeJson(dataPath("outbox-dead.json"), dead);
+          update = null;
+        }
+      }
+      // Re-read so entries queued while we were writing are kept
+      const entries = loadOutbox().filter(e => e.id !== entry.id);
+      if (update) entries.push(update);
+      saveOutbox(entries);
+    }
+  } finally {
+    retrying = false;
+  }
+}
+
+function startOutboxWorker(intervalMs = Number(process.env.OUTBOX_RETRY_INTERVAL_MS || 30000)) {
+  getSinks();
+  const timer = setInterval(() => {
+    retryOutbox().catch(e => console.error("[sinks] outbox retry error:", e?.message || e));
+  }, intervalMs);
+  timer.unref();
+  return timer;
+}
+
+module.exports = { deliverRecord, retryOutbox, startOutboxWorker, getSinks };
@@ -0,0 +1,19 @@
+// backend/sinks/jsonl.js
+const fs = require("fs");
+const path = require("path");
+const { dataPath } = require("../storage");
+
+function createJsonlSink() {
+  const file = process.env.JSONL_SINK_FILE
+    ? path.resolve(process.env.JSONL_SINK_FILE)
+    : dataPath("calls.jsonl");
+
+  return {
+    name: "jsonl",
+    async write(record) {
+      await fs.promises.appendFile(file, JSON.stringify(record) + "\n");
+    },
+  };
+}
+
+module.exports = { createJsonlSink };
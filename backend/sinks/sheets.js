@@ -0,0 +1,37 @@
+// backend/sinks/sheets.js
+const { google } = require("googleapis");
+const { outcomeToRow } = require("../callOutcome");
+
+// One authenticated client per process instead of a new JWT per call.
+let sheetsClient = null;
+function getSheets() {
+  if (!sheetsClient) {
+    const jwt = new google.auth.JWT({
+      email: process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL,
+      key: (process.env.GOOGLE_PRIVATE_KEY || "").replace(/\\n/g, "\n"),
+      scopes: ["https://www.googleapis.com/auth/spreadsheets"],
+    });
+    sheetsClient = google.sheets({ version: "v4", auth: jwt });
+  }
+  return sheetsClient;
+}
+
+function createSheetsSink() {
+  const missing = ["GOOGLE_SHEET_ID", "GOOGLE_SERVICE_ACCOUNT_EMAIL", "GOOGLE_PRIVATE_KEY"].filter(k => !process.env[k]);
+  if (missing.length) throw new Error(`missing ${missing.join(", ")}`);
+
+  return {
+    name: "sheets",
+    async write(record) {
+      // Append to first sheet, next empty row
+      await getSheets().spreadsheets.values.append({
+        spreadsheetId: process.env.GOOGLE_SHEET_ID,
+        range: "A1",
+        valueInputOption: "RAW",
+        requestBody: { values: [outcomeToRow(record)] },
+      });
+    },
+  };
+}
+
+module.exports = { createSheetsSink };
@@ -0,0 +1,30 @@
+// backend/sinks/webhook.js
+const crypto = require("crypto");
+
+/**
+ * POSTs the record as JSON. When WEBHOOK_SINK_SECRET is set the receiver can verify
+ * X-Signature = "sha256=" + HMAC_SHA256(secret, `${X-Signature-Timestamp}.${body}`).
+ */
+function createWebhookSink() {
+  const url = process.env.WEBHOOK_SINK_URL;
+  if (!url) throw new Error("missing WEBHOOK_SINK_URL");
+  const secret = process.env.WEBHOOK_SINK_SECRET;
+
+  return {
+    name: "webhook",
+    async write(record) {
+      const body = JSON.stringify({ type: "call.outcome", data: record });
+      const headers = { "Content-Type": "application/json", "Idempotency-Key": record.callSid };
+      if (secret) {
+        const ts = String(Math.floor(Date.now() / 1000));
+        const sig = crypto.createHmac("sha256", secret).update(`${ts}.${body}`).digest("hex");
+        headers["X-Signature-Timestamp"] = ts;
+        headers["X-Signature"] = `sha256=${sig}`;
+      }
+      const res = await fetch(url, { method: "POST", headers, body, signal: AbortSignal.timeout(10000) });
+      if (!res.ok) throw new Error(`webhook ${res.status}`);
+    },
+  };
+}
+
+module.exports = { createWebhookSink };
@@ -0,0 +1,331 @@
+// backend/sms.js
+// SMS follow-ups over the Twilio client: booking confirmations, reminders before the visit,
+// "sorry we missed you" texts after no-answer calls, the agent's text_caller tool, and the
+// inbound /sms webhook (STOP / START / HELP / "call me").
+// Messages are queued in data/sms.json and sent by a worker, so reminders survive restarts.
+const crypto = require("crypto");
+const { dataPath, readJson, writeJson } = require("./storage");
+const { callEvents } = require("./events");
+const {
+  ComplianceError, normalizePhone, calleeTimezone, isOnDnc, getDncEntry, addToDnc, removeFromDnc, recordConsent, isOptOutRequest,
+} = require("./compliance");
+const { scheduleCallback, formatWhen } = require("./callbacks");
+const { getAppointment, appointmentStart, slotDateLabel } = require("./appointments");
+const { escapeXml, verifyTwilioSignature } = require("./security");
+
+const MAX_ATTEMPTS = 3;
+const MAX_MESSAGES = 5000;           // log size kept in data/sms.json
+const MISSED_CALL_GAP_MS = 24 * 60 * 60 * 1000;
+
+const STOP_WORDS = ["STOP", "STOPALL", "UNSUBSCRIBE", "CANCEL", "END", "QUIT", "OPTOUT"];
+const START_WORDS = ["START", "UNSTOP"];
+const HELP_WORDS = ["HELP", "INFO"];
+// "call me", but not "don't call me before 5pm" (explicit opt-outs are checked first, by isOptOutRequest)
+const CALL_ME_PATTERN = /^\s*call\b|(?<!\b(don['’]?t|do not|never)( ever)? )\bcall me\b/i;
+
+const DEFAULT_TEMPLATES = {
+  confirmation: "Hi {{firstName}}, you're booked for your {{offer}} at {{clubName}}: {{appointmentTime}}. Check in at the front desk. Reply HELP for help, STOP to opt out.",
+  reminder: "Reminder: your {{offer}} visit at {{clubName}} is {{appointmentTime}}. See you soon! Reply STOP to opt out.",
+  missed_call: "Hi {{firstName}}, this is {{clubName}}. Sorry we missed you! Reply CALL and we'll ring you now, or reply with a better time. Reply STOP to opt out.",
+  callback_offer: "Hi {{firstName}}, it's {{agentName}} from {{clubName}}. Sorry to catch you at a bad time! Reply CALL whenever it suits you and we'll ring you right back. Reply STOP to opt out.",
+  help: "{{clubName}}: texts about your visit and membership. Reply CALL for a call back, STOP to opt out. Msg & data rates may apply.",
+  stopped: "You're unsubscribed from {{clubName}} texts and calls. Reply START to get texts again.",
+  started: "You're subscribed to {{clubName}} texts again. Reply STOP to opt out.",
+  calling: "Calling you now!",
+  call_later: "We can't call right now, but a team member will reach out during business hours.",
+  call_scheduled: "We can't call right now, so we'll call you {{when}}.",
+  received: "Thanks! A team member will get back to you soon.",
+};
+
+const enabledFollowUps = () => (process.env.SMS_FOLLOWUPS ?? "confirmation,reminder,missed_call").split(",").map(s => s.trim()).filter(Boolean);
+const reminderLeadMs = () => Number(process.env.SMS_REMINDER_HOURS || 2) * 60 * 60 * 1000;
+const newId = () => `sms_${crypto.randomBytes(6).toString("hex")}`;
+
+/** Built-in templates, overridden per key by SMS_TEMPLATES_FILE (JSON). */
+function templates() {
+  const file = process.env.SMS_TEMPLATES_FILE;
+  return file ? { ...DEFAULT_TEMPLATES, ...readJson(file, {}) } : DEFAULT_TEMPLATES;
+}
+
+function renderSms(template, vars) {
+  const text = templates()[template];
+  if (!text) throw new Error(`unknown SMS template: ${template}`);
+  return text.replace(/\{\{\s*(\w+)\s*\}\}/g, (_m, name) => vars[name] ?? "").replace(/\s+/g, " ").trim();
+}
+
+// ---- Store (data/sms.json): message log + queue, and numbers that texted STOP ----
+function storeFile() { return dataPath("sms.json"); }
+function loadStore() { return readJson(storeFile(), { messages: [], optOuts: {} }); }
+function saveStore(store) {
+  if (store.messages.length > MAX_MESSAGES) {
+    // Drop the oldest finished messages; anything still scheduled stays
+    const excess = store.messages.length - MAX_MESSAGES;
+    let dropped = 0;
+    store.messages = store.messages.filter(m => m.status === "scheduled" || dropped++ >= excess);
+  }
+  writeJson(storeFile(), store);
+}
+
+const isSmsOptedOut = (phone) => Boolean(loadStore().optOuts[normalizePhone(phone)]);
+
+/**
+ * Queue an outbound text. `context` ({ name, persona, clubId, variables, language }) fills the template when
+ * it is sent; `vars` adds message-specific values. A repeated dedupeKey is ignored.
+ */
+function queueSms({ to, template, context = {}, vars = {}, sendAt = new Date(), callSid = null, appointmentId = null, dedupeKey = null }) {
+  const phone = normalizePhone(to);
+  if (!phone) return null;
+  const store = loadStore();
+  if (dedupeKey && store.messages.some(m => m.dedupeKey === dedupeKey)) return null;
+  const message = {
+    id: newId(),
+    direction: "outbound",
+    to: phone,
+    template,
+    context,
+    vars,
+    status: "scheduled", // scheduled -> sent | failed | skipped | canceled
+    sendAt: new Date(sendAt).toISOString(),
+    attempts: 0,
+    callSid,
+    appointmentId,
+    dedupeKey,
+    createdAt: new Date().toISOString(),
+  };
+  store.messages.push(message);
+  saveStore(store);
+  console.log("[sms] queued", template, "to", phone, "for", message.sendAt);
+  callEvents.emit("sms.queued", message);
+  return message;
+}
+
+// ---- Sender ----
+class SmsService {
+  /**
+   * @param {object}   deps
+   * @param {object}   deps.client         Twilio REST client
+   * @param {string}   deps.from           sending number
+   * @param {object}   [deps.sessions]     session store: persona / club / variables of the call behind an outcome
+   * @param {Function} [deps.templateVars] context -> template variables (persona / club)
+   * @param {Function} [deps.placeCall]    async ({ name, phone, persona, club, variables }) for "call me" replies
+   */
+  constructor({ client, from, sessions = null, templateVars = (ctx) => ({ firstName: (ctx.name || "").split(/\s+/)[0] || "there" }), placeCall = null, tickMs = 15000 }) {
+    this.client = client;
+    this.from = from;
+    this.sessions = sessions;
+    this.templateVars = templateVars;
+    this.placeCall = placeCall;
+    this.tickMs = tickMs;
+    this.timer = null;
+    this.flushing = null;
+    this.onOutcome = (record) => {
+      try { this.followUp(record); } catch (e) { console.error("[sms] follow-up error:", e?.message || e); }
+    };
+    this.onQueued = (message) => { if (Date.parse(message.sendAt) <= Date.now()) this.flush(); };
+  }
+
+  start() {
+    if (this.timer) return;
+    callEvents.on("outcome", this.onOutcome);
+    callEvents.on("sms.queued", this.onQueued);
+    this.timer = setInterval(() => this.flush(), this.tickMs);
+    this.timer.unref();
+    this.flush();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    callEvents.off("outcome", this.onOutcome);
+    callEvents.off("sms.queued", this.onQueued);
+    return this.flushing || Promise.resolve();
+  }
+
+  /** Texts triggered by a call's outcome record. */
+  followUp(record, now = new Date()) {
+    if (!record.phone) return;
+    const enabled = enabledFollowUps();
+    const context = smsContext(this.sessions?.get(record.callSid) || record);
+    const apt = record.appointment;
+
+    if (record.outcome === "booked" && apt) {
+      const vars = { appointmentTime: slotDateLabel(apt.slotId) };
+      const base = { to: record.phone, context, vars, callSid: record.callSid, appointmentId: apt.id };
+      if (enabled.includes("confirmation")) queueSms({ ...base, template: "confirmation", dedupeKey: `confirmation:${apt.id}` });
+      const remindAt = new Date(appointmentStart(apt).getTime() - reminderLeadMs());
+      if (enabled.includes("reminder") && remindAt > now) {
+        queueSms({ ...base, template: "reminder", sendAt: remindAt, dedupeKey: `reminder:${apt.id}` });
+      }
+    }
+
+    if (record.outcome === "no_answer" && enabled.includes("missed_call")) {
+      const phone = normalizePhone(record.phone);
+      const recent = loadStore().messages.some(m =>
+        m.to === phone && m.template === "missed_call" && now - Date.parse(m.createdAt) < MISSED_CALL_GAP_MS);
+      if (!recent) queueSms({ to: phone, template: "missed_call", context, callSid: record.callSid });
+    }
+  }
+
+  /** Send everything due; one run at a time. */
+  flush(now = new Date()) {
+    if (!this.flushing) {
+      this.flushing = this.sendDue(now)
+        .catch(e => console.error("[sms] send error:", e?.message || e))
+        .finally(() => { this.flushing = null; });
+    }
+    return this.flushing;
+  }
+
+  async sendDue(now) {
+    const due = loadStore().messages.filter(m => m.status === "scheduled" && Date.parse(m.sendAt) <= now.getTime());
+    for (const pending of due) {
+      const update = await this.send(pending, now);
+      const store = loadStore();
+      const m = store.messages.find(x => x.id === pending.id);
+      if (m) Object.assign(m, update);
+      saveStore(store);
+    }
+  }
+
+  /** Resolves with the fields to write back on the message. */
+  async send(m, now) {
+    if (isSmsOptedOut(m.to) || isOnDnc(m.to)) return { status: "skipped", reason: "opted_out" };
+    if (m.appointmentId && getAppointment(m.appointmentId)?.status !== "booked") return { status: "canceled", reason: "appointment_not_booked" };
+    if (!this.from) return { status: "failed", error: "TWILIO_NUMBER not set" };
+
+    const body = renderSms(m.template, { ...this.templateVars(m.context || {}), ...m.vars });
+    try {
+      const msg = await this.client.messages.create({ to: m.to, from: this.from, body });
+      console.log("[sms] sent", m.template, "to", m.to, msg.sid);
+      return { status: "sent", sid: msg.sid, body, sentAt: now.toISOString(), attempts: m.attempts + 1 };
+    } catch (e) {
+      const attempts = m.attempts + 1;
+      console.error("[sms] send failed", m.id, "attempt", attempts, e?.message || e);
+      if (attempts >= MAX_ATTEMPTS) return { status: "failed", error: e?.message || String(e), attempts };
+      return { attempts, error: e?.message || String(e), sendAt: new Date(now.getTime() + attempts * 5 * 60 * 1000).toISOString() };
+    }
+  }
+
+  // ---- Inbound ----
+  /** Handle an inbound text; resolves with the reply body (or null for no reply). */
+  async handleInbound({ from, body, sid }) {
+    const phone = normalizePhone(from);
+    const text = String(body || "").trim();
+    const keyword = text.split(/\s+/)[0].toUpperCase().replace(/[^A-Z]/g, "");
+    const last = [...loadStore().messages].reverse().find(m => m.direction === "outbound" && m.to === phone);
+    const context = last?.context || {};
+    const vars = this.templateVars(context);
+    const log = (action, reply, change = () => {}) => {
+      const store = loadStore();
+      change(store);
+      store.messages.push({
+        id: newId(), direction: "inbound", from: phone, body: text, sid: sid || null, action, reply, createdAt: new Date().toISOString(),
+      });
+      saveStore(store);
+      callEvents.emit("sms.inbound", { from: phone, body: text, action });
+      console.log("[sms] inbound from", phone, "->", action);
+      return reply;
+    };
+    if (!phone) return null;
+
+    const optOut = (reason) => {
+      addToDnc(phone, { source: "sms", reason });
+      return log("opt_out", renderSms("stopped", vars), (store) => { store.optOuts[phone] = { at: new Date().toISOString(), keyword: reason }; });
+    };
+    if (STOP_WORDS.includes(keyword)) return optOut(keyword);
+    if (START_WORDS.includes(keyword)) {
+      // Only undo the DNC entry the STOP text created, never a spoken opt-out
+      if (getDncEntry(phone)?.source === "sms") removeFromDnc(phone);
+      return log("opt_in", renderSms("started", vars), (store) => { delete store.optOuts[phone]; });
+    }
+    if (HELP_WORDS.includes(keyword)) return log("help", renderSms("help", vars));
+
+    if (isOptOutRequest(text)) return optOut(text.slice(0, 100));
+    if (CALL_ME_PATTERN.test(text) && this.placeCall) {
+      try {
+        recordConsent({ phone, name: context.name || null, source: "sms" });
+        const call = await this.placeCall({
+          name: context.name || "", phone, persona: context.persona, club: context.clubId, variables: context.variables || {},
+          language: context.language,
+        });
+        return log(`call:${call.sid}`, renderSms("calling", vars));
+      } catch (e) {
+        if (e instanceof ComplianceError && e.retryAt) {
+          // Outside calling hours / frequency cap: call as soon as it's allowed
+          const cb = scheduleCallback({ ...context, phone }, {
+            callAt: e.retryAt, requestedVia: "sms", note: `They texted “${text}” when we couldn't call`,
+          });
+          const when = formatWhen(new Date(e.retryAt), calleeTimezone(phone) || Intl.DateTimeFormat().resolvedOptions().timeZone);
+          return log(`callback:${cb.id}`, renderSms("call_scheduled", { ...vars, when }));
+        }
+        if (!(e instanceof ComplianceError)) console.error("[sms] call-me failed for", phone, e?.message || e);
+        return log(`call_refused:${e?.code || "error"}`, renderSms("call_later", vars));
+      }
+    }
+    return log("received", renderSms("received", vars));
+  }
+}
+
+/** What a template needs to know about the call: who, which persona / club, script variables. */
+function smsContext(sess) {
+  return {
+    name: sess.name || null, persona: sess.persona || null, clubId: sess.clubId || null, variables: sess.variables || {}, language: sess.language || null,
+  };
+}
+
+// ---- Agent tool: "offer to text" on the busy / can't-talk branch ----
+const TOOLS = [
+  {
+    definition: {
+      type: "function",
+      name: "text_caller",
+      description:
+        "Text the caller a follow-up they can reply to later (reply CALL to be called back). Use when they're busy " +
+        "or can't talk and agree to get a text.",
+      parameters: { type: "object", properties: {} },
+    },
+    handler: async (_args, { callSid, session }) => {
+      if (!session?.phone) return { ok: false, error: "no_phone_on_call" };
+      if (isSmsOptedOut(session.phone)) return { ok: false, error: "opted_out_of_texts" };
+      const queued = queueSms({
+        to: session.phone, template: "callback_offer", context: smsContext(session), callSid, dedupeKey: `callback_offer:${callSid}`,
+      });
+      session.textSent = true;
+      return { ok: true, already_sent: !queued, instructions: "Tell them you've just sent a text, then wrap up politely." };
+    },
+  },
+];
+
+// ---- Routes ----
+/** Twilio Messaging webhook (signed): set the number's "A message comes in" URL to /sms. */
+async function smsWebhookRoutes(fastify, { sms }) {
+  fastify.post("/sms", { preHandler: verifyTwilioSignature }, async (req, reply) => {
+    const b = req.body || {};
+    const text = await sms.handleInbound({ from: b.From, body: b.Body, sid: b.MessageSid });
+    reply.type("text/xml").send(`<?xml version="1.0" encoding="UTF-8"?>
+  <Response>${text ? `<Message>${escapeXml(text)}</Message>` : ""}</Response>`);
+  });
+}
+
+/** Admin: message log and queue. */
+async function smsRoutes(fastify) {
+  fastify.get("/api/sms", async (req) => {
+    const { status, phone } = req.query || {};
+    const want = phone ? normalizePhone(phone) : null;
+    const messages = loadStore().messages
+      .filter(m => !status || m.status === status)
+      .filter(m => !want || m.to === want || m.from === want);
+    return { messages: messages.slice(-500).reverse() };
+  });
+}
+
+module.exports = {
+  DEFAULT_TEMPLATES,
+  SmsService,
+  queueSms,
+  renderSms,
+  isSmsOptedOut,
+  smsWebhookRoutes,
+  smsRoutes,
+  TOOLS,
+};
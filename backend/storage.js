@@ -0,0 +1,32 @@
+// backend/storage.js
+const fs = require("fs");
+const path = require("path");
+
+// ---- Local data directory (appointments, queues, stores) ----
+function dataDir() {
+  return process.env.DATA_DIR || path.join(__dirname, "..", "data");
+}
+
+function dataPath(name) {
+  const dir = dataDir();
+  fs.mkdirSync(dir, { recursive: true });
+  return path.join(dir, name);
+}
+
+function readJson(file, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    if (e.code !== "ENOENT") console.warn("[storage] could not read", file, e?.message || e);
+    return fallback;
+  }
+}
+
+/** Write through a temp file + rename so a crash never leaves half a JSON file behind. */
+function writeJson(file, value) {
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(value, null, 2));
+  fs.renameSync(tmp, file);
+}
+
+module.exports = { dataDir, dataPath, readJson, writeJson };
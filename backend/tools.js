@@ -0,0 +1,38 @@
+// backend/tools.js
+// Realtime function-calling tools. Each entry pairs the definition sent in
+// session.update with the server-side handler that runs it.
+const appointments = require("./appointments");
+const callbacks = require("./callbacks");
+const clubs = require("./clubs");
+const compliance = require("./compliance");
+const languages = require("./languages");
+const sms = require("./sms");
+const transfer = require("./transfer");
+
+const TOOLS = [
+  ...appointments.TOOLS,
+  ...callbacks.TOOLS,
+  ...clubs.TOOLS,
+  ...compliance.TOOLS,
+  ...languages.TOOLS,
+  ...sms.TOOLS,
+  ...transfer.TOOLS,
+];
+
+function getToolDefinitions() {
+  return TOOLS.map(t => t.definition);
+}
+
+/** Run a tool by name; always resolves to a JSON-able result the model can read. */
+async function runTool(name, args, ctx = {}) {
+  const tool = TOOLS.find(t => t.definition.name === name);
+  if (!tool) return { ok: false, error: `unknown_tool: ${name}` };
+  try {
+    return await tool.handler(args || {}, ctx);
+  } catch (e) {
+    console.error(`[tools] ${name} failed:`, e?.message || e);
+    return { ok: false, error: "internal_error" };
+  }
+}
+
+module.exports = { getToolDefinitions, runTool };
@@ -0,0 +1,96 @@
+// backend/transfer.js
+// Warm transfer to a human at the club: the transfer_to_human tool, plus the TwiML that
+// replaces the media stream with a <Dial> and whispers the agent's summary to the staff member.
+const { escapeXml } = require("./security");
+const { getClub, defaultClubId } = require("./clubs");
+
+/** Where a call's transfer rings: its club's front desk (clubs/*.json "phone"), else TRANSFER_NUMBER. */
+const transferNumber = (session = null) =>
+  getClub(session?.clubId || defaultClubId())?.phone || process.env.TRANSFER_NUMBER || "";
+const DIAL_TIMEOUT_SEC = Number(process.env.TRANSFER_DIAL_TIMEOUT_SEC || 20);
+const ANSWERED_DIAL_STATUSES = ["answered", "completed"];
+
+/** Ask for a transfer on the live call; the bridge dials once the agent's handoff line has played. */
+function requestTransfer(sess, { reason, summary, requestedBy = "agent" }) {
+  sess.transfer = {
+    status: "requested",  // requested -> dialing -> connected | failed
+    requestedBy,
+    reason: String(reason || "").trim() || null,
+    summary: String(summary || "").trim() || null,
+    requestedAt: new Date().toISOString(),
+  };
+  return sess.transfer;
+}
+
+function transferTwiml({ base, callSid, number }) {
+  const q = `callSid=${encodeURIComponent(callSid)}`;
+  return `<?xml version="1.0" encoding="UTF-8"?>
+  <Response>
+    <Dial timeout="${DIAL_TIMEOUT_SEC}" action="${escapeXml(`${base}/transfer-status?${q}`)}" method="POST">
+      <Number url="${escapeXml(`${base}/transfer-whisper?${q}`)}" method="POST">${escapeXml(number)}</Number>
+    </Dial>
+  </Response>`;
+}
+
+// Played to the staff member only, before the two legs are bridged; clubName is the call's club / persona
+function whisperTwiml(transfer, { clubName } = {}) {
+  const parts = [`Incoming transfer from the ${clubName ? `${clubName} ` : ""}AI assistant.`];
+  if (transfer?.summary) parts.push(transfer.summary);
+  else if (transfer?.reason) parts.push(`Reason: ${transfer.reason}.`);
+  return `<?xml version="1.0" encoding="UTF-8"?>
+  <Response>
+    <Say>${escapeXml(parts.join(" "))}</Say>
+  </Response>`;
+}
+
+// Dial finished: hang up after a real conversation, otherwise apologise to the caller
+function dialResultTwiml(dialStatus) {
+  if (ANSWERED_DIAL_STATUSES.includes(dialStatus)) return `<?xml version="1.0" encoding="UTF-8"?><Response><Hangup/></Response>`;
+  return `<?xml version="1.0" encoding="UTF-8"?>
+  <Response>
+    <Say>Sorry, no one from the team is available right now. Someone will call you back soon. Goodbye!</Say>
+    <Hangup/>
+  </Response>`;
+}
+
+const TOOLS = [
+  {
+    definition: {
+      type: "function",
+      name: "transfer_to_human",
+      description:
+        "Transfer the call to a team member at the club. Use when the caller asks for a real person, " +
+        "or when you cannot answer or help them. Before the transfer the staff member hears your summary.",
+      parameters: {
+        type: "object",
+        properties: {
+          reason: { type: "string", description: "Why the caller is being transferred, a few words" },
+          summary: {
+            type: "string",
+            description: "One or two spoken sentences for the staff member: who the caller is and what they need so far",
+          },
+        },
+        required: ["summary"],
+      },
+    },
+    handler: async ({ reason, summary }, { session }) => {
+      if (!transferNumber(session)) {
+        return { ok: false, error: "transfer_unavailable", instructions: "No one can take the call right now. Offer to have the team call them back." };
+      }
+      if (!session) return { ok: false, error: "no_active_call" };
+      if (session.transfer && session.transfer.status !== "failed") return { ok: false, error: "transfer_already_requested" };
+      requestTransfer(session, { reason, summary });
+      return { ok: true, instructions: "In one short sentence, tell the caller you're connecting them to a team member now. Say nothing else." };
+    },
+  },
+];
+
+module.exports = {
+  ANSWERED_DIAL_STATUSES,
+  transferNumber,
+  requestTransfer,
+  transferTwiml,
+  whisperTwiml,
+  dialResultTwiml,
+  TOOLS,
+};
@@ -0,0 +1,23 @@
+// backend/twilioClient.js
+// Twilio REST client. TWILIO_API_URL sends every REST request to another host instead of
+// api.twilio.com (e.g. the mock in test/harness/mockTwilio.js).
+const twilio = require("twilio");
+
+class RedirectingRequestClient extends twilio.RequestClient {
+  constructor(baseUrl) {
+    super();
+    this.baseUrl = baseUrl.replace(/\/$/, "");
+  }
+
+  request(opts) {
+    const { pathname, search } = new URL(opts.uri);
+    return super.request({ ...opts, uri: this.baseUrl + pathname + search });
+  }
+}
+
+function createTwilioClient(env = process.env) {
+  const { TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_API_URL } = env;
+  return twilio(TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_API_URL ? { httpClient: new RedirectingRequestClient(TWILIO_API_URL) } : {});
+}
+
+module.exports = { createTwilioClient };
@@ -0,0 +1,72 @@
+// test/appointments.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const os = require("os");
+const fs = require("fs");
+const path = require("path");
+
+process.env.TZ = "UTC"; // a typical server; clubs/austin-downtown.json is America/Chicago
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "appointments-test-"));
+process.env.APPOINTMENT_SLOT_CAPACITY = "1";
+const { runTool } = require("../backend/tools");
+const { listSlots, bookAppointment, cancelAppointment, appointmentStart, parseSlotId, slotDateLabel } = require("../backend/appointments");
+
+test("slot capacity is per club and appointments record their club", async () => {
+  const downtown = { callSid: "CA1", clubId: "austin-downtown", phone: "+15125550123" };
+  const roundRock = { callSid: "CA2", clubId: "round-rock", phone: "+15125550124" };
+  const slots = async (session) => (await runTool("check_availability", { day: "tomorrow", part_of_day: "evening" }, { callSid: session.callSid, session })).slots;
+
+  const [slot] = await slots(downtown);
+  assert.match(slot.slot_id, /^austin-downtown\/\d{4}-\d{2}-\d{2}@\d{2}:\d{2}-\d{2}:\d{2}$/);
+  const booked = await runTool("book_appointment", { slot_id: slot.slot_id }, { callSid: "CA1", session: downtown });
+  assert.equal(booked.ok, true);
+  assert.equal(downtown.appointment.clubId, "austin-downtown");
+  assert.ok(!(await slots(downtown)).some(s => s.slot_id === slot.slot_id)); // full at this club...
+
+  const { dateKey, window } = parseSlotId(slot.slot_id);
+  const other = (await slots(roundRock)).find(s => s.slot_id === `round-rock/${dateKey}@${window}`);
+  assert.equal(other?.remaining, 1); // ...still open at the other one
+  assert.equal((await runTool("book_appointment", { slot_id: other.slot_id }, { callSid: "CA2", session: roundRock })).ok, true);
+
+  // A slot id from another club's availability can't be booked on this call
+  const cross = await runTool("book_appointment", { slot_id: slot.slot_id }, { callSid: "CA2", session: roundRock });
+  assert.equal(cross.error, "unknown_slot");
+
+  // Legacy ids (before clubs) still label
+  assert.match(slotDateLabel(`${dateKey}@${window}`), /\d(am|pm)$/);
+});
+
+test("days and slot times are the club's, not the server's (TZ=UTC, club in America/Chicago)", () => {
+  const session = { clubId: "austin-downtown" };
+  const now = new Date("2026-11-03T02:00:00Z"); // Monday Nov 2, 8pm in Austin; already Tuesday in UTC
+  const ids = (day, part) => listSlots({ day, part_of_day: part }, { session }, now).slots.map(s => s.slot_id);
+
+  assert.deepEqual(ids("today"), []); // the last window (6pm Austin) has started
+  const [first] = listSlots({ day: "tomorrow" }, { session }, now).slots;
+  assert.equal(first.slot_id, "austin-downtown/2026-11-03@09:00-11:00");
+  assert.equal(first.label, "tomorrow 9–11am");
+  assert.deepEqual(ids("monday"), []); // Monday is still today in Austin
+  assert.deepEqual(ids("tuesday", "evening").map(id => parseSlotId(id).dateKey), ["2026-11-03", "2026-11-03"]);
+  assert.equal(parseSlotId(ids("wednesday")[0]).dateKey, "2026-11-04");
+
+  // 5pm in Austin: UTC-5 in October, UTC-6 once DST ends on Nov 1
+  assert.equal(appointmentStart({ clubId: "austin-downtown", date: "2026-10-20", window: "17:00-19:00" }).toISOString(), "2026-10-20T22:00:00.000Z");
+  assert.equal(appointmentStart({ slotId: "austin-downtown/2026-11-02@17:00-19:00", date: "2026-11-02", window: "17:00-19:00" }).toISOString(), "2026-11-02T23:00:00.000Z");
+});
+
+test("a returning caller can cancel the visit an earlier call booked, matched by phone number", () => {
+  const now = new Date("2026-11-09T15:00:00Z"); // Monday morning in Austin
+  const earlier = { callSid: "CA10", clubId: "austin-downtown", phone: "+15125550140" };
+  const [slot] = listSlots({ day: "wednesday" }, { session: earlier }, now).slots;
+  assert.equal(bookAppointment({ slot_id: slot.slot_id }, { callSid: "CA10", session: earlier }, now).ok, true);
+
+  // Someone else calling in can't cancel it
+  const stranger = { callSid: "CA11", clubId: "austin-downtown", phone: "+15125550141" };
+  assert.equal(cancelAppointment({}, { callSid: "CA11", session: stranger }, now).error, "not_found");
+
+  const inbound = { callSid: "CA12", direction: "inbound", clubId: "austin-downtown", phone: "(512) 555-0140" };
+  const res = cancelAppointment({}, { callSid: "CA12", session: inbound }, now);
+  assert.equal(res.ok, true);
+  assert.equal(res.appointment_id, earlier.appointment.id);
+  assert.equal(cancelAppointment({}, { callSid: "CA12", session: inbound }, now).error, "not_found"); // nothing left
+});
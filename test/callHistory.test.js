@@ -0,0 +1,85 @@
+// test/callHistory.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const os = require("os");
+const fs = require("fs");
+const path = require("path");
+const Fastify = require("fastify");
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "history-test-"));
+const { saveCall, computeMetrics, callHistoryRoutes } = require("../backend/callHistory");
+
+const call = (n, fields) => ({
+  callSid: `CA${String(n).padStart(32, "0")}`,
+  name: `Lead ${n}`,
+  phone: `+1512555010${n}`,
+  campaignId: "spring",
+  startedAt: `2026-10-0${n}T15:00:00.000Z`,
+  connectedAt: `2026-10-0${n}T15:00:05.000Z`,
+  endedAt: `2026-10-0${n}T15:02:05.000Z`,
+  objections: [],
+  call: { status: "completed", duration: null },
+  turns: [],
+  ...fields,
+});
+
+const CALLS = [
+  call(1, {
+    outcome: "booked",
+    objections: ["price"],
+    talk: { agentMs: 60000, callerMs: 30000 },
+    turns: [
+      { role: "agent", text: "Hi!", at: "2026-10-01T15:00:06.000Z" },
+      { role: "user", text: "Hello.", at: "2026-10-01T15:00:08.500Z" },
+    ],
+  }),
+  call(2, { outcome: "not_interested", objections: ["price", "time"], talk: { agentMs: 20000, callerMs: 20000 }, call: { status: "completed", duration: 60 } }),
+  call(3, { outcome: "no_answer", campaignId: "fall", connectedAt: null, call: { status: "no-answer", duration: 0 } }),
+  call(4, { outcome: "voicemail", connectedAt: null }),
+];
+
+test("metrics: connect rate, conversion, handle time, talk/listen, objections", () => {
+  const m = computeMetrics(CALLS);
+  assert.equal(m.calls, 4);
+  assert.equal(m.connected, 2);
+  assert.equal(m.connectRate, 0.5);
+  assert.equal(m.bookingConversion, 0.5);
+  assert.equal(m.avgHandleTimeSec, 90); // 120s by our clock, 60s billed
+  assert.equal(m.talkListenRatio, 1.6);
+  assert.deepEqual(m.outcomes, { booked: 1, not_interested: 1, no_answer: 1, voicemail: 1 });
+  assert.deepEqual(m.objections, [{ objection: "price", count: 2, rate: 1 }, { objection: "time", count: 1, rate: 0.5 }]);
+  assert.equal(computeMetrics([]).connectRate, null);
+});
+
+test("call list filters, detail with turn timings, metrics route", async () => {
+  for (const c of CALLS) await saveCall(c);
+  const app = Fastify();
+  app.register(callHistoryRoutes);
+  const get = async (url) => {
+    const res = await app.inject({ method: "GET", url });
+    return { status: res.statusCode, body: res.json() };
+  };
+
+  let res = await get("/api/calls");
+  assert.equal(res.body.total, 4);
+  assert.deepEqual(res.body.calls.map(c => c.outcome), ["voicemail", "no_answer", "not_interested", "booked"]);
+  assert.equal(res.body.calls[0].turns, undefined);
+
+  assert.equal((await get("/api/calls?campaign=fall")).body.total, 1);
+  assert.equal((await get("/api/calls?outcome=booked,voicemail")).body.total, 2);
+  assert.equal((await get("/api/calls?phone=(512)%20555-0102")).body.calls[0].outcome, "not_interested");
+  assert.equal((await get("/api/calls?from=2026-10-02&to=2026-10-03")).body.total, 2);
+  assert.equal((await get("/api/calls?outcome=maybe")).status, 400);
+  assert.equal((await get("/api/calls?from=last-week")).body.code, "FILTER_INVALID");
+
+  res = await get(`/api/calls/${CALLS[0].callSid}`);
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.turns.map(t => [t.offsetMs, t.gapMs]), [[1000, null], [3500, 2500]]);
+  assert.equal(res.body.handleTimeSec, 120);
+  assert.equal((await get("/api/calls/CA404")).status, 404);
+
+  res = await get("/api/metrics?campaign=spring");
+  assert.equal(res.body.calls, 3);
+  assert.equal(res.body.bookingConversion, 0.5);
+  await app.close();
+});
@@ -0,0 +1,57 @@
+// test/callOutcome.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const os = require("os");
+const fs = require("fs");
+const path = require("path");
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "outcome-test-"));
+const { OUTCOMES, extractOutcome } = require("../backend/callOutcome");
+
+const user = (text) => ({ role: "user", text });
+const call = (...texts) => ({ callSid: "CA1", name: "Alex Johnson", turns: [{ role: "agent", text: "Hi Alex, it's Alice." }, ...texts.map(user)] });
+
+test("outcome: the model call goes to OPENAI_API_URL, and never with the scripted provider", async (t) => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.url);
+    const content = JSON.stringify({
+      outcome: "not_interested", firstName: "Alex", appointmentTime: null, preferredWindow: null,
+      callbackWindow: null, interests: [], objections: ["price"], summary: "Not interested.",
+    });
+    res.setHeader("Content-Type", "application/json");
+    res.end(JSON.stringify({ choices: [{ message: { content } }] }));
+  });
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => {
+    server.close();
+    for (const k of ["OPENAI_API_KEY", "OPENAI_API_URL", "VOICE_PROVIDER"]) delete process.env[k];
+  });
+  Object.assign(process.env, { OPENAI_API_KEY: "sk-test", OPENAI_API_URL: `http://127.0.0.1:${server.address().port}/v1/` });
+
+  const record = await extractOutcome(call("It's too expensive."));
+  assert.equal(record.extractedBy, "llm");
+  assert.deepEqual(requests, ["/v1/chat/completions"]);
+
+  process.env.VOICE_PROVIDER = "scripted";
+  assert.equal((await extractOutcome(call("It's too expensive."))).extractedBy, "heuristic");
+  assert.equal(requests.length, 1);
+});
+
+test("outcome keywords: a refused call back is not a callback request", async () => {
+  for (const text of ["Don't call me back.", "Please never call me back", "I said do not call me back", "Stop calling me"]) {
+    assert.equal((await extractOutcome(call(text))).outcome, "not_interested", text);
+  }
+  for (const text of ["Can you call me back later?", "It's not a good time, call me tomorrow"]) {
+    assert.equal((await extractOutcome(call(text))).outcome, "callback_requested", text);
+  }
+});
+
+test("outcome: call-status outcomes are part of the declared list", async () => {
+  for (const status of ["no-answer", "busy", "failed", "canceled"]) {
+    const { outcome } = await extractOutcome({ callSid: "CA2", turns: [], call: { status } });
+    assert.ok(OUTCOMES.includes(outcome), outcome);
+  }
+  assert.deepEqual(OUTCOMES.slice(-3), ["no_answer", "busy", "failed"]);
+});
@@ -0,0 +1,90 @@
+// test/callbacks.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const os = require("os");
+const fs = require("fs");
+const path = require("path");
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "callbacks-test-"));
+const { CallbackScheduler, resolveCallbackTime, scheduleCallback } = require("../backend/callbacks");
+const { runTool } = require("../backend/tools");
+const { ComplianceError } = require("../backend/compliance");
+const { loadPersonas, personaVariables, buildSystemPrompt } = require("../backend/personas");
+
+const CHICAGO = "America/Chicago";
+const getCallback = (id) => JSON.parse(fs.readFileSync(path.join(process.env.DATA_DIR, "callbacks.json"), "utf8")).callbacks.find(c => c.id === id);
+const NOW = new Date("2026-10-19T15:00:00Z"); // Monday 10:00 in Chicago
+
+test("callback times resolve in the caller's timezone", () => {
+  const at = (day, time, now = NOW) => resolveCallbackTime({ day, time }, CHICAGO, now).at?.toISOString();
+  assert.equal(at("tomorrow", "17:00"), "2026-10-20T22:00:00.000Z");
+  assert.equal(at("today", "18:30"), "2026-10-19T23:30:00.000Z");
+  assert.equal(at("monday", "09:00"), "2026-10-26T14:00:00.000Z"); // already past today
+  assert.equal(at("2026-11-01", "17:00"), "2026-11-01T23:00:00.000Z"); // after the DST change
+  assert.equal(resolveCallbackTime({ day: "today", time: "08:00" }, CHICAGO, NOW).error, "time_in_past");
+  assert.equal(resolveCallbackTime({ day: "2026-11-20", time: "08:00" }, CHICAGO, NOW).error, "too_far_ahead");
+  assert.equal(resolveCallbackTime({ day: "someday", time: "08:00" }, CHICAGO, NOW).error, "unrecognized_day");
+  assert.equal(resolveCallbackTime({ day: "tomorrow", time: "5pm" }, CHICAGO, NOW).error, "unrecognized_time");
+});
+
+test("schedule_callback persists and the scheduler re-dials with the earlier context", async () => {
+  const session = { callSid: "CA1", name: "Alex Johnson", phone: "+15125550123", persona: "win-back", clubId: "austin-downtown", variables: {} };
+  const res = await runTool("schedule_callback", { day: "tomorrow", time: "17:00", window: "tomorrow after 5" }, { callSid: "CA1", session });
+  assert.equal(res.ok, true);
+  assert.equal(session.callbackRequest.window, "tomorrow after 5");
+
+  const placed = [];
+  let refuse = null;
+  const scheduler = new CallbackScheduler({
+    placeCall: async (args) => {
+      if (refuse) throw refuse;
+      placed.push(args);
+      return { sid: "CA2" };
+    },
+  });
+  scheduler.attachSummary({ callSid: "CA1", summary: "Interested in classes, busy at work." });
+
+  await scheduler.tick(new Date(Date.now() + 60 * 1000));
+  assert.equal(placed.length, 0); // not due yet
+
+  const later = new Date(Date.now() + 3 * 24 * 60 * 60 * 1000);
+  refuse = new ComplianceError("OUTSIDE_CALLING_HOURS", "closed", { retryAt: new Date(later.getTime() + 60 * 60 * 1000).toISOString() });
+  await scheduler.tick(later);
+  assert.equal(placed.length, 0); // moved to the next window
+
+  refuse = null;
+  await scheduler.tick(new Date(later.getTime() + 2 * 60 * 60 * 1000));
+  assert.equal(placed.length, 1);
+  const [args] = placed;
+  assert.equal(args.persona, "win-back");
+  assert.equal(args.club, "austin-downtown");
+  assert.equal(args.callback.summary, "Interested in classes, busy at work.");
+  assert.equal(args.callback.previousCallSid, "CA1");
+
+  const persona = loadPersonas().get("win-back");
+  const prompt = buildSystemPrompt(persona, personaVariables(persona, { firstName: "Alex" }), { callback: args.callback });
+  assert.match(prompt, /As you asked, I'm calling back/);
+  assert.match(prompt, /Last time: Interested in classes/);
+});
+
+test("a callback whose status callback never arrives is retried, then failed, not left dialing", async () => {
+  const start = new Date("2026-10-19T15:00:00Z");
+  const cb = scheduleCallback({ name: "Sam", phone: "+15125550177" }, { callAt: start, requestedVia: "sms" });
+  let n = 0;
+  const scheduler = new CallbackScheduler({ placeCall: async () => ({ sid: `CAstuck${++n}` }) });
+  const minutes = (m) => new Date(start.getTime() + m * 60 * 1000);
+
+  await scheduler.tick(minutes(0));
+  assert.equal(getCallback(cb.id).status, "dialing");
+  await scheduler.tick(minutes(4));
+  assert.equal(getCallback(cb.id).status, "dialing"); // still within the dial timeout
+
+  await scheduler.tick(minutes(6));
+  const retry = getCallback(cb.id);
+  assert.deepEqual([retry.status, retry.lastError, retry.attempts], ["scheduled", "no-answer", 1]);
+
+  for (let m = 36, i = 0; i < 4; m += 36, i++) await scheduler.tick(minutes(m)); // dial, expire, dial, expire
+  const last = getCallback(cb.id);
+  assert.deepEqual([last.status, last.attempts], ["failed", 3]);
+  assert.deepEqual(last.history.map(h => h.callSid), ["CAstuck1", "CAstuck1", "CAstuck2", "CAstuck2", "CAstuck3", "CAstuck3"]);
+});
@@ -0,0 +1,57 @@
+// test/campaigns.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const os = require("os");
+const fs = require("fs");
+const path = require("path");
+const Fastify = require("fastify");
+
+const { CampaignDialer, campaignRoutes, parseLeads } = require("../backend/campaigns");
+
+const LEADS = [{ name: "Alex Johnson", phone: "(512) 555-0123" }];
+// Each test gets its own data/campaigns.json, so it runs the same alone or after the others
+const freshDataDir = () => { process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "campaigns-test-")); };
+
+test("campaign settings: language can be set, patched and read back", async () => {
+  freshDataDir();
+  const dialer = new CampaignDialer({ placeCall: async () => ({ sid: "CA1" }) });
+  const app = Fastify();
+  app.register(campaignRoutes, { dialer, personas: new Map() });
+  const call = async (method, url, payload) => (await app.inject({ method, url, payload })).json();
+
+  const { campaign } = await call("POST", "/api/campaigns", { name: "spring", leads: LEADS });
+  assert.equal(campaign.settings.language, null);
+
+  const patched = await call("PATCH", `/api/campaigns/${campaign.id}/settings`, { language: "es" });
+  assert.equal(patched.campaign.settings.language, "es");
+  assert.equal((await call("GET", `/api/campaigns/${campaign.id}`)).campaign.settings.language, "es");
+
+  const res = await app.inject({ method: "PATCH", url: `/api/campaigns/${campaign.id}/settings`, payload: { language: "klingon" } });
+  assert.equal(res.statusCode, 400);
+  await app.close();
+});
+
+test("dialer: a slow tick is joined, not overlapped, so a lead is dialed once", async () => {
+  freshDataDir();
+  let release;
+  const placed = [];
+  const dialer = new CampaignDialer({
+    placeCall: async (lead) => {
+      placed.push(lead.id);
+      await new Promise(r => { release = r; });
+      return { sid: `CA${placed.length}` };
+    },
+  });
+  const campaign = dialer.create({ name: "slow", leads: parseLeads(LEADS).leads, settings: { concurrency: 1 } });
+
+  const first = dialer.tick();
+  const second = dialer.tick(); // interval fires again while placeCall is still pending
+  assert.equal(second, first);
+  await new Promise(r => setImmediate(r));
+  release();
+  await Promise.all([first, second]);
+
+  assert.equal(placed.length, 1);
+  assert.equal(campaign.leads[0].attempts, 1);
+  assert.equal(dialer.ticking, null);
+});
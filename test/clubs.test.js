@@ -0,0 +1,37 @@
+// test/clubs.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { runTool } = require("../backend/tools");
+const { loadClubs, validateClub } = require("../backend/clubs");
+
+test("shipped club profiles are valid", () => {
+  assert.ok(loadClubs().has("austin-downtown"));
+});
+
+test("lookup_club_info answers from the call's club and records the citation", async () => {
+  const session = { callSid: "CA1", clubId: "austin-downtown" };
+  const hours = await runTool("lookup_club_info", { topic: "hours" }, { callSid: "CA1", session });
+  assert.equal(hours.ok, true);
+  assert.equal(hours.club, "Crunch Fitness Austin Downtown");
+  assert.ok(hours.facts.includes("Friday: 5am–10pm"));
+
+  const tuesday = await runTool("lookup_club_info", { topic: "classes", day: "Tuesday" }, { callSid: "CA1", session });
+  assert.deepEqual(tuesday.facts, ["Yoga Flow: Tuesday 7:00am, 60 min", "Ride: Tuesday 6:30pm, 45 min (cycling studio)"]);
+
+  assert.deepEqual(session.citations.map(c => [c.club, c.topic, c.facts.length]), [
+    ["austin-downtown", "hours", 4],
+    ["austin-downtown", "classes", 2],
+  ]);
+  assert.equal(session.citations[1].facts[0], "classes.tuesday.7:00am.Yoga Flow");
+
+  const bad = await runTool("lookup_club_info", { topic: "sauna" }, { session });
+  assert.equal(bad.error, "unknown_topic");
+});
+
+test("club validation", () => {
+  assert.deepEqual(validateClub({ name: "X", address: "1 Main St", hours: { Daily: "24h" } }), []);
+  const errors = validateClub({ name: "X", hours: { Daily: 24 }, classes: [{ name: "Yoga", day: "Funday", time: "9am" }] });
+  assert.ok(errors.some(e => /"address"/.test(e)));
+  assert.ok(errors.some(e => /"hours"/.test(e)));
+  assert.ok(errors.some(e => /"classes"/.test(e)));
+});
@@ -0,0 +1,48 @@
+// test/compliance.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const os = require("os");
+const fs = require("fs");
+const path = require("path");
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "compliance-test-"));
+process.env.CALLING_HOURS = "09:00-20:00";
+const { assertCallAllowed, recordConsent, calleeTimezone, isOptOutRequest, ComplianceError } = require("../backend/compliance");
+
+const AUSTIN = "+15125550123";
+const code = (fn) => {
+  try { fn(); return null; }
+  catch (e) { assert.ok(e instanceof ComplianceError, e); return e.code; }
+};
+
+test("calling hours: a caller-supplied timezone can narrow the window, never widen it", () => {
+  recordConsent({ phone: AUSTIN, source: "test" });
+  const threeAmAustin = new Date("2026-10-19T08:00:00Z"); // 03:00 Chicago, 17:00 Tokyo
+  assert.equal(code(() => assertCallAllowed({ phone: AUSTIN, now: threeAmAustin })), "OUTSIDE_CALLING_HOURS");
+  assert.equal(code(() => assertCallAllowed({ phone: AUSTIN, timezone: "Asia/Tokyo", now: threeAmAustin })), "OUTSIDE_CALLING_HOURS");
+
+  const noonAustin = new Date("2026-10-19T17:00:00Z"); // 12:00 Chicago, 02:00 Tokyo
+  assert.equal(code(() => assertCallAllowed({ phone: AUSTIN, now: noonAustin })), null);
+  assert.equal(code(() => assertCallAllowed({ phone: AUSTIN, timezone: "Asia/Tokyo", now: noonAustin })), "OUTSIDE_CALLING_HOURS");
+  assert.equal(code(() => assertCallAllowed({ phone: AUSTIN, timezone: "America/Chicago", now: noonAustin })), null);
+});
+
+test("calling hours: an unknown timezone is a 400, not a crash", () => {
+  let err;
+  try { assertCallAllowed({ phone: AUSTIN, timezone: "Not/AZone" }); } catch (e) { err = e; }
+  assert.equal(err?.code, "TIMEZONE_INVALID");
+  assert.equal(err.httpStatus, 400);
+  assert.equal(calleeTimezone(AUSTIN, "Not/AZone"), "America/Chicago");
+  assert.equal(calleeTimezone(AUSTIN, "Europe/Paris"), "Europe/Paris");
+});
+
+test("opt-out phrasing: explicit requests only", () => {
+  for (const text of [
+    "Stop calling me.", "Don't call me again", "Please never call me again!", "don’t ever call me", "Do not call this number anymore",
+    "please don't call me", "Never call me back.", "Put me on your do not call list", "Take me off your list",
+  ]) assert.equal(isOptOutRequest(text), true, text);
+  for (const text of [
+    "Don't call me before 5pm", "don't call me on my work line, use my cell", "Do not call me at the office",
+    "Don't forget to call me tomorrow", "I never got your call", "Call me back later",
+  ]) assert.equal(isOptOutRequest(text), false, text);
+});
@@ -0,0 +1,214 @@
+// test/e2e.test.js
+// Whole call against the local mocks: /api/start-call -> Twilio REST -> TwiML -> /media-stream
+// <-> Realtime -> transcript capture -> status callback -> outcome record.
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const os = require("os");
+const fs = require("fs");
+const net = require("net");
+const path = require("path");
+const { createMockTwilio } = require("./harness/mockTwilio");
+const { createMockRealtime } = require("./harness/mockRealtime");
+
+const freePort = () => new Promise((resolve) => {
+  const srv = net.createServer().listen(0, "127.0.0.1", () => {
+    const { port } = srv.address();
+    srv.close(() => resolve(port));
+  });
+});
+
+test("outbound call end to end", async (t) => {
+  const twilioMock = await createMockTwilio({ authToken: "test-token" });
+  const realtime = await createMockRealtime({
+    turns: [
+      { text: "Hi Alex, this is Alice with Crunch Fitness. Is now a good time?" },
+      { text: "Great! When would you like to come in for your free trial?" },
+      { text: "Thanks for calling Crunch Fitness, this is Alice. Hi Alex, how can I help?" },
+      { text: "Hola Alex, soy Alice, asistente virtual de Crunch Fitness. ¿Tiene un momento para hablar?" },
+      { tool: { name: "switch_language", arguments: { language: "en" } } },
+    ],
+  });
+  const port = await freePort();
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "e2e-"));
+
+  Object.assign(process.env, {
+    DATA_DIR: dataDir,
+    PORT: String(port),
+    PUBLIC_BASE_URL: `http://127.0.0.1:${port}`,
+    TWILIO_ACCOUNT_SID: "ACtest",
+    TWILIO_AUTH_TOKEN: "test-token",
+    TWILIO_NUMBER: "+15125550100",
+    TWILIO_API_URL: twilioMock.url,
+    OPENAI_REALTIME_URL: realtime.url,
+    OPENAI_API_KEY: "",           // keyword outcome extraction, no network
+    API_KEYS: "test-key",
+    DEMO_PASSCODE: "open-sesame",
+    CALLING_HOURS: "00:00-24:00",
+    OUTCOME_SINKS: "jsonl",
+    GOOGLE_SHEET_ID: "",
+    RECORDING: "on",
+  });
+  const server = require("../backend/server");
+  const { callEvents } = require("../backend/events");
+  await server.start({ port, host: "127.0.0.1" });
+  t.after(async () => {
+    await server.stop();
+    await twilioMock.close();
+    await realtime.close();
+  });
+
+  // Loading the demo page hands out nothing a script could replay to place calls
+  const page = await fetch(`http://127.0.0.1:${port}/`);
+  assert.equal(page.status, 200);
+  assert.equal(page.headers.get("set-cookie"), null);
+  const demoCall = (headers = {}) => fetch(`http://127.0.0.1:${port}/api/start-call`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify({ name: "Mallory", phone: "(512) 555-0199", consent: true }),
+  });
+  assert.equal((await demoCall()).status, 401);
+  const demoSession = (passcode) => fetch(`http://127.0.0.1:${port}/api/demo/session`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ passcode }),
+  });
+  assert.equal((await demoSession("guess")).status, 401);
+  assert.match((await demoSession("open-sesame")).headers.get("set-cookie"), /^cf_session=/);
+
+  const res = await fetch(`http://127.0.0.1:${port}/api/start-call`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "x-api-key": "test-key" },
+    body: JSON.stringify({ name: "Alex Johnson", phone: "(512) 555-0123", consent: true }),
+  });
+  assert.equal(res.status, 200);
+  const { sid } = await res.json();
+
+  const [call] = await Promise.all([twilioMock.nextCall(), realtime.connected()]);
+  assert.equal(call.sid, sid);
+  assert.equal(call.params.To, "+15125550123");
+  assert.match(call.twiml, /<Parameter name="name" value="Alex"\/>/);
+
+  // Agent greeting reaches the phone
+  await waitFor(() => call.stream.receivedAudio().length > 0);
+  await call.stream.playFile(path.join(__dirname, "fixtures", "caller-hello.wav"));
+  await waitFor(() => realtime.ofType("input_audio_buffer.append").length === 25); // 0.5s in 20ms frames
+
+  realtime.userSays("Yes, I have a minute.");
+  await waitFor(() => server.sessions.get(sid)?.turns.length >= 3);
+
+  const outcome = new Promise((resolve) => callEvents.once("outcome", resolve));
+  await twilioMock.hangUp(sid);
+  const record = await outcome;
+
+  assert.equal(record.callSid, sid);
+  assert.equal(record.phone, "+15125550123");
+  assert.equal(record.call.status, "completed");
+
+  // Delivered to the sinks, then dropped from the live store
+  await waitFor(() => !server.sessions.get(sid));
+  const saved = readRecord(dataDir, sid);
+  assert.deepEqual(saved.turns.map(t => [t.role, t.text]), [
+    ["agent", "Hi Alex, this is Alice with Crunch Fitness. Is now a good time?"],
+    ["user", "Yes, I have a minute."],
+    ["agent", "Great! When would you like to come in for your free trial?"],
+  ]);
+
+  // Stereo recording: caller left, agent right
+  assert.equal(saved.recording?.file, `${sid}.wav`);
+  const rec = await fetch(`http://127.0.0.1:${port}/api/calls/${sid}/recording`, { headers: { "x-api-key": "test-key" } });
+  assert.equal(rec.status, 200);
+  assert.equal(rec.headers.get("content-type"), "audio/wav");
+  const wav = Buffer.from(await rec.arrayBuffer());
+  assert.equal(wav.toString("ascii", 8, 12), "WAVE");
+  assert.equal(wav.readUInt16LE(22), 2);
+  assert.ok(wav.readUInt32LE(40) >= 500 * 8 * 4, "at least the caller's 0.5s");
+
+  // Call history + metrics
+  const admin = { headers: { "x-api-key": "test-key" } };
+  const detail = await (await fetch(`http://127.0.0.1:${port}/api/calls/${sid}`, admin)).json();
+  assert.equal(detail.turns.length, 3);
+  assert.ok(detail.turns.every(t => t.offsetMs >= 0));
+  assert.ok(detail.talk.agentMs > 0 && detail.talk.callerMs > 0);
+  const list = await (await fetch(`http://127.0.0.1:${port}/api/calls?phone=5125550123`, admin)).json();
+  assert.deepEqual(list.calls.map(c => c.callSid), [sid]);
+  const metrics = await (await fetch(`http://127.0.0.1:${port}/api/metrics`, admin)).json();
+  assert.equal(metrics.calls, 1);
+
+  // Transcript QA on the record, rolled up per persona version
+  assert.equal(detail.qa.scored, true);
+  assert.equal(detail.qa.disclosure.passed, false); // "Alice with Crunch Fitness", never says AI
+  assert.match(detail.personaVersion, /^[0-9a-f]{8}$/);
+  const qa = await (await fetch(`http://127.0.0.1:${port}/api/qa`, admin)).json();
+  assert.deepEqual(qa.personas.map(p => [p.persona, p.personaVersion, p.scored]), [["trial-pass", detail.personaVersion, 1]]);
+
+  // Per-call instrumentation on the record + Prometheus scrape
+  assert.ok(detail.metrics.responses >= 2);
+  assert.equal(detail.turns[2].latencyMs >= 0, true); // reply after the caller spoke
+  const prom = await (await fetch(`http://127.0.0.1:${port}/metrics`, { headers: { authorization: "Bearer test-key" } })).text();
+  assert.match(prom, /voice_agent_calls_total\{outcome="[a-z_]+"\} 1/);
+  assert.match(prom, /voice_agent_audio_seconds_total\{direction="outbound"\} [\d.]+/);
+
+  // Alex calls our number back: recognized by From, greeted by name, last call in the prompt
+  const inbound = await twilioMock.dialIn({
+    from: "+15125550123",
+    to: "+15125550100",
+    url: `http://127.0.0.1:${port}/incoming-call`,
+    statusCallback: `http://127.0.0.1:${port}/call-status`,
+  });
+  assert.match(inbound.twiml, /<Parameter name="name" value="Alex"\/>/);
+  assert.doesNotMatch(inbound.twiml, /<Say>/);
+  await waitFor(() => server.sessions.get(inbound.sid)?.turns.length >= 1);
+  const prompts = realtime.ofType("session.update").map(m => m.session.instructions).filter(Boolean);
+  assert.ok(prompts.some(p => /THEY CALLED US:/.test(p) && /Our records say this is Alex Johnson/.test(p) && /Our last call with them/.test(p)));
+  assert.ok(realtime.ofType("conversation.item.create").some(m => /caller just phoned us/.test(m.item.content?.[0]?.text)));
+
+  const inboundOutcome = new Promise((resolve) => callEvents.once("outcome", resolve));
+  await twilioMock.hangUp(inbound.sid);
+  const inboundRecord = await inboundOutcome;
+  assert.equal(inboundRecord.direction, "inbound");
+  assert.equal(inboundRecord.persona, "inbound");
+  const leads = await (await fetch(`http://127.0.0.1:${port}/api/inbound/leads`, admin)).json();
+  assert.deepEqual(leads.leads.map(l => [l.phone, l.name]), [["+15125550123", "Alex Johnson"]]);
+
+  // Preferred language: Spanish <Say>, voice and transcription hint; the switch back to English is recorded
+  const startCall = (body) => fetch(`http://127.0.0.1:${port}/api/start-call`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", "x-api-key": "test-key" },
+    body: JSON.stringify({ name: "Alex Johnson", phone: "(512) 555-0123", consent: true, ...body }),
+  });
+  const unknownLanguage = await startCall({ preferredLanguage: "Klingon" });
+  assert.equal(unknownLanguage.status, 400);
+  assert.equal((await unknownLanguage.json()).code, "LANGUAGE_UNKNOWN");
+
+  const spanish = await startCall({ preferredLanguage: "es" });
+  assert.equal(spanish.status, 200);
+  const esCall = await twilioMock.nextCall();
+  assert.match(esCall.twiml, /<Say voice="Polly.Lupe" language="es-US">Por favor, espere/);
+  assert.match(esCall.twiml, /<Parameter name="language" value="es"\/>/);
+  await waitFor(() => server.sessions.get(esCall.sid)?.turns.length >= 1);
+  const esUpdates = realtime.ofType("session.update").map(m => m.session);
+  assert.ok(esUpdates.some(u => u.voice === "coral" && /LANGUAGE: SPANISH/.test(u.instructions)));
+  assert.ok(esUpdates.some(u => u.input_audio_transcription?.language === "es"));
+  realtime.userSays("Sorry, can we do this in English?");
+  await waitFor(() => server.sessions.get(esCall.sid)?.language === "en");
+
+  const esOutcome = new Promise((resolve) => callEvents.once("outcome", resolve));
+  await twilioMock.hangUp(esCall.sid);
+  const esRecord = await esOutcome;
+  assert.equal(esRecord.preferredLanguage, "es");
+  assert.equal(esRecord.language, "en");
+  assert.deepEqual(esRecord.languageSwitches.map(s => [s.from, s.to]), [["es", "en"]]);
+});
+
+async function waitFor(fn, timeoutMs = 3000) {
+  const until = Date.now() + timeoutMs;
+  while (!fn()) {
+    if (Date.now() > until) throw new Error("timed out waiting for condition");
+    await new Promise(r => setTimeout(r, 10));
+  }
+}
+
+function readRecord(dataDir, callSid) {
+  const lines = fs.readFileSync(path.join(dataDir, "calls.jsonl"), "utf8").trim().split("\n").map(l => JSON.parse(l));
+  return lines.find(r => r.callSid === callSid);
+}
@@ -0,0 +1,124 @@
+// test/harness/mockRealtime.js
+// Scripted stand-in for the OpenAI Realtime WebSocket (point the app at it with OPENAI_REALTIME_URL).
+// Each response.create plays the next scripted agent turn: audio deltas + transcript, or a tool call.
+// userSays() plays the caller side: VAD events, transcription, and (server VAD) an automatic reply.
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+const WebSocket = require("ws");
+
+const id = (prefix) => `${prefix}_${crypto.randomBytes(6).toString("hex")}`;
+
+// 1 kHz-ish μ-law buzz, enough bytes to look like speech on the wire
+const defaultAudio = (ms) => Buffer.from(Array.from({ length: ms * 8 }, (_, i) => (i % 8 < 4 ? 0x20 : 0xa0)));
+
+/**
+ * @param {object}   [opts]
+ * @param {Array}    [opts.turns]  agent turns, in order: { text, audioMs } or { tool: { name, arguments } }
+ * @param {number}   [opts.port]
+ */
+async function createMockRealtime({ turns = [], port = 0 } = {}) {
+  const emitter = new EventEmitter();
+  const script = [...turns];
+  const received = [];
+  const sockets = new Set();
+  let session = {};
+
+  const wss = new WebSocket.Server({ port, host: "127.0.0.1" });
+  await new Promise((resolve) => wss.once("listening", resolve));
+
+  function send(ws, evt) {
+    if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify({ event_id: id("event"), ...evt }));
+  }
+
+  function respond(ws) {
+    const responseId = id("resp");
+    const turn = script.shift() || { text: "Okay." };
+    send(ws, { type: "response.created", response: { id: responseId, status: "in_progress" } });
+
+    if (turn.tool) {
+      send(ws, {
+        type: "response.function_call_arguments.done",
+        response_id: responseId, item_id: id("item"), call_id: id("call"),
+        name: turn.tool.name, arguments: JSON.stringify(turn.tool.arguments || {}),
+      });
+    } else {
+      const itemId = id("item");
+      const audio = turn.audio || defaultAudio(turn.audioMs || 400);
+      for (let i = 0; i < audio.length; i += 800) {
+        send(ws, { type: "response.audio.delta", response_id: responseId, item_id: itemId, content_index: 0, delta: audio.subarray(i, i + 800).toString("base64") });
+      }
+      for (const word of turn.text.split(/(?<= )/)) {
+        send(ws, { type: "response.audio_transcript.delta", response_id: responseId, item_id: itemId, content_index: 0, delta: word });
+      }
+      send(ws, { type: "response.audio.done", response_id: responseId, item_id: itemId });
+      send(ws, { type: "response.audio_transcript.done", response_id: responseId, item_id: itemId, content_index: 0, transcript: turn.text });
+    }
+    send(ws, { type: "response.done", response: { id: responseId, status: "completed" } });
+    emitter.emit("response", turn);
+  }
+
+  wss.on("connection", (ws, req) => {
+    sockets.add(ws);
+    emitter.emit("connection", ws, req);
+    send(ws, { type: "session.created", session: { id: id("sess") } });
+
+    ws.on("message", (raw) => {
+      const msg = JSON.parse(raw);
+      received.push(msg);
+      emitter.emit("message", msg);
+      switch (msg.type) {
+        case "session.update":
+          session = { ...session, ...msg.session };
+          send(ws, { type: "session.updated", session });
+          break;
+        case "conversation.item.create": {
+          const item = { id: msg.item.id || id("item"), ...msg.item };
+          send(ws, { type: "conversation.item.created", item });
+          break;
+        }
+        case "response.create":
+          setImmediate(() => respond(ws));
+          break;
+        case "conversation.item.truncate":
+          send(ws, { type: "conversation.item.truncated", item_id: msg.item_id, content_index: msg.content_index, audio_end_ms: msg.audio_end_ms });
+          break;
+        case "input_audio_buffer.commit":
+          send(ws, { type: "input_audio_buffer.committed", item_id: id("item") });
+          break;
+      }
+    });
+    ws.on("close", () => sockets.delete(ws));
+  });
+
+  return {
+    url: `ws://127.0.0.1:${wss.address().port}`,
+    received,
+    on: emitter.on.bind(emitter),
+    once: emitter.once.bind(emitter),
+    /** Messages the app sent, filtered by type. */
+    ofType: (type) => received.filter(m => m.type === type),
+    /** Resolves once the app has connected and sent its session.update. */
+    connected: () => new Promise((resolve) => {
+      const check = (msg) => { if (msg.type === "session.update") { emitter.off("message", check); resolve(); } };
+      emitter.on("message", check);
+    }),
+    /** Caller speech as the server would report it; replies automatically under server VAD. */
+    userSays(text) {
+      const itemId = id("item");
+      for (const ws of sockets) {
+        send(ws, { type: "input_audio_buffer.speech_started", audio_start_ms: 0, item_id: itemId });
+        send(ws, { type: "input_audio_buffer.speech_stopped", audio_end_ms: 800, item_id: itemId });
+        send(ws, { type: "input_audio_buffer.committed", item_id: itemId });
+        send(ws, { type: "conversation.item.input_audio_transcription.delta", item_id: itemId, content_index: 0, delta: text });
+        send(ws, { type: "conversation.item.input_audio_transcription.completed", item_id: itemId, content_index: 0, transcript: text });
+        if (session.turn_detection?.type === "server_vad") respond(ws);
+      }
+    },
+    close: () => new Promise((resolve) => {
+      for (const ws of sockets) ws.terminate();
+      wss.close(resolve);
+    }),
+  };
+}
+
+module.exports = { createMockRealtime };
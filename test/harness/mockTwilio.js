@@ -0,0 +1,262 @@
+// test/harness/mockTwilio.js
+// Stand-in for Twilio: a REST server for calls.create / calls(sid).update / messages.create (point
+// the app at it with TWILIO_API_URL) that "places" each call the way Twilio does — signed status
+// callbacks, TwiML fetch, then a Media Streams client connected to the <Stream> url.
+const http = require("http");
+const fs = require("fs");
+const crypto = require("crypto");
+const { EventEmitter } = require("events");
+const WebSocket = require("ws");
+const twilio = require("twilio");
+
+const FRAME_BYTES = 160; // 20ms of 8 kHz μ-law
+const FRAME_MS = 20;
+
+/** Raw μ-law bytes from a .ulaw/.raw file or a μ-law WAV (the "data" chunk). */
+function readMulawFile(file) {
+  const buf = fs.readFileSync(file);
+  if (buf.toString("ascii", 0, 4) !== "RIFF") return buf;
+  for (let off = 12; off + 8 <= buf.length;) {
+    const id = buf.toString("ascii", off, off + 4);
+    const size = buf.readUInt32LE(off + 4);
+    if (id === "data") return buf.subarray(off + 8, off + 8 + size);
+    off += 8 + size + (size % 2);
+  }
+  throw new Error(`${file}: no data chunk`);
+}
+
+/**
+ * Twilio's side of one Media Stream: sends connected/start/media/mark/stop into the app's
+ * /media-stream and collects what the app plays back.
+ */
+class MediaStreamClient extends EventEmitter {
+  constructor(url, { callSid, accountSid = "ACtest", customParameters = {} } = {}) {
+    super();
+    this.callSid = callSid;
+    this.streamSid = "MZ" + crypto.randomBytes(16).toString("hex");
+    this.timestamp = 0;      // ms of caller audio sent so far (Twilio's media.timestamp)
+    this.chunk = 0;
+    this.received = [];      // outbound μ-law chunks (Buffers) the app sent to the caller
+    this.events = [];        // every non-media message from the app
+    this.ws = new WebSocket(url);
+    this.ready = new Promise((resolve, reject) => {
+      this.ws.once("open", () => {
+        this.send({ event: "connected", protocol: "Call", version: "1.0.0" });
+        this.send({
+          event: "start",
+          sequenceNumber: "1",
+          start: {
+            streamSid: this.streamSid, accountSid, callSid,
+            tracks: ["inbound"], customParameters,
+            mediaFormat: { encoding: "audio/x-mulaw", sampleRate: 8000, channels: 1 },
+          },
+          streamSid: this.streamSid,
+        });
+        resolve(this);
+      });
+      this.ws.once("error", reject);
+    });
+    this.closed = new Promise((resolve) => this.ws.once("close", (code, reason) => resolve({ code, reason: String(reason) })));
+
+    this.ws.on("message", (raw) => {
+      const msg = JSON.parse(raw);
+      if (msg.event === "media") {
+        this.received.push(Buffer.from(msg.media.payload, "base64"));
+      } else {
+        this.events.push(msg);
+        // Real Twilio echoes a mark once the audio before it has played; we "play" instantly
+        if (msg.event === "mark") this.send({ event: "mark", streamSid: this.streamSid, mark: msg.mark });
+        if (msg.event === "clear") this.emit("clear");
+      }
+      this.emit(msg.event, msg);
+    });
+  }
+
+  send(msg) {
+    if (this.ws.readyState === WebSocket.OPEN) this.ws.send(JSON.stringify(msg));
+  }
+
+  /** Stream caller audio as 20ms media frames; realtime: true paces them like a phone line. */
+  async play(ulaw, { realtime = false } = {}) {
+    await this.ready;
+    for (let i = 0; i < ulaw.length; i += FRAME_BYTES) {
+      const payload = ulaw.subarray(i, i + FRAME_BYTES).toString("base64");
+      this.send({
+        event: "media",
+        streamSid: this.streamSid,
+        media: { track: "inbound", chunk: String(++this.chunk), timestamp: String(this.timestamp), payload },
+      });
+      this.timestamp += FRAME_MS;
+      if (realtime) await new Promise(r => setTimeout(r, FRAME_MS));
+    }
+  }
+
+  playFile(file, opts) {
+    return this.play(readMulawFile(file), opts);
+  }
+
+  /** Bytes of agent audio received so far. */
+  receivedAudio() {
+    return Buffer.concat(this.received);
+  }
+
+  stop() {
+    this.send({ event: "stop", streamSid: this.streamSid, stop: { callSid: this.callSid } });
+    this.ws.close(1000);
+    return this.closed;
+  }
+}
+
+/**
+ * Fake Twilio REST API + call simulator.
+ *   const tw = await createMockTwilio({ authToken });  // tw.url -> TWILIO_API_URL
+ *   const call = await tw.nextCall();                  // placed by the app, stream connected
+ *   await call.stream.playFile("caller.ulaw");
+ *   await tw.hangUp(call.sid);                         // stop + "completed" status callback
+ *   const inbound = await tw.dialIn({ from, to, url }); // a lead calling our number
+ */
+async function createMockTwilio({ authToken = "test-token", accountSid = "ACtest", port = 0 } = {}) {
+  const emitter = new EventEmitter();
+  const calls = new Map();
+  const messages = [];
+
+  const signedPost = async (url, params) => {
+    const body = new URLSearchParams(params);
+    const res = await fetch(url, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/x-www-form-urlencoded",
+        "X-Twilio-Signature": twilio.getExpectedTwilioSignature(authToken, url, params),
+      },
+      body,
+    });
+    return { status: res.status, text: await res.text() };
+  };
+
+  const statusCallback = async (call, status, extra = {}) => {
+    call.status = status;
+    if (!call.params.StatusCallback) return;
+    const events = [].concat(call.params.StatusCallbackEvent || []);
+    if (status !== "completed" && events.length && !events.includes(status === "in-progress" ? "answered" : status)) return;
+    await signedPost(call.params.StatusCallback, {
+      CallSid: call.sid, AccountSid: accountSid, CallStatus: status, To: call.params.To, From: call.params.From,
+      Direction: call.direction || "outbound-api", Timestamp: new Date().toUTCString(), ...extra,
+    });
+  };
+
+  async function placeCall(call) {
+    await statusCallback(call, "initiated");
+    await statusCallback(call, "ringing");
+    await statusCallback(call, "in-progress");
+    call.answeredAt = Date.now();
+    await connectStream(call, "outbound-api");
+  }
+
+  /** Fetch the call's TwiML and open the Media Stream it points at. */
+  async function connectStream(call, direction) {
+    const twiml = await signedPost(call.params.Url, {
+      CallSid: call.sid, AccountSid: accountSid, CallStatus: "in-progress", To: call.params.To, From: call.params.From,
+      Direction: direction,
+    });
+    call.twiml = twiml.text;
+    const streamUrl = /<Stream url="([^"]+)"/.exec(twiml.text)?.[1]?.replace(/&amp;/g, "&");
+    if (!streamUrl) throw new Error(`no <Stream> in TwiML: ${twiml.text}`);
+    const customParameters = {};
+    for (const [, name, value] of twiml.text.matchAll(/<Parameter name="([^"]+)" value="([^"]*)"/g)) customParameters[name] = value;
+
+    call.stream = new MediaStreamClient(streamUrl, { callSid: call.sid, accountSid, customParameters });
+    await call.stream.ready;
+    emitter.emit("call", call);
+  }
+
+  /** A phone calling our number: Twilio asks the number's voice webhook (url) for TwiML. */
+  async function dialIn({ from, to, url, statusCallback = null }) {
+    const sid = "CA" + crypto.randomBytes(16).toString("hex");
+    const params = { From: from, To: to, Url: url, ...(statusCallback ? { StatusCallback: statusCallback } : {}) };
+    const call = { sid, params, direction: "inbound", status: "in-progress", updates: [], answeredAt: Date.now() };
+    calls.set(sid, call);
+    await connectStream(call, "inbound");
+    return call;
+  }
+
+  async function hangUp(callSid) {
+    const call = calls.get(callSid);
+    if (!call || call.status === "completed") return;
+    if (call.stream) await call.stream.stop();
+    const duration = Math.round((Date.now() - (call.answeredAt || Date.now())) / 1000);
+    await statusCallback(call, "completed", { CallDuration: String(duration) });
+  }
+
+  const readBody = (req) => new Promise((resolve) => {
+    let data = "";
+    req.on("data", (c) => (data += c));
+    req.on("end", () => {
+      const params = {};
+      for (const [k, v] of new URLSearchParams(data)) params[k] = k in params ? [].concat(params[k], v) : v;
+      resolve(params);
+    });
+  });
+
+  const server = http.createServer(async (req, res) => {
+    const send = (code, body) => { res.writeHead(code, { "Content-Type": "application/json" }); res.end(JSON.stringify(body)); };
+    const params = await readBody(req);
+    const path = new URL(req.url, "http://localhost").pathname;
+
+    // calls.create
+    if (req.method === "POST" && /^\/2010-04-01\/Accounts\/[^/]+\/Calls\.json$/.test(path)) {
+      const sid = "CA" + crypto.randomBytes(16).toString("hex");
+      const call = { sid, params, status: "queued", updates: [] };
+      calls.set(sid, call);
+      send(201, { sid, account_sid: accountSid, to: params.To, from: params.From, status: "queued", direction: "outbound-api" });
+      setImmediate(() => placeCall(call).catch((e) => emitter.emit("error", e)));
+      return;
+    }
+
+    // messages.create: recorded, never delivered
+    if (req.method === "POST" && /^\/2010-04-01\/Accounts\/[^/]+\/Messages\.json$/.test(path)) {
+      const sid = "SM" + crypto.randomBytes(16).toString("hex");
+      messages.push({ sid, params });
+      send(201, { sid, account_sid: accountSid, to: params.To, from: params.From, body: params.Body, status: "queued" });
+      emitter.emit("message", messages.at(-1));
+      return;
+    }
+
+    // calls(sid).update: Status=completed hangs up; Twiml replaces the running TwiML
+    const update = /^\/2010-04-01\/Accounts\/[^/]+\/Calls\/([^/.]+)\.json$/.exec(path);
+    if (req.method === "POST" && update) {
+      const call = calls.get(update[1]);
+      if (!call) return send(404, { code: 20404, message: "The requested resource was not found", status: 404 });
+      call.updates.push(params);
+      send(200, { sid: call.sid, account_sid: accountSid, status: call.status });
+      emitter.emit("update", call, params);
+      if (params.Status === "completed") setImmediate(() => hangUp(call.sid));
+      else if (params.Twiml && call.stream) setImmediate(() => call.stream.stop()); // new TwiML ends <Connect><Stream>
+      return;
+    }
+
+    send(404, { code: 20404, message: `mock: no route for ${req.method} ${path}`, status: 404 });
+  });
+
+  await new Promise((resolve) => server.listen(port, "127.0.0.1", resolve));
+  const url = `http://127.0.0.1:${server.address().port}`;
+
+  return {
+    url,
+    calls,
+    messages,
+    on: emitter.on.bind(emitter),
+    /** Resolves with the next call once its media stream is connected. */
+    nextCall: () => new Promise((resolve, reject) => {
+      emitter.once("call", resolve);
+      emitter.once("error", reject);
+    }),
+    hangUp,
+    dialIn,
+    close: () => new Promise((resolve) => {
+      for (const call of calls.values()) call.stream?.ws.terminate();
+      server.close(resolve);
+    }),
+  };
+}
+
+module.exports = { createMockTwilio, MediaStreamClient, readMulawFile };
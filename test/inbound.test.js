@@ -0,0 +1,52 @@
+// test/inbound.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const os = require("os");
+const fs = require("fs");
+const path = require("path");
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "inbound-test-"));
+const { identifyCaller, captureLead, updateLeadFromOutcome } = require("../backend/inbound");
+const { saveCall } = require("../backend/callHistory");
+const { loadPersonas, personaVariables, buildSystemPrompt } = require("../backend/personas");
+
+const persona = loadPersonas().get("inbound");
+const promptFor = (caller) => buildSystemPrompt(persona, personaVariables(persona, { firstName: caller.name?.split(" ")[0] }), { caller });
+
+test("an unknown number gets a generic greeting and becomes a lead named from the call", () => {
+  const caller = identifyCaller("(512) 555-0177");
+  assert.equal(caller.phone, "+15125550177");
+  assert.equal(caller.known, false);
+  assert.match(promptFor(caller), /We don't recognize this number\. Early on, ask for their first name/);
+
+  const lead = captureLead(caller.phone, { callSid: "CA1" });
+  assert.equal(identifyCaller("+15125550177").leadId, lead.id);
+  updateLeadFromOutcome({ direction: "inbound", leadId: lead.id, firstName: "Sam", outcome: "booked" });
+  const again = identifyCaller("+15125550177");
+  assert.equal(again.name, "Sam");
+  assert.equal(again.known, true);
+
+  assert.equal(identifyCaller("anonymous").phone, null);
+});
+
+test("a campaign lead returning a missed call is greeted by name with the last call's context", async () => {
+  await saveCall({
+    callSid: "CA2", name: "Jordan Lee", phone: "+15125550188", direction: "outbound", outcome: "no_answer",
+    startedAt: "2026-10-19T15:00:00.000Z", campaignId: "cmp_1", clubId: "austin-downtown", turns: [],
+  });
+  const campaign = { id: "cmp_1", settings: { club: null, variables: { offer: "first month back free" } } };
+  const lead = { id: "lead_1", name: "Jordan Lee", phone: "+15125550188", fields: { club: "austin-downtown" } };
+  const caller = identifyCaller("5125550188", { findLead: (phone) => (phone === lead.phone ? { campaign, lead } : null) });
+
+  assert.equal(caller.leadId, "lead_1");
+  assert.equal(caller.campaignId, "cmp_1");
+  assert.equal(caller.clubId, "austin-downtown");
+  assert.deepEqual(caller.variables, { offer: "first month back free", club: "austin-downtown" });
+  assert.equal(caller.lastCall.outcome, "no_answer");
+  assert.match(caller.lastCall.when, /Monday, Oct 19/);
+
+  const prompt = promptFor(caller);
+  assert.match(prompt, /Our records say this is Jordan Lee\. Use their first name \(“Jordan”\)/);
+  assert.match(prompt, /we called them\): we called and they didn't pick up\./);
+  assert.match(prompt, /most likely returning our call/);
+});
@@ -0,0 +1,69 @@
+// test/languages.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const os = require("os");
+const fs = require("fs");
+const path = require("path");
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "languages-test-"));
+const { resolveLanguage, languageName, connectMessage, openingLine, languageVoice } = require("../backend/languages");
+const { runTool } = require("../backend/tools");
+const { loadPersonas, personaVariables, buildSystemPrompt, buildVoicemailPrompt } = require("../backend/personas");
+
+const persona = loadPersonas().get("trial-pass");
+const vars = personaVariables(persona, { firstName: "Maria" });
+
+test("resolves codes, locales and names, and refuses languages we don't have", () => {
+  assert.equal(resolveLanguage("es"), "es");
+  assert.equal(resolveLanguage("es-MX"), "es");
+  assert.equal(resolveLanguage("Spanish"), "es");
+  assert.equal(resolveLanguage(" español "), "es");
+  assert.equal(resolveLanguage("Mandarin Chinese"), "zh");
+  assert.equal(resolveLanguage("中文"), "zh");
+  assert.equal(resolveLanguage("de"), null);
+  assert.equal(resolveLanguage("esperanto"), null);
+  assert.equal(resolveLanguage(""), null);
+  assert.equal(languageName("de"), "German");
+});
+
+test("localizes the connect message, the opening line and the voice", () => {
+  assert.deepEqual(connectMessage(null, vars), { text: "Please wait while I connect you to a Crunch Fitness expert.", language: null, voice: null });
+  const es = connectMessage("es", vars);
+  assert.equal(es.language, "es-US");
+  assert.match(es.text, /experto de Crunch Fitness/);
+  assert.equal(openingLine("en", vars), null);
+  assert.match(openingLine("es", vars), /^Hola Maria, soy Alice/);
+  assert.equal(languageVoice("en"), null);
+  assert.equal(languageVoice("fr"), "shimmer");
+});
+
+test("LANGUAGES_FILE overrides a language's lines", (t) => {
+  const file = path.join(process.env.DATA_DIR, "languages.json");
+  fs.writeFileSync(file, JSON.stringify({ es: { voice: "verse" }, it: { name: "Italian", native: "Italiano", connect: "Attenda, prego." } }));
+  process.env.LANGUAGES_FILE = file;
+  t.after(() => { delete process.env.LANGUAGES_FILE; });
+  assert.equal(languageVoice("es"), "verse");
+  assert.equal(connectMessage("es", vars).language, "es-US");
+  assert.equal(resolveLanguage("Italiano"), "it");
+  assert.equal(connectMessage("it", vars).text, "Attenda, prego.");
+});
+
+test("the prompt opens in the preferred language; callbacks keep their own opening", () => {
+  const prompt = buildSystemPrompt(persona, vars, { language: "es" });
+  assert.match(prompt, /LANGUAGE: SPANISH\n- They prefer Spanish\. Speak Spanish from your first word/);
+  assert.match(prompt, /Open with “Hola Maria, soy Alice/);
+  assert.doesNotMatch(buildSystemPrompt(persona, vars, { language: "es", callback: { window: "after 5" } }), /Open with “Hola/);
+  assert.doesNotMatch(buildSystemPrompt(persona, vars), /LANGUAGE:/);
+  assert.match(buildSystemPrompt(persona, vars), /call \*\*switch_language\*\*/);
+  assert.match(buildVoicemailPrompt(persona, vars, { language: "pt" }), /Speak Portuguese\./);
+});
+
+test("switch_language records each switch on the session", async () => {
+  const session = { language: "es" };
+  assert.deepEqual(await runTool("switch_language", { language: "English" }, { session }), { ok: true, language: "English" });
+  assert.deepEqual(await runTool("switch_language", { language: "en" }, { session }), { ok: true, language: "English", unchanged: true });
+  assert.deepEqual(await runTool("switch_language", { language: "de" }, { session }), { ok: true, language: "German" });
+  assert.deepEqual(await runTool("switch_language", { language: "klingon" }, { session }), { ok: false, error: "unknown_language" });
+  assert.equal(session.language, "de");
+  assert.deepEqual(session.languageSwitches.map(s => [s.from, s.to]), [["es", "en"], ["en", "de"]]);
+});
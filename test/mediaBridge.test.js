@@ -0,0 +1,326 @@
+// test/mediaBridge.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const os = require("os");
+const fs = require("fs");
+const path = require("path");
+const { EventEmitter } = require("events");
+const WebSocket = require("ws");
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "bridge-test-"));
+const { MediaBridge, VOICEMAIL_ITEM_ID, BOOTSTRAP_ITEM_ID } = require("../backend/mediaBridge");
+const { recordAnsweredBy } = require("../backend/callLifecycle");
+const { MemorySessionStore } = require("../backend/sessionStore");
+const { callEvents } = require("../backend/events");
+
+// In-process stand-in for a ws socket: records what the bridge sends
+class FakeSocket extends EventEmitter {
+  constructor(readyState = WebSocket.OPEN) {
+    super();
+    this.readyState = readyState;
+    this.sent = [];
+  }
+  send(data) { this.sent.push(JSON.parse(data)); }
+  open() { this.readyState = WebSocket.OPEN; this.emit("open"); }
+  close() {
+    if (this.readyState === WebSocket.CLOSED) return;
+    this.readyState = WebSocket.CLOSED;
+    this.emit("close");
+  }
+  receive(msg) { this.emit("message", Buffer.from(JSON.stringify(msg))); }
+  ofType(type) { return this.sent.filter(m => (m.type || m.event) === type); }
+}
+
+const tick = (ms = 5) => new Promise(r => setTimeout(r, ms));
+
+function setup(opts = {}) {
+  const twilio = new FakeSocket();
+  const realtime = new FakeSocket(WebSocket.CONNECTING);
+  const sessions = new MemorySessionStore();
+  const bridge = new MediaBridge(twilio, {
+    sessions,
+    connectRealtime: () => realtime,
+    configureDelayMs: 0,
+    instructions: (name) => `prompt for ${name || "there"}`,
+    voicemailInstructions: () => "voicemail prompt",
+    ...opts,
+  });
+  const states = [];
+  bridge.on("state", (s) => states.push(s));
+  return { twilio, realtime, sessions, bridge, states };
+}
+
+async function connect(ctx, start = {}) {
+  ctx.realtime.open();
+  await tick();
+  ctx.twilio.receive({ event: "start", start: { streamSid: "MZ1", callSid: "CA1", ...start } });
+  ctx.realtime.receive({ type: "session.updated" });
+}
+
+test("walks connecting -> configured -> speaking -> listening -> closing", async () => {
+  const ctx = setup();
+  assert.equal(ctx.bridge.state, "connecting");
+  const ended = new Promise(r => ctx.bridge.once("end", r));
+
+  await connect(ctx);
+  ctx.realtime.receive({ type: "response.created", response: { id: "r1" } });
+  ctx.realtime.receive({ type: "response.done", response: { id: "r1" } });
+  ctx.twilio.receive({ event: "stop" });
+
+  assert.deepEqual(ctx.states, ["configured", "speaking", "listening", "closing"]);
+  const { callSid, session } = await ended;
+  assert.equal(callSid, "CA1");
+  assert.equal(session.status, "ended");
+  assert.equal(ctx.realtime.readyState, WebSocket.CLOSED);
+});
+
+test("a closed bridge stops listening for AMD results", () => {
+  const before = callEvents.listenerCount("amd");
+  const ctx = setup();
+  assert.equal(callEvents.listenerCount("amd"), before + 1);
+  ctx.twilio.close();
+  assert.equal(callEvents.listenerCount("amd"), before);
+});
+
+test("configures server VAD by default and no turn detection in manual mode", async () => {
+  const vad = setup();
+  await connect(vad);
+  assert.deepEqual(vad.realtime.ofType("session.update")[0].session.turn_detection, { type: "server_vad" });
+  assert.equal(vad.realtime.ofType("response.create").length, 1); // agent speaks first
+
+  const manual = setup({ turnDetection: "manual" });
+  await connect(manual);
+  assert.equal(manual.realtime.ofType("session.update")[0].session.turn_detection, null);
+
+  assert.throws(() => setup({ turnDetection: "push_to_talk" }), /turnDetection/);
+});
+
+test("forwards response.audio.delta to Twilio once, with a playback mark", async () => {
+  const ctx = setup();
+  await connect(ctx);
+  ctx.realtime.receive({ type: "response.audio.delta", item_id: "it1", delta: "AAAA" });
+
+  assert.deepEqual(ctx.twilio.ofType("media"), [{ event: "media", streamSid: "MZ1", media: { payload: "AAAA" } }]);
+  assert.deepEqual(ctx.twilio.ofType("mark").map(m => m.mark.name), ["audio"]);
+});
+
+test("barge-in clears Twilio and truncates the item at the played position", async () => {
+  const ctx = setup();
+  await connect(ctx);
+  const halfSecond = Buffer.alloc(4000, 0xff).toString("base64"); // 8kHz μ-law
+  ctx.twilio.receive({ event: "media", media: { timestamp: "1000", payload: "" } });
+  ctx.realtime.receive({ type: "response.audio.delta", item_id: "it1", delta: halfSecond });
+  ctx.realtime.receive({ type: "response.audio.delta", item_id: "it1", delta: halfSecond });
+  ctx.twilio.receive({ event: "mark", mark: { name: "audio" } });
+  ctx.twilio.receive({ event: "media", media: { timestamp: "1640", payload: "" } });
+  ctx.realtime.receive({ type: "input_audio_buffer.speech_started" });
+
+  assert.deepEqual(ctx.realtime.ofType("conversation.item.truncate"), [
+    { type: "conversation.item.truncate", item_id: "it1", content_index: 0, audio_end_ms: 640 },
+  ]);
+  assert.equal(ctx.twilio.ofType("clear").length, 1);
+
+  ctx.realtime.receive({ type: "response.audio_transcript.done", item_id: "it1", transcript: "Hi, this is Alice from" });
+  assert.equal(ctx.sessions.get("CA1").turns.at(-1).interrupted, true);
+});
+
+test("barge-in never truncates past the audio forwarded for the item", async () => {
+  const ctx = setup();
+  await connect(ctx);
+  ctx.twilio.receive({ event: "media", media: { timestamp: "1000", payload: "" } });
+  ctx.realtime.receive({ type: "response.audio.delta", item_id: "it1", delta: Buffer.alloc(2400, 0xff).toString("base64") }); // 300ms
+  ctx.twilio.receive({ event: "media", media: { timestamp: "3000", payload: "" } }); // caller clock runs on past it
+  ctx.realtime.receive({ type: "input_audio_buffer.speech_started" });
+
+  assert.equal(ctx.realtime.ofType("conversation.item.truncate")[0].audio_end_ms, 300);
+});
+
+test("manual mode batches appends and commits after speech then silence", async () => {
+  const ctx = setup({ turnDetection: "manual", silenceMs: 200 });
+  await connect(ctx);
+  const frame = (byte) => ({ event: "media", media: { payload: Buffer.alloc(160, byte).toString("base64") } });
+
+  for (let i = 0; i < 10; i++) ctx.twilio.receive(frame(0x10)); // loud: 200ms
+  for (let i = 0; i < 10; i++) ctx.twilio.receive(frame(0xff)); // μ-law silence: 200ms
+
+  const appends = ctx.realtime.ofType("input_audio_buffer.append");
+  assert.equal(appends.length, 4);
+  assert.equal(Buffer.from(appends[0].audio, "base64").length, 800); // 100ms batches
+  assert.equal(ctx.realtime.ofType("input_audio_buffer.commit").length, 1);
+  assert.equal(ctx.realtime.ofType("response.create").length, 2); // kickoff + reply to the caller
+});
+
+test("runs tool calls and asks for a follow-up response", async () => {
+  const ctx = setup();
+  await connect(ctx);
+  ctx.realtime.receive({ type: "response.function_call_arguments.done", name: "no_such_tool", call_id: "c1", arguments: "{}" });
+  await tick();
+
+  const [output] = ctx.realtime.ofType("conversation.item.create").filter(m => m.item.type === "function_call_output");
+  assert.equal(output.item.call_id, "c1");
+  assert.deepEqual(JSON.parse(output.item.output), { ok: false, error: "unknown_tool: no_such_tool" });
+  assert.equal(ctx.realtime.ofType("response.create").length, 2);
+});
+
+test("records caller and agent turns but not the kickoff prompt", async () => {
+  const ctx = setup();
+  await connect(ctx);
+  ctx.realtime.receive({ type: "conversation.item.created", item: { id: "item_bootstrap", role: "user", content: [{ type: "input_text", text: "Begin" }] } });
+  ctx.realtime.receive({ type: "conversation.item.input_audio_transcription.completed", transcript: "Sure, I have a minute." });
+  ctx.realtime.receive({ type: "response.audio_transcript.done", item_id: "it2", transcript: "Great!" });
+
+  assert.deepEqual(ctx.sessions.get("CA1").turns.map(t => [t.role, t.text]), [
+    ["user", "Sure, I have a minute."],
+    ["agent", "Great!"],
+  ]);
+});
+
+test("refuses a stream whose token was issued for another call", async () => {
+  const ctx = setup({ streamClaims: { callSid: "CA_OTHER" } });
+  const ended = new Promise(r => ctx.bridge.once("end", r));
+  await connect(ctx);
+
+  assert.equal((await ended).callSid, null);
+  assert.equal(ctx.bridge.state, "closing");
+  assert.equal(ctx.sessions.get("CA1"), null);
+});
+
+test("measures reply latency, audio and token usage into the session's metrics", async () => {
+  const ctx = setup({ model: "gpt-4o-realtime-preview-2025-06-03" });
+  const ended = new Promise(r => ctx.bridge.once("end", r));
+  await connect(ctx);
+  ctx.twilio.receive({ event: "media", media: { timestamp: "20", payload: Buffer.alloc(160, 0x7f).toString("base64") } });
+  ctx.realtime.receive({ type: "input_audio_buffer.speech_stopped" });
+  await tick(30);
+  ctx.realtime.receive({ type: "response.audio.delta", item_id: "it1", delta: Buffer.alloc(800, 0x7f).toString("base64") });
+  ctx.realtime.receive({ type: "response.audio_transcript.done", item_id: "it1", transcript: "Sure thing." });
+  ctx.realtime.receive({
+    type: "response.done",
+    response: {
+      id: "r1",
+      status: "completed",
+      usage: {
+        input_token_details: { text_tokens: 1000, audio_tokens: 200, cached_tokens_details: { text_tokens: 500, audio_tokens: 0 } },
+        output_token_details: { text_tokens: 20, audio_tokens: 100 },
+      },
+    },
+  });
+  ctx.twilio.receive({ event: "stop" });
+  const { session } = await ended;
+
+  const latency = session.turns.at(-1).latencyMs;
+  assert.ok(latency >= 25 && latency < 1000, `latency ${latency}`);
+  const m = session.metrics;
+  assert.equal(m.responseLatencyMs.count, 1);
+  assert.deepEqual(m.audioMinutes, { inbound: 0, outbound: 0 }); // 20ms in, 100ms out, rounded to minutes
+  assert.deepEqual(m.tokens, { text: 500, cachedText: 500, audio: 200, cachedAudio: 0, textOut: 20, audioOut: 100 });
+  assert.equal(m.costUsd, 0.0202); // (500*5 + 500*2.5 + 200*40 + 20*20 + 100*80) / 1M
+});
+
+test("hints transcription with the call's language and follows switch_language", async () => {
+  const ctx = setup();
+  ctx.sessions.create("CA1", { language: "es", preferredLanguage: "es" });
+  await connect(ctx);
+  const hints = () => ctx.realtime.ofType("session.update").map(m => m.session.input_audio_transcription?.language).filter(Boolean);
+  assert.deepEqual(hints(), ["es"]);
+
+  ctx.realtime.receive({ type: "response.function_call_arguments.done", name: "switch_language", call_id: "c1", arguments: '{"language":"fr"}' });
+  await tick();
+  assert.deepEqual(hints(), ["es", "fr"]);
+  const session = ctx.sessions.get("CA1");
+  assert.equal(session.language, "fr");
+  assert.deepEqual(session.languageSwitches.map(s => [s.from, s.to]), [["es", "fr"]]);
+});
+
+test("takes the language from the Stream <Parameter> when the session has none", async () => {
+  const ctx = setup();
+  await connect(ctx, { customParameters: { language: "pt" } });
+  assert.equal(ctx.sessions.get("CA1").language, "pt");
+  assert.equal(ctx.realtime.ofType("session.update").at(-1).session.input_audio_transcription.language, "pt");
+});
+
+// A fresh fake Realtime socket per connect, so drops and reconnects can be driven one by one
+function reconnecting(opts = {}) {
+  const sockets = [];
+  const ctx = setup({
+    connectRealtime: () => { const s = new FakeSocket(WebSocket.CONNECTING); sockets.push(s); return s; },
+    reconnectBaseMs: 1,
+    ...opts,
+  });
+  ctx.realtime = sockets[0];
+  const drop = (code) => { const s = sockets.at(-1); s.readyState = WebSocket.CLOSED; s.emit("close", code); };
+  return { ...ctx, sockets, drop };
+}
+
+test("reconnects after a transient drop with a filler, then replays the conversation", async () => {
+  const ctx = reconnecting();
+  const ended = new Promise(r => ctx.bridge.once("end", r));
+  await connect(ctx);
+  ctx.realtime.receive({ type: "response.audio_transcript.done", item_id: "it1", transcript: "Hi Sam, is now a good time?" });
+  ctx.realtime.receive({ type: "conversation.item.input_audio_transcription.completed", transcript: "Sure, go ahead." });
+  const mediaBefore = ctx.twilio.ofType("media").length;
+
+  ctx.drop(1006);
+  await tick(20);
+  assert.equal(ctx.sockets.length, 2);
+  assert.ok(ctx.twilio.ofType("media").length > mediaBefore, "caller hears the filler");
+
+  ctx.sockets[1].open();
+  await tick(10);
+  const items = ctx.sockets[1].ofType("conversation.item.create").map(m => m.item);
+  assert.deepEqual(items.slice(0, 2).map(i => [i.role, i.content[0].text]), [
+    ["assistant", "Hi Sam, is now a good time?"],
+    ["user", "Sure, go ahead."],
+  ]);
+  assert.match(items[2].content[0].text, /line dropped for a moment/);
+  assert.equal(ctx.sockets[1].ofType("session.update").length, 1);
+  assert.equal(ctx.sockets[1].ofType("response.create").length, 1);
+
+  // The echoed replay items are not new caller turns
+  ctx.sockets[1].receive({ type: "conversation.item.created", item: items[1] });
+  ctx.twilio.receive({ event: "stop" });
+  const { session, reason } = await ended;
+  assert.equal(reason, "twilio stop");
+  assert.equal(session.turns.length, 2);
+  assert.equal(session.realtimeOutages.length, 1);
+  assert.equal(session.realtimeOutages[0].recovered, true);
+  assert.equal(session.realtimeOutages[0].attempts, 1);
+  assert.equal(session.metrics.reconnects, 1);
+});
+
+test("ends the call when the drop isn't transient or the retries run out", async () => {
+  const refused = reconnecting();
+  const refusedEnd = new Promise(r => refused.bridge.once("end", r));
+  await connect(refused);
+  refused.drop(1008);
+  assert.equal((await refusedEnd).reason, "realtime closed");
+  assert.equal(refused.sockets.length, 1);
+
+  const flaky = reconnecting({ reconnectAttempts: 1 });
+  const flakyEnd = new Promise(r => flaky.bridge.once("end", r));
+  await connect(flaky);
+  flaky.drop(1011);
+  await tick(20);
+  flaky.sockets[1].emit("error", new Error("Unexpected server response: 503"));
+  const { session, reason } = await flakyEnd;
+  assert.equal(reason, "realtime error");
+  assert.deepEqual(session.realtimeOutages.map(o => [o.recovered, o.attempts]), [[false, 1]]);
+});
+
+test("an AMD result that arrived before the stream started still leaves a voicemail", async () => {
+  const items = (ctx) => ctx.realtime.ofType("conversation.item.create").map(m => m.item.id);
+  for (const realtimeFirst of [true, false]) {
+    const ctx = setup();
+    recordAnsweredBy(ctx.sessions.create("CA1", { name: "Alex" }), "machine_end_beep");
+    if (realtimeFirst) { ctx.realtime.open(); await tick(); }
+    ctx.twilio.receive({ event: "start", start: { streamSid: "MZ1", callSid: "CA1" } });
+    if (!realtimeFirst) { ctx.realtime.open(); await tick(); }
+
+    assert.equal(ctx.bridge.voicemailMode, true);
+    assert.ok(items(ctx).includes(VOICEMAIL_ITEM_ID), `realtime first: ${realtimeFirst}`);
+    assert.equal(items(ctx).includes(BOOTSTRAP_ITEM_ID), realtimeFirst); // no sales pitch when we knew in time
+    const update = ctx.realtime.ofType("session.update").at(-1).session;
+    assert.deepEqual([update.instructions, update.output_audio_format], ["voicemail prompt", "g711_ulaw"]);
+    ctx.bridge.close("test");
+  }
+});
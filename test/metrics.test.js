@@ -0,0 +1,39 @@
+// test/metrics.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const Fastify = require("fastify");
+
+const { CallStats, metrics, recordRateLimits, metricsRoutes } = require("../backend/metrics");
+
+test("call stats roll up into Prometheus series", async () => {
+  const stats = new CallStats("gpt-4o-mini-realtime-preview");
+  stats.audio("inbound", 8000 * 60); // one minute of caller audio
+  stats.speechEnded(1000);
+  assert.equal(stats.firstAudio(1600), 600);
+  assert.equal(stats.firstAudio(1700), null); // only the first audio after speech counts
+  stats.response({ response: { status: "completed", usage: { input_token_details: { text_tokens: 100 }, output_token_details: { audio_tokens: 50 } } } });
+  stats.error("realtime");
+  recordRateLimits([{ name: "tokens", limit: 1000, remaining: 900 }]);
+  metrics.calls.inc({ outcome: "booked" });
+
+  const summary = stats.summary();
+  assert.equal(summary.audioMinutes.inbound, 1);
+  assert.deepEqual(summary.responseLatencyMs, { count: 1, avg: 600, p50: 600, p95: 600, max: 600 });
+  assert.equal(summary.costUsd, 0.0011); // 100*0.6 + 50*20 per 1M
+  assert.equal(new CallStats("some-other-model").summary().costUsd, null);
+
+  const app = Fastify();
+  app.register(metricsRoutes);
+  const res = await app.inject({ method: "GET", url: "/metrics" });
+  await app.close();
+  assert.match(res.headers["content-type"], /^text\/plain; version=0\.0\.4/);
+  const body = res.body;
+  assert.match(body, /# TYPE voice_agent_response_latency_seconds histogram/);
+  assert.match(body, /voice_agent_response_latency_seconds_bucket\{model="gpt-4o-mini-realtime-preview",le="0\.75"\} 1/);
+  assert.match(body, /voice_agent_response_latency_seconds_bucket\{model="gpt-4o-mini-realtime-preview",le="0\.5"\} 0/);
+  assert.match(body, /voice_agent_audio_seconds_total\{direction="inbound"\} 60/);
+  assert.match(body, /voice_agent_realtime_tokens_total\{model="gpt-4o-mini-realtime-preview",type="audioOut"\} 50/);
+  assert.match(body, /voice_agent_websocket_errors_total\{socket="realtime"\} 1/);
+  assert.match(body, /voice_agent_realtime_rate_limit_remaining\{name="tokens"\} 900/);
+  assert.match(body, /voice_agent_calls_total\{outcome="booked"\} 1/);
+});
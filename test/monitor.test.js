@@ -0,0 +1,32 @@
+// test/monitor.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const http = require("http");
+const Fastify = require("fastify");
+const { monitorRoutes } = require("../backend/monitor");
+const { MemorySessionStore } = require("../backend/sessionStore");
+const { callEvents, emitLive } = require("../backend/events");
+
+const counts = () => ["live", "status", "outcome"].map(e => callEvents.listenerCount(e));
+const waitFor = async (cond) => { for (let i = 0; i < 100 && !cond(); i++) await new Promise(r => setTimeout(r, 10)); assert.ok(cond()); };
+
+test("monitor: each dashboard stream subscribes while open and unsubscribes on disconnect", async (t) => {
+  const app = Fastify();
+  app.register(monitorRoutes, { sessions: new MemorySessionStore(), liveCalls: new Map() });
+  await app.listen({ port: 0, host: "127.0.0.1" });
+  t.after(() => app.close());
+  const before = counts();
+
+  let body = "";
+  const req = http.get(`http://127.0.0.1:${app.server.address().port}/api/monitor/stream`);
+  const res = await new Promise((resolve) => req.on("response", resolve));
+  res.on("data", (chunk) => { body += chunk; });
+  await waitFor(() => body.includes("event: snapshot"));
+  assert.deepEqual(counts(), before.map(n => n + 1));
+
+  emitLive("CA1", "call.connected");
+  await waitFor(() => body.includes('"type":"call.connected"'));
+
+  req.destroy();
+  await waitFor(() => counts().every((n, i) => n === before[i]));
+});
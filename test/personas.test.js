@@ -0,0 +1,58 @@
+// test/personas.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const os = require("os");
+const fs = require("fs");
+const path = require("path");
+const {
+  loadPersonas, resolvePersona, validatePersona, personaVariables, buildSystemPrompt, buildVoicemailPrompt,
+} = require("../backend/personas");
+
+const minimal = {
+  name: "Sam",
+  voice: "alloy",
+  role: "You are {{agentName}} from {{clubName}}.",
+  goal: "say hi to {{firstName}}.",
+  callFlow: ["INTRO: greet {{firstName}}."],
+  voicemail: ["Say hi."],
+  variables: { clubName: "Test Club" },
+};
+
+test("shipped personas load and render without leftover placeholders", () => {
+  const personas = loadPersonas();
+  assert.ok(personas.has("trial-pass"));
+  for (const persona of personas.values()) {
+    const vars = personaVariables(persona, { firstName: "Alex", callbackNumber: "+1 (512) 555-0100" });
+    // The inbound script only names the caller when we recognize their number
+    const prompt = buildSystemPrompt(persona, vars, persona.id === "inbound" ? { caller: { name: "Alex Johnson" } } : {});
+    const voicemail = buildVoicemailPrompt(persona, vars);
+    assert.doesNotMatch(prompt + voicemail, /\{\{/, persona.id);
+    assert.match(prompt, /Alex/);
+    assert.match(prompt, /opt_out/);
+    assert.match(voicemail, /5 1 2 5 5 5 0 1 0 0/);
+  }
+  assert.throws(() => resolvePersona(personas, "nope"), { code: "PERSONA_UNKNOWN" });
+});
+
+test("overrides only fill declared variables", () => {
+  const persona = { ...minimal, id: "t", temperature: 0.8, style: [], objections: [], dataToCapture: [] };
+  const vars = personaVariables(persona, { overrides: { clubName: "Downtown", firstName: "Mallory", extra: "x" } });
+  assert.equal(vars.clubName, "Downtown");
+  assert.equal(vars.firstName, "there");
+  assert.equal(vars.extra, undefined);
+  assert.match(buildSystemPrompt(persona, vars), /You are Sam from Downtown\./);
+});
+
+test("validation catches bad fields, voices and undeclared variables", () => {
+  assert.deepEqual(validatePersona(minimal), []);
+  const errors = validatePersona({ ...minimal, voice: "robot", temperature: 2, goal: "sell {{offer}}", colour: "red", callFlow: [] });
+  assert.ok(errors.some(e => /unknown field "colour"/.test(e)));
+  assert.ok(errors.some(e => /"voice" must be one of/.test(e)));
+  assert.ok(errors.some(e => /"temperature"/.test(e)));
+  assert.ok(errors.some(e => /\{\{offer\}\}/.test(e)));
+  assert.ok(errors.some(e => /"callFlow"/.test(e)));
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "personas-"));
+  fs.writeFileSync(path.join(dir, "trial-pass.json"), JSON.stringify({ ...minimal, voice: "robot" }));
+  assert.throws(() => loadPersonas(dir), /trial-pass\.json: "voice"/);
+});
@@ -0,0 +1,125 @@
+// test/providers.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const os = require("os");
+const fs = require("fs");
+const path = require("path");
+const { EventEmitter } = require("events");
+const WebSocket = require("ws");
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "providers-test-"));
+process.env.SCRIPTED_AGENT_PLACEHOLDERS = "on"; // agent-scripts/clips/ isn't committed
+const { createProvider } = require("../backend/providers");
+const { validateScript, loadScript } = require("../backend/providers/scriptedAgent");
+const { MediaBridge, BOOTSTRAP_ITEM_ID } = require("../backend/mediaBridge");
+const { MemorySessionStore } = require("../backend/sessionStore");
+const { encodeWav, mulawToPcm16, toneMulaw } = require("../backend/codec");
+
+const tick = (ms = 5) => new Promise(r => setTimeout(r, ms));
+
+/** Collects what a scripted connection says back. */
+async function open(conn) {
+  const events = [];
+  conn.on("message", (raw) => events.push(JSON.parse(raw)));
+  await new Promise(r => conn.once("open", r));
+  const send = async (...msgs) => { msgs.forEach(m => conn.send(JSON.stringify(m))); await tick(); };
+  const said = () => events.filter(e => e.type === "response.audio_transcript.done").map(e => e.transcript);
+  return { events, send, said, ofType: (type) => events.filter(e => e.type === type) };
+}
+
+const say = (text) => ({ type: "conversation.item.create", item: { type: "message", role: "user", content: [{ type: "input_text", text }] } });
+const kickoff = { type: "conversation.item.create", item: { id: BOOTSTRAP_ITEM_ID, type: "message", role: "user", content: [{ type: "input_text", text: "Begin the call" }] } };
+
+test("picks the provider by name; the OpenAI adapter keeps the Realtime endpoint and model", () => {
+  const openai = createProvider("openai", { apiKey: "sk-test", url: "ws://127.0.0.1:1" });
+  assert.equal(openai.name, "openai");
+  assert.match(openai.model, /realtime/);
+  assert.equal(createProvider("scripted").model, "scripted-agent");
+  assert.throws(() => createProvider("nope"), /Unknown VOICE_PROVIDER "nope"/);
+});
+
+test("the scripted agent greets, follows its flow per caller turn and matches typed text to rules", async () => {
+  const conn = createProvider("scripted").connect();
+  const agent = await open(conn);
+  await agent.send({ type: "session.update", session: { turn_detection: { type: "server_vad" } } }, kickoff, { type: "response.create" });
+  assert.equal(agent.ofType("session.created")[0].session.model, "scripted-agent");
+  assert.equal(agent.ofType("session.updated").length, 1);
+  assert.match(agent.said()[0], /^Hi, this is Alice/);
+  assert.ok(agent.ofType("response.audio.delta").length > 0);
+
+  // Speech (loud then quiet) is a caller turn: VAD events, then the next flow line
+  const loud = toneMulaw({ hz: 300, ms: 200, amplitude: 8000 }).toString("base64");
+  const quiet = Buffer.alloc(800, 0xff).toString("base64");
+  await agent.send(...[loud, ...Array(8).fill(quiet)].map(audio => ({ type: "input_audio_buffer.append", audio })));
+  assert.equal(agent.ofType("input_audio_buffer.speech_started").length, 1);
+  assert.equal(agent.ofType("input_audio_buffer.speech_stopped").length, 1);
+  assert.match(agent.said()[1], /free week/);
+
+  await agent.send(say("Honestly I'm not interested"), { type: "response.create" });
+  assert.match(agent.said()[2], /No problem at all/);
+  await agent.send({ type: "response.create" });
+  assert.equal(agent.said().length, 3, "says nothing after an ending rule");
+  conn.close();
+});
+
+test("a rule's tool call runs before its line is spoken", async () => {
+  const agent = await open(createProvider("scripted").connect());
+  await agent.send(kickoff, { type: "response.create" }, say("please stop calling me"), { type: "response.create" });
+  const [call] = agent.ofType("response.function_call_arguments.done");
+  assert.equal(call.name, "opt_out");
+  assert.equal(agent.said().length, 1);
+  await agent.send({ type: "conversation.item.create", item: { type: "function_call_output", call_id: call.call_id, output: "{\"ok\":true}" } }, { type: "response.create" });
+  assert.match(agent.said()[1], /won't get any more calls/);
+});
+
+test("scripts are validated and clips are read relative to the script", () => {
+  assert.deepEqual(validateScript({ greeting: { text: "Hi" }, goodbye: { text: "Bye" }, voicemail: { text: "Call us" }, flow: [] }), []);
+  assert.ok(validateScript({ greeting: {}, flow: "x" }).length >= 3);
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "script-"));
+  const clip = toneMulaw({ hz: 500, ms: 100 });
+  fs.writeFileSync(path.join(dir, "hi.wav"), encodeWav([mulawToPcm16(clip)]));
+  fs.writeFileSync(path.join(dir, "script.json"), JSON.stringify({
+    greeting: { text: "Hi", clip: "hi.wav" }, goodbye: { text: "Bye" }, voicemail: { text: "Call us" }, flow: [],
+  }));
+  const script = loadScript(path.join(dir, "script.json"));
+  assert.deepEqual(script.greeting.audio, clip);
+  assert.ok(script.goodbye.audio.length > 0, "placeholder tone");
+
+  // Without placeholders a missing clip fails the load, naming the line
+  assert.throws(() => loadScript(path.join(dir, "script.json"), { placeholders: false }), /missing 2 clip\(s\)[\s\S]*no clip for “Bye…”[\s\S]*SCRIPTED_AGENT_PLACEHOLDERS/);
+  assert.throws(() => loadScript(undefined, { placeholders: false }), /clips\/greeting\.wav/);
+});
+
+// In-process Twilio side for the bridge
+class FakeTwilio extends EventEmitter {
+  constructor() { super(); this.readyState = WebSocket.OPEN; this.sent = []; }
+  send(data) { this.sent.push(JSON.parse(data)); }
+  close() { if (this.readyState !== WebSocket.CLOSED) { this.readyState = WebSocket.CLOSED; this.emit("close"); } }
+  receive(msg) { this.emit("message", Buffer.from(JSON.stringify(msg))); }
+}
+
+test("runs a call through the media bridge with no API key", async () => {
+  const provider = createProvider("scripted");
+  const twilio = new FakeTwilio();
+  const sessions = new MemorySessionStore();
+  const bridge = new MediaBridge(twilio, {
+    sessions,
+    connectRealtime: () => provider.connect(),
+    model: provider.model,
+    configureDelayMs: 0,
+    instructions: () => "prompt",
+    voicemailInstructions: () => "voicemail prompt",
+  });
+  const ended = new Promise(r => bridge.once("end", r));
+  twilio.receive({ event: "start", start: { streamSid: "MZ1", callSid: "CA1" } });
+  await tick(30);
+  assert.ok(twilio.sent.filter(m => m.event === "media").length > 0, "greeting audio reaches the caller");
+
+  twilio.receive({ event: "stop" });
+  const { session } = await ended;
+  assert.deepEqual(session.turns.map(t => t.role), ["agent"]);
+  assert.match(session.turns[0].text, /^Hi, this is Alice/);
+  assert.equal(session.metrics.model, "scripted-agent");
+  assert.equal(session.metrics.costUsd, null);
+});
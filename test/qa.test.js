@@ -0,0 +1,135 @@
+// test/qa.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const os = require("os");
+const fs = require("fs");
+const path = require("path");
+const Fastify = require("fastify");
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "qa-test-"));
+const { saveCall } = require("../backend/callHistory");
+const { loadRubric, flowSteps, scoreCall, qaRoutes } = require("../backend/qa");
+const { loadPersonas } = require("../backend/personas");
+
+const personas = loadPersonas(path.join(__dirname, "..", "personas"));
+const trialPass = personas.get("trial-pass");
+
+const agent = (text) => ({ role: "agent", text });
+const user = (text) => ({ role: "user", text });
+
+// Tuesday 2026-10-20, 18:00-20:00
+const BOOKED = {
+  callSid: "CA1",
+  persona: "trial-pass",
+  personaVersion: "v1",
+  outcome: "booked",
+  startedAt: "2026-10-19T15:00:00.000Z",
+  appointment: { id: "apt_1", slotId: "2026-10-20@18:00-20:00", date: "2026-10-20", window: "18:00-20:00" },
+  turns: [
+    agent("Hi Maya, this is Alice, an AI assistant with Crunch Fitness. Is now a good time to talk?"),
+    user("Sure."),
+    agent("Great! You requested a free trial pass. What are your fitness goals?"),
+    user("Mostly strength."),
+    agent("Love it. The best next step is to come in for your free trial pass. What day works for you?"),
+    user("Tomorrow evening."),
+    agent("I have tomorrow 6 to 8pm or 8 to 10pm open."),
+    user("Six works."),
+    agent("You're all set for Tuesday from 6 to 8pm. Any questions?"),
+    user("No, thanks."),
+    agent("Just check in at the front desk. See you Tuesday at 6! Bye!"),
+  ],
+};
+
+test("qa: flow step labels come from the persona's callFlow", () => {
+  assert.deepEqual(flowSteps(trialPass), [
+    "INTRO", "AVAILABILITY CHECK", "PURPOSE", "GOALS", "NEXT STEP", "SCHEDULING", "CONFIRM", "QUESTIONS", "RECONFIRM", "CLOSE",
+  ]);
+});
+
+test("qa: a call that follows the flow scores full marks", () => {
+  const qa = scoreCall(BOOKED, { persona: trialPass });
+  assert.equal(qa.scored, true);
+  assert.ok(qa.steps.every(s => s.occurred && s.inOrder), JSON.stringify(qa.steps));
+  assert.deepEqual(qa.disclosure, { passed: true, turn: 0 });
+  assert.equal(qa.repeatBack.passed, true);
+  assert.equal(qa.repeatBack.mentions, 2);
+  assert.deepEqual(qa.turnLength.overLimit, []);
+  assert.deepEqual(qa.monologues, []);
+  assert.equal(qa.score, 100);
+  assert.equal(qa.personaVersion, "v1");
+});
+
+test("qa: missed steps, no disclosure, no repeat-back, long turns and monologues cost points", () => {
+  const long = "We have so many great classes and amazing coaches and all the equipment you could ever want in one place for you. ".repeat(2);
+  const qa = scoreCall({
+    ...BOOKED,
+    turns: [
+      agent("Hey Maya, it's Alice from Crunch Fitness."),
+      agent(long),
+      agent("Anyway, I booked you in. Bye!"),
+      user("Uh, okay?"),
+    ],
+  }, { persona: trialPass });
+  assert.equal(qa.disclosure.passed, false);
+  assert.equal(qa.repeatBack.passed, false);
+  assert.deepEqual(qa.turnLength.overLimit, [1]);
+  assert.deepEqual(qa.monologues.map(m => m.turns), [[0, 1, 2]]);
+  assert.equal(qa.steps.find(s => s.step === "AVAILABILITY CHECK").occurred, false);
+  assert.ok(qa.score < 40, `score ${qa.score}`);
+});
+
+test("qa: out-of-order steps, booked-only steps and calls without a conversation", () => {
+  const qa = scoreCall({
+    ...BOOKED,
+    outcome: "not_interested",
+    appointment: null,
+    turns: [agent("Hi, this is Alice, an AI assistant. Any questions?"), user("Who is this?"), agent("Sorry, is now a good time?"), user("No.")],
+  }, { persona: trialPass });
+  const step = (name) => qa.steps.find(s => s.step === name);
+  assert.equal(step("AVAILABILITY CHECK").inOrder, true);
+  assert.deepEqual([step("QUESTIONS").occurred, step("QUESTIONS").inOrder], [true, false]); // asked before the availability check
+  assert.equal(step("CONFIRM").checked, false);
+  assert.equal(qa.repeatBack, null);
+  assert.equal(qa.parts.repeatBack, null);
+  assert.equal(qa.parts.order, 0.667); // INTRO, AVAILABILITY CHECK in order; QUESTIONS not
+
+  assert.deepEqual(
+    [scoreCall({ ...BOOKED, outcome: "voicemail" }), scoreCall({ ...BOOKED, turns: [agent("Hello?")] })].map(q => [q.scored, q.reason]),
+    [[false, "voicemail"], [false, "no_conversation"]],
+  );
+});
+
+test("qa: rubric overrides are compiled at load and bad patterns are reported together", () => {
+  const file = path.join(process.env.DATA_DIR, "rubric.json");
+  fs.writeFileSync(file, JSON.stringify({ steps: { INTRO: ["\\bhey\\b"] }, disclosure: { patterns: ["\\bbot\\b"] } }));
+  const rubric = loadRubric(file);
+  assert.deepEqual(rubric.re.steps.INTRO.map(String), ["/\\bhey\\b/i"]);
+  const qa = scoreCall({ ...BOOKED, turns: [agent("Hey, I'm a bot from Crunch."), user("Hi.")] }, { persona: trialPass, rubric });
+  assert.equal(qa.steps[0].occurred, true);
+  assert.equal(qa.disclosure.passed, true);
+
+  fs.writeFileSync(file, JSON.stringify({ steps: { INTRO: ["(unclosed"], CLOSE: "bye" }, disclosure: { patterns: ["[z-a]"] } }));
+  assert.throws(() => loadRubric(file), (e) => /steps\.INTRO\[0\]/.test(e.message) && /steps\.CLOSE must be a list/.test(e.message) && /disclosure\.patterns\[0\]/.test(e.message));
+});
+
+test("qa: /api/qa aggregates per persona version", async () => {
+  const good = scoreCall(BOOKED, { persona: trialPass });
+  const weak = scoreCall({ ...BOOKED, personaVersion: "v2", turns: [agent("Hi, it's Alice. Bye."), user("Bye.")] }, { persona: trialPass });
+  await saveCall({ ...BOOKED, qa: good });
+  await saveCall({ ...BOOKED, callSid: "CA2", startedAt: "2026-10-19T16:00:00.000Z", personaVersion: "v2", qa: weak });
+  await saveCall({ ...BOOKED, callSid: "CA3", startedAt: "2026-10-19T17:00:00.000Z", personaVersion: "v2", outcome: "voicemail", qa: scoreCall({ ...BOOKED, outcome: "voicemail" }) });
+  await saveCall({ ...BOOKED, callSid: "CA4", persona: "win-back", qa: good });
+
+  const app = Fastify();
+  app.register(qaRoutes);
+  const res = await app.inject({ method: "GET", url: "/api/qa?persona=trial-pass" });
+  assert.equal(res.statusCode, 200);
+  const rows = res.json().personas;
+  assert.deepEqual(rows.map(r => [r.personaVersion, r.calls, r.scored]), [["v2", 2, 1], ["v1", 1, 1]]);
+  assert.equal(rows[1].avgScore, 100);
+  assert.equal(rows[1].steps.INTRO.occurredRate, 1);
+  assert.equal(rows[0].disclosureRate, 0);
+  assert.equal(rows[0].repeatBackRate, 0);
+  assert.ok(rows[0].avgScore < rows[1].avgScore);
+  assert.equal((await app.inject({ method: "GET", url: "/api/qa?from=yesterday" })).statusCode, 400);
+});
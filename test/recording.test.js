@@ -0,0 +1,64 @@
+// test/recording.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  mulawEncodeSample, mulawDecodeSample, pcm16ToMulaw, mulawToPcm16, mulawLevel, MULAW_SILENCE, encodeWav, wavToMulaw, toneMulaw,
+} = require("../backend/codec");
+const { CallRecorder } = require("../backend/recording");
+
+const tone = (ms, byte) => Buffer.alloc(ms * 8, byte);
+
+test("μ-law round trip stays within one quantization step", () => {
+  for (const x of [0, 1, -1, 100, -100, 1000, -5000, 12345, 32000, -32000]) {
+    const back = mulawDecodeSample(mulawEncodeSample(x));
+    assert.ok(Math.abs(back - x) <= Math.max(8, Math.abs(x) / 16), `${x} -> ${back}`);
+  }
+  assert.equal(mulawDecodeSample(MULAW_SILENCE), 0);
+  assert.deepEqual([...mulawToPcm16(pcm16ToMulaw([0, 32124, -32124]))], [0, 32124, -32124]);
+  assert.equal(mulawLevel(tone(20, MULAW_SILENCE)), 0);
+  assert.ok(mulawLevel(tone(20, 0x10)) > 600);
+});
+
+test("reads 8 kHz mono WAV back as μ-law; raw μ-law passes through", () => {
+  const beep = toneMulaw({ hz: 440, ms: 50 });
+  assert.equal(beep.length, 400);
+  assert.ok(mulawLevel(beep) > 1000);
+  assert.deepEqual(wavToMulaw(encodeWav([mulawToPcm16(beep)])), beep);
+  assert.equal(wavToMulaw(beep), beep);
+  assert.throws(() => wavToMulaw(encodeWav([mulawToPcm16(beep), mulawToPcm16(beep)])), /8 kHz mono/);
+});
+
+test("recorder lines both channels up on the media timeline", () => {
+  const rec = new CallRecorder();
+  rec.addCaller(tone(20, 0x10), 0);
+  rec.addCaller(tone(20, 0x10), 100);          // 80ms gap -> silence
+  rec.addAgent(tone(40, 0x20), 20);
+  rec.addAgent(tone(40, 0x30), 20);            // queued behind the first chunk
+  assert.equal(rec.durationMs, 120);
+
+  rec.clearAgent(40);                          // barge-in at 40ms: the rest never played
+  rec.addAgent(tone(20, 0x40), 200);
+  assert.equal(rec.durationMs, 220);
+
+  const wav = rec.toWav();
+  assert.equal(wav.toString("ascii", 0, 4), "RIFF");
+  assert.equal(wav.readUInt16LE(22), 2);       // stereo
+  assert.equal(wav.readUInt32LE(24), 8000);
+  assert.equal(wav.readUInt32LE(40), 220 * 8 * 4);
+
+  const frame = (ms) => 44 + ms * 8 * 4;       // 4 bytes per stereo frame
+  const at = (ms) => [wav.readInt16LE(frame(ms)), wav.readInt16LE(frame(ms) + 2)];
+  assert.deepEqual(at(10), [mulawDecodeSample(0x10), 0]);
+  assert.deepEqual(at(30), [0, mulawDecodeSample(0x20)]);
+  assert.deepEqual(at(60), [0, 0]);            // cleared agent audio
+  assert.deepEqual(at(110), [mulawDecodeSample(0x10), 0]);
+  assert.deepEqual(at(210), [0, mulawDecodeSample(0x40)]);
+});
+
+test("recorder stops at the max duration", () => {
+  const rec = new CallRecorder({ maxMs: 50 });
+  rec.addCaller(tone(40, 0x10), 0);
+  rec.addCaller(tone(40, 0x10), 40);
+  assert.equal(rec.durationMs, 50);
+  assert.equal(rec.clipped, true);
+});
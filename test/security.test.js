@@ -0,0 +1,88 @@
+// test/security.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const Fastify = require("fastify");
+const { requireApiKey, requireApiKeyOrSession, adminSessionRoutes, demoSessionRoutes, sessionCookie, trustProxySetting } = require("../backend/security");
+
+function app(trustProxy) {
+  const fastify = Fastify({ trustProxy });
+  fastify.register(adminSessionRoutes);
+  fastify.register(async (admin) => {
+    admin.addHook("preHandler", requireApiKey);
+    admin.get("/api/admin", async (req) => ({ ip: req.ip }));
+  });
+  return fastify;
+}
+
+test("security: admin APIs need an API key, even from localhost or a spoofed X-Forwarded-For", async (t) => {
+  t.after(() => { delete process.env.API_KEYS; });
+  const fastify = app(trustProxySetting("loopback"));
+  const get = (headers) => fastify.inject({ method: "GET", url: "/api/admin", headers });
+
+  delete process.env.API_KEYS;
+  let res = await get({ "x-forwarded-for": "127.0.0.1" });
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.json().code, "API_KEYS_UNSET");
+
+  process.env.API_KEYS = "k1";
+  assert.equal((await get({})).statusCode, 401); // inject comes from 127.0.0.1
+  assert.equal((await get({ "x-forwarded-for": "127.0.0.1" })).json().code, "API_KEY_REQUIRED");
+  res = await get({ "x-api-key": "k1", "x-forwarded-for": "127.0.0.1, 203.0.113.9" });
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.json().ip, "203.0.113.9"); // the address our proxy saw, not the client's claim
+});
+
+test("security: browser pages trade the API key for an admin cookie; keys in the URL are refused", async (t) => {
+  t.after(() => { delete process.env.API_KEYS; });
+  process.env.API_KEYS = "k1";
+  const fastify = app(false);
+  const get = (url, headers) => fastify.inject({ method: "GET", url, headers });
+
+  assert.equal((await get("/api/admin?api_key=k1")).statusCode, 401);
+  assert.equal((await fastify.inject({ method: "POST", url: "/api/admin/session", query: { api_key: "k1" } })).statusCode, 401);
+
+  const login = await fastify.inject({ method: "POST", url: "/api/admin/session", headers: { "x-api-key": "k1" } });
+  assert.equal(login.statusCode, 200);
+  const setCookie = login.headers["set-cookie"];
+  assert.match(setCookie, /^cf_admin=.+; Path=\/api; HttpOnly; SameSite=Strict/);
+  const cookie = setCookie.split(";")[0];
+  assert.equal((await get("/api/admin", { cookie })).statusCode, 200);
+
+  // The demo page's cookie is not an admin session, even under the admin cookie's name
+  const demo = sessionCookie().split(";")[0];
+  assert.equal((await get("/api/admin", { cookie: demo })).statusCode, 401);
+  assert.equal((await get("/api/admin", { cookie: demo.replace("cf_session", "cf_admin") })).statusCode, 401);
+
+  // Admin APIs switched off (API_KEYS unset): outstanding cookies stop working too
+  delete process.env.API_KEYS;
+  assert.equal((await get("/api/admin", { cookie })).json().code, "API_KEYS_UNSET");
+});
+
+test("security: the demo form needs DEMO_PASSCODE to place calls", async (t) => {
+  t.after(() => { delete process.env.DEMO_PASSCODE; });
+  const fastify = Fastify();
+  fastify.register(demoSessionRoutes);
+  fastify.post("/api/start-call", { preHandler: requireApiKeyOrSession }, async () => ({ ok: true }));
+  const call = (cookie) => fastify.inject({ method: "POST", url: "/api/start-call", headers: cookie ? { cookie } : {} });
+  const login = (passcode) => fastify.inject({ method: "POST", url: "/api/demo/session", payload: { passcode } });
+
+  delete process.env.DEMO_PASSCODE;
+  assert.equal((await login("anything")).json().code, "DEMO_DISABLED");
+  assert.equal((await call(sessionCookie().split(";")[0])).statusCode, 401); // a signed cookie alone isn't enough
+
+  process.env.DEMO_PASSCODE = "open-sesame";
+  assert.equal((await call()).json().code, "SESSION_REQUIRED");
+  assert.equal((await login("guess")).statusCode, 401);
+  const cookie = (await login("open-sesame")).headers["set-cookie"].split(";")[0];
+  assert.equal((await call(cookie)).statusCode, 200);
+
+  delete process.env.DEMO_PASSCODE; // demo switched off: outstanding sessions stop working
+  assert.equal((await call(cookie)).statusCode, 401);
+});
+
+test("security: TRUST_PROXY is a list of proxy addresses, never blanket trust", () => {
+  assert.equal(trustProxySetting(""), false);
+  assert.equal(trustProxySetting("false"), false);
+  assert.deepEqual(trustProxySetting("true"), ["loopback"]);
+  assert.deepEqual(trustProxySetting("10.0.0.0/8, 127.0.0.1"), ["10.0.0.0/8", "127.0.0.1"]);
+});
@@ -0,0 +1,29 @@
+// test/sessionStore.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const os = require("os");
+const fs = require("fs");
+const path = require("path");
+const { FileSessionStore } = require("../backend/sessionStore");
+
+test("file sessions: two instances on one directory don't overwrite each other's calls", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "sessions-test-"));
+  const a = new FileSessionStore({ dir });
+  const b = new FileSessionStore({ dir });
+
+  const held = a.create("CA1", { phone: "+15125550123" });
+  b.create("CA2", { phone: "+15125550124" });
+  a.save(held); // a stale view of CA2 must not drop it
+  assert.deepEqual(a.list().map(s => s.callSid).sort(), ["CA1", "CA2"]);
+
+  const other = b.get("CA1");
+  other.status = "connected";
+  other.updatedAt = new Date(Date.now() + 1000).toISOString();
+  fs.writeFileSync(path.join(dir, "CA1.json"), JSON.stringify(other));
+  assert.equal(a.get("CA1"), held);
+  assert.equal(held.status, "connected"); // newer copy merged into the object a handed out
+
+  assert.equal(b.delete("CA2"), true);
+  assert.equal(a.get("CA2"), null);
+  assert.equal(a.findByPhone("(512) 555-0123").callSid, "CA1");
+});
@@ -0,0 +1,111 @@
+// test/sms.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const os = require("os");
+const fs = require("fs");
+const path = require("path");
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "sms-test-"));
+process.env.WEBHOOK_AUTH = "off";
+const Fastify = require("fastify");
+const { SmsService, smsWebhookRoutes } = require("../backend/sms");
+const { listSlots, bookAppointment, cancelAppointment } = require("../backend/appointments");
+const { isOnDnc, ComplianceError } = require("../backend/compliance");
+
+const PHONE = "+15125550123";
+
+function setup(opts = {}) {
+  const sent = [];
+  const client = { messages: { create: async (m) => { sent.push(m); return { sid: `SM${sent.length}` }; } } };
+  const sms = new SmsService({
+    client,
+    from: "+15125550100",
+    templateVars: (ctx) => ({ firstName: (ctx.name || "there").split(" ")[0], clubName: "Crunch Fitness", offer: "free trial pass" }),
+    ...opts,
+  });
+  return { sms, sent };
+}
+
+test("a booking sends a confirmation now and a reminder before the visit", async () => {
+  const { sms, sent } = setup();
+  const slot = listSlots().slots.at(-1); // days out, so the reminder is in the future
+  const session = { name: "Alex Johnson", phone: PHONE };
+  bookAppointment({ slot_id: slot.slot_id }, { callSid: "CA1", session });
+
+  sms.followUp({ callSid: "CA1", name: "Alex Johnson", phone: PHONE, outcome: "booked", appointment: session.appointment });
+  sms.followUp({ callSid: "CA1", name: "Alex Johnson", phone: PHONE, outcome: "booked", appointment: session.appointment }); // deduped
+  await sms.flush();
+  assert.equal(sent.length, 1);
+  assert.match(sent[0].body, /^Hi Alex, you're booked for your free trial pass at Crunch Fitness: /);
+  assert.equal(sent[0].to, PHONE);
+
+  // Reminder is due later; once the appointment is cancelled it is dropped instead of sent
+  cancelAppointment({}, { callSid: "CA1", session });
+  await sms.flush(new Date(Date.now() + 8 * 24 * 60 * 60 * 1000));
+  assert.equal(sent.length, 1);
+});
+
+test("the reminder goes out SMS_REMINDER_HOURS before the visit in the club's timezone, whatever the host's", () => {
+  const { sms } = setup();
+  const apt = { id: "apt_tz", slotId: "austin-downtown/2026-11-02@17:00-19:00", clubId: "austin-downtown", date: "2026-11-02", window: "17:00-19:00" };
+  for (const tz of ["UTC", "Asia/Tokyo"]) {
+    process.env.TZ = tz;
+    sms.followUp({ callSid: "CA9", phone: PHONE, outcome: "booked", appointment: { ...apt, id: `${apt.id}_${tz}` } }, new Date("2026-10-19T12:00:00Z"));
+  }
+  delete process.env.TZ;
+  const { messages } = JSON.parse(fs.readFileSync(path.join(process.env.DATA_DIR, "sms.json"), "utf8"));
+  const reminders = messages.filter(m => m.template === "reminder" && m.callSid === "CA9");
+  assert.deepEqual(reminders.map(m => m.sendAt), ["2026-11-02T21:00:00.000Z", "2026-11-02T21:00:00.000Z"]); // 5pm CST - 2h
+});
+
+test("inbound STOP / START / HELP / call me", async () => {
+  const calls = [];
+  let refuse = false;
+  const { sms, sent } = setup({
+    placeCall: async (args) => {
+      if (refuse) throw new ComplianceError("OUTSIDE_CALLING_HOURS", "closed");
+      calls.push(args);
+      return { sid: "CA2" };
+    },
+  });
+  const app = Fastify();
+  app.register(require("@fastify/formbody"));
+  app.register(smsWebhookRoutes, { sms });
+  const text = async (Body) => {
+    const res = await app.inject({ method: "POST", url: "/sms", payload: new URLSearchParams({ From: PHONE, Body }).toString(), headers: { "content-type": "application/x-www-form-urlencoded" } });
+    assert.equal(res.statusCode, 200);
+    return /<Message>(.*)<\/Message>/.exec(res.body)?.[1] || "";
+  };
+
+  assert.match(await text("HELP"), /Reply CALL/);
+  assert.match(await text("Stop"), /unsubscribed/);
+  assert.equal(isOnDnc(PHONE), true);
+
+  sms.followUp({ callSid: "CA3", phone: PHONE, outcome: "no_answer" });
+  await sms.flush();
+  assert.equal(sent.length, 0); // opted out
+
+  assert.match(await text("START"), /subscribed/);
+  assert.equal(isOnDnc(PHONE), false);
+
+  assert.match(await text("Can you call me now?"), /Calling you now/);
+  assert.equal(calls[0].phone, PHONE);
+  refuse = true;
+  assert.match(await text("call"), /can&apos;t call right now/);
+  assert.match(await text("thanks!"), /get back to you/);
+
+  // Negated "call me" is an opt-out, never a call
+  for (const body of ["please don't call me", "Do not call me again", "Don’t ever call me", "stop calling me"]) {
+    assert.match(await text(body), /unsubscribed/, body);
+    assert.equal(isOnDnc(PHONE), true, body);
+    assert.match(await text("START"), /subscribed/);
+  }
+  // ...but a negated word near "call" isn't: no opt-out, and no call for a time they ruled out
+  for (const body of ["Don't forget to call me tomorrow", "I never got your call", "Don't call me before 5pm"]) {
+    assert.doesNotMatch(await text(body), /unsubscribed/, body);
+    assert.equal(isOnDnc(PHONE), false, body);
+  }
+  assert.match(await text("Don't call me before 5pm"), /get back to you/);
+  assert.equal(calls.length, 1);
+  await app.close();
+});
@@ -0,0 +1,27 @@
+// test/transfer.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { whisperTwiml, transferNumber, transferTwiml, TOOLS } = require("../backend/transfer");
+
+test("transfer: the whisper names the call's club, not a hard-coded brand", () => {
+  const transfer = { summary: "Maya wants to freeze her membership." };
+  const twiml = whisperTwiml(transfer, { clubName: "Iron & Oak Gym" });
+  assert.match(twiml, /<Say>Incoming transfer from the Iron &amp; Oak Gym AI assistant\. Maya wants to freeze her membership\.<\/Say>/);
+  assert.match(whisperTwiml({ reason: "billing" }), /<Say>Incoming transfer from the AI assistant\. Reason: billing\.<\/Say>/);
+});
+
+test("transfer: rings the call's club first, TRANSFER_NUMBER only as the fallback", async (t) => {
+  t.after(() => { delete process.env.TRANSFER_NUMBER; });
+  delete process.env.TRANSFER_NUMBER;
+  assert.equal(transferNumber({ clubId: "austin-downtown" }), "+15125550100"); // clubs/austin-downtown.json
+  assert.equal(transferNumber({ clubId: "round-rock" }), ""); // no such club, no fallback: transfers off
+  const [tool] = TOOLS;
+  assert.equal((await tool.handler({ summary: "x" }, { session: { clubId: "round-rock" } })).error, "transfer_unavailable");
+
+  process.env.TRANSFER_NUMBER = "+15125559999";
+  assert.equal(transferNumber({ clubId: "austin-downtown" }), "+15125550100");
+  assert.equal(transferNumber({ clubId: "round-rock" }), "+15125559999");
+
+  const twiml = transferTwiml({ base: "https://example.test", callSid: "CA1", number: transferNumber({ clubId: "austin-downtown" }) });
+  assert.match(twiml, /<Number url="https:\/\/example\.test\/transfer-whisper\?callSid=CA1" method="POST">\+15125550100<\/Number>/);
+});